@@ -0,0 +1,28 @@
+const axios = require('axios')
+
+// Notification priority -> Gotify priority
+const PRIORITIES = { low: 2, normal: 5, high: 8, urgent: 10 }
+
+class Gotify {
+  constructor(config) {
+    this.url = config.url.replace(/\/$/, '')
+    this.token = config.token
+    this.priority = config.priority
+  }
+
+  static isConfigured(config) {
+    return Boolean(config.url && config.token)
+  }
+
+  async send(title, message, event, options = {}) {
+    const payload = { title, message, priority: options.priority ? PRIORITIES[options.priority] : this.priority }
+    try {
+      const response = await axios.post(`${this.url}/message`, payload, { headers: { 'X-Gotify-Key': this.token } })
+      return { status: response.status }
+    } catch (error) {
+      return { error: error.message }
+    }
+  }
+}
+
+module.exports = Gotify
@@ -1,5 +1,8 @@
 const nodemailer = require('nodemailer')
 
+// Notification priority -> email priority (X-Priority / Importance headers)
+const PRIORITIES = { low: 'low', normal: 'normal', high: 'high', urgent: 'high' }
+
 class Mailer {
   constructor(config) {
     this.config = config
@@ -7,13 +10,21 @@ class Mailer {
     this.init()
   }
 
+  static isConfigured(config) {
+    return Boolean(config.from && config.to && config.transporter instanceof Object)
+  }
+
   init() {
     this.transporter = nodemailer.createTransport(this.config.transporter)
   }
 
-  async send(title, message) {
-    const htmlMessage = message.replace(/\n/g, '<br>')
-    const mailOptions = { from: this.config.from, to: this.config.to, subject: title, text: message, html: htmlMessage }
+  async send(title, message, event, options = {}) {
+    const htmlMessage = options.html || message.replace(/\n/g, '<br>')
+    const to = options.recipients || this.config.to
+    const mailOptions = { from: this.config.from, to, subject: title, text: message, html: htmlMessage }
+    if (options.priority) {
+      mailOptions.priority = PRIORITIES[options.priority]
+    }
     try {
       const response = await this.transporter.sendMail(mailOptions)
       return response
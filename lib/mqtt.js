@@ -0,0 +1,43 @@
+const mqtt = require('mqtt')
+
+class Mqtt {
+  constructor(config) {
+    this.topic = config.topic || 'ocpp-proxy/{{clientId}}/{{type}}'
+    this.qos = config.qos || 0
+    this.retain = config.retain || false
+    this.client = mqtt.connect(config.url, {
+      username: config.username,
+      password: config.password,
+      clientId: config.clientId,
+    })
+    // Errors are reported by send(), the client reconnects by itself
+    this.client.on('error', () => {})
+  }
+
+  static isConfigured(config) {
+    return Boolean(config.url)
+  }
+
+  async send(title, message, event = {}, options = {}) {
+    if (!this.client.connected) {
+      return { error: 'not connected to the broker' }
+    }
+    // {{field}} placeholders of the topic are replaced by the event fields (clientId, type...), without MQTT wildcards
+    const topic = this.topic.replace(/\{\{(\w+)\}\}/g, (placeholder, field) =>
+      String(event[field] !== undefined ? event[field] : 'unknown').replace(/[+#]/g, '_')
+    )
+    const payload = JSON.stringify({ ...event, priority: options.priority, title, message })
+    try {
+      await this.client.publishAsync(topic, payload, { qos: this.qos, retain: this.retain })
+      return { topic }
+    } catch (error) {
+      return { error: error.message }
+    }
+  }
+
+  close() {
+    this.client.end(true)
+  }
+}
+
+module.exports = Mqtt
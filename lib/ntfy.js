@@ -0,0 +1,34 @@
+const axios = require('axios')
+
+// Notification priority -> ntfy priority
+const PRIORITIES = { low: 2, normal: 3, high: 4, urgent: 5 }
+
+class Ntfy {
+  constructor(config) {
+    this.url = (config.url || 'https://ntfy.sh').replace(/\/$/, '')
+    this.topic = config.topic
+    this.token = config.token
+    this.priority = config.priority
+    this.tags = config.tags
+  }
+
+  static isConfigured(config) {
+    return Boolean(config.topic)
+  }
+
+  async send(title, message, event, options = {}) {
+    const priority = options.priority ? PRIORITIES[options.priority] : this.priority
+    const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {}
+    try {
+      // JSON publishing to the root URL, so that titles are not limited to the characters allowed in headers
+      for (const topic of options.recipients || [this.topic]) {
+        await axios.post(this.url, { topic, title, message, priority, tags: this.tags }, { headers })
+      }
+      return { status: 200 }
+    } catch (error) {
+      return { error: error.message }
+    }
+  }
+}
+
+module.exports = Ntfy
@@ -1,26 +1,44 @@
 const axios = require('axios')
 
+// Notification priority -> Pushover priority (emergency notifications are repeated until acknowledged)
+const PRIORITIES = { low: -1, normal: 0, high: 1, urgent: 2 }
+
 class Pushover {
   constructor(config) {
     this.userKey = config.userKey
     this.appToken = config.appToken
+    this.apiUrl = config.apiUrl || 'https://api.pushover.net/1/messages.json'
     this.payload = { token: this.appToken, user: this.userKey, message: '' }
   }
 
+  static isConfigured(config) {
+    return Boolean(config.userKey && config.appToken)
+  }
+
   resetPayload() {
     this.payload = { user: this.userKey, token: this.appToken, message: '' }
   }
 
-  async send(title, message) {
+  async send(title, message, event, options = {}) {
+    const payload = { ...this.payload }
     if (title) {
-      this.payload.title = title
+      payload.title = title
     }
     if (message) {
-      this.payload.message = message
+      payload.message = message
+    }
+    if (options.recipients) {
+      payload.user = options.recipients.join(',')
+    }
+    if (options.priority) {
+      payload.priority = PRIORITIES[options.priority]
+      if (payload.priority === 2) {
+        Object.assign(payload, { retry: 60, expire: 3600 })
+      }
     }
     // Send the notification
     try {
-      const response = await axios.post('https://api.pushover.net/1/messages.json', this.payload)
+      const response = await axios.post(this.apiUrl, payload)
       return response.data
     } catch (error) {
       return { error: error.message }
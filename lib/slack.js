@@ -0,0 +1,27 @@
+const axios = require('axios')
+
+class Slack {
+  constructor(config) {
+    this.url = config.url
+  }
+
+  static isConfigured(config) {
+    return Boolean(config.url)
+  }
+
+  escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  }
+
+  async send(title, message) {
+    const payload = { text: `*${this.escape(title)}*\n${this.escape(message)}` }
+    try {
+      const response = await axios.post(this.url, payload)
+      return { status: response.status }
+    } catch (error) {
+      return { error: error.message }
+    }
+  }
+}
+
+module.exports = Slack
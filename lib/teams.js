@@ -0,0 +1,36 @@
+const axios = require('axios')
+
+class Teams {
+  constructor(config) {
+    this.url = config.url
+  }
+
+  static isConfigured(config) {
+    return Boolean(config.url)
+  }
+
+  async send(title, message) {
+    // Adaptive card, the format of the Teams Workflows incoming webhooks
+    const card = {
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      type: 'AdaptiveCard',
+      version: '1.4',
+      body: [
+        { type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true },
+        { type: 'TextBlock', text: message.replace(/\n/g, '\n\n'), wrap: true },
+      ],
+    }
+    const payload = {
+      type: 'message',
+      attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', contentUrl: null, content: card }],
+    }
+    try {
+      const response = await axios.post(this.url, payload)
+      return { status: response.status }
+    } catch (error) {
+      return { error: error.message }
+    }
+  }
+}
+
+module.exports = Teams
@@ -0,0 +1,39 @@
+const axios = require('axios')
+
+class Telegram {
+  constructor(config) {
+    this.botToken = config.botToken
+    this.chatId = config.chatId
+    this.apiUrl = (config.apiUrl || 'https://api.telegram.org').replace(/\/$/, '')
+  }
+
+  static isConfigured(config) {
+    return Boolean(config.botToken && config.chatId)
+  }
+
+  escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  }
+
+  async send(title, message, event, options = {}) {
+    const text = `<b>${this.escape(title)}</b>\n${this.escape(message)}`
+    // Low priority notifications are delivered silently
+    const silent = options.priority === 'low'
+    // Send the notification to each chat
+    try {
+      for (const chatId of options.recipients || [this.chatId]) {
+        await axios.post(`${this.apiUrl}/bot${this.botToken}/sendMessage`, {
+          chat_id: chatId,
+          text,
+          parse_mode: 'HTML',
+          disable_notification: silent,
+        })
+      }
+      return { status: 200 }
+    } catch (error) {
+      return { error: error.response ? `${error.message}: ${JSON.stringify(error.response.data)}` : error.message }
+    }
+  }
+}
+
+module.exports = Telegram
@@ -0,0 +1,79 @@
+const crypto = require('crypto')
+const axios = require('axios')
+
+// Responses worth retrying: the receiver is restarting, overloaded or throttling
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504]
+
+class Webhook {
+  constructor(config) {
+    this.url = config.url
+    this.name = config.name || new URL(config.url).host
+    this.headers = config.headers || {}
+    this.template = config.template
+    this.secret = config.secret
+    this.signatureHeader = config.signatureHeader || 'X-Signature-256'
+    this.retries = config.retries !== undefined ? config.retries : 3
+    this.retryDelay = config.retryDelay !== undefined ? config.retryDelay : 1000
+    this.timeout = config.timeout !== undefined ? config.timeout : 10000
+  }
+
+  static isConfigured(config) {
+    return Boolean(config.url)
+  }
+
+  /**
+   * Render a body template: {{field}} placeholders in its strings are replaced by the event fields.
+   * A string made of a single placeholder takes the field value as is (number, object, null).
+   * @param {*} template - JSON value
+   * @param {object} event
+   * @returns {*}
+   */
+  render(template, event) {
+    if (typeof template === 'string') {
+      const single = template.match(/^\{\{(\w+)\}\}$/)
+      if (single) {
+        return event[single[1]] !== undefined ? event[single[1]] : null
+      }
+      return template.replace(/\{\{(\w+)\}\}/g, (placeholder, field) => {
+        const value = event[field]
+        if (value === undefined || value === null) {
+          return ''
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value)
+      })
+    }
+    if (Array.isArray(template)) {
+      return template.map((item) => this.render(item, event))
+    }
+    if (template instanceof Object) {
+      return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, this.render(value, event)]))
+    }
+    return template
+  }
+
+  async send(title, message, event = {}, options = {}) {
+    const fields = { ...event, priority: options.priority, title, message }
+    const body = JSON.stringify(this.template !== undefined ? this.render(this.template, fields) : fields)
+    const headers = { 'Content-Type': 'application/json', ...this.headers }
+    // HMAC of the exact body, so the receiver can authenticate the sender
+    if (this.secret) {
+      headers[this.signatureHeader] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`
+    }
+
+    // Send the event, retrying network errors and temporary failures with an exponential backoff
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.post(this.url, body, { headers, timeout: this.timeout })
+        return { status: response.status }
+      } catch (error) {
+        const retryable = !error.response || RETRY_STATUSES.includes(error.response.status)
+        if (!retryable || attempt >= this.retries) {
+          return { error: attempt > 0 ? `${error.message} (after ${attempt + 1} attempts)` : error.message }
+        }
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelay * 2 ** attempt))
+      }
+    }
+  }
+}
+
+module.exports = Webhook
@@ -0,0 +1,309 @@
+/**
+ * Admin API
+ * HTTP status and control API alongside the WebSocket server
+ */
+
+const http = require('http')
+const crypto = require('crypto')
+const metrics = require('./metrics')
+const { createLogger } = require('./logger')
+
+const log = createLogger('Admin')
+
+// Maximum size of a request body, in bytes
+const MAX_BODY_SIZE = 64 * 1024
+
+class AdminApi {
+  /**
+   * @param {OcppProxy} proxy
+   * @param {object} config - admin configuration ({ host, port, token, metrics, callTimeout })
+   */
+  constructor(proxy, config) {
+    this.proxy = proxy
+    this.config = config
+    this.server = null
+    this.routes = [
+      { method: 'GET', pattern: /^\/status$/, handler: () => this.getStatus() },
+      { method: 'GET', pattern: /^\/chargers$/, handler: () => this.listChargers() },
+      { method: 'GET', pattern: /^\/chargers\/([^/]+)$/, handler: (req, params) => this.getCharger(params[0]) },
+      {
+        method: 'POST',
+        pattern: /^\/chargers\/([^/]+)\/disconnect$/,
+        handler: (req, params) => this.disconnectCharger(params[0]),
+      },
+      {
+        method: 'POST',
+        pattern: /^\/chargers\/([^/]+)\/upstreams\/([^/]+)\/reconnect$/,
+        handler: (req, params) => this.reconnectUpstream(params[0], params[1]),
+      },
+      { method: 'POST', pattern: /^\/chargers\/([^/]+)\/calls$/, handler: (req, params) => this.sendCall(req, params[0]) },
+    ]
+    if (config.metrics) {
+      this.routes.push({ method: 'GET', pattern: /^\/metrics$/, handler: () => this.getMetrics() })
+    }
+  }
+
+  /**
+   * Start the HTTP server
+   */
+  start() {
+    const host = this.config.host || '127.0.0.1'
+    const port = this.config.port !== undefined ? this.config.port : 9001
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        log.error(`Error handling ${req.method} ${req.url}: ${error.message}`)
+        if (!res.headersSent) {
+          this.sendJson(res, 500, { error: error.message })
+        }
+      })
+    })
+    this.server.on('error', (error) => {
+      log.error(`Admin API error: ${error.message}`)
+    })
+    this.server.listen(port, host, () => {
+      log.info(`Admin API listening on ${host}:${this.server.address().port}`)
+    })
+    if (!this.config.token) {
+      log.warn('Admin API token not configured, the API is not authenticated')
+    }
+  }
+
+  /**
+   * Stop the HTTP server
+   */
+  stop() {
+    if (this.server) {
+      this.server.close()
+      this.server = null
+    }
+  }
+
+  /**
+   * Route an HTTP request
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    let pathname
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname
+    } catch {
+      this.sendJson(res, 400, { error: 'Invalid URL' })
+      return
+    }
+
+    if (this.config.token && !this.isAuthorized(req)) {
+      log.warn(`Unauthorized request ${req.method} ${pathname} from ${req.socket.remoteAddress}`)
+      this.sendJson(res, 401, { error: 'Unauthorized' })
+      return
+    }
+
+    const routes = this.routes.filter((route) => route.pattern.test(pathname))
+    const route = routes.find((r) => r.method === req.method)
+    if (!route) {
+      this.sendJson(res, routes.length > 0 ? 405 : 404, { error: routes.length > 0 ? 'Method not allowed' : 'Not found' })
+      return
+    }
+
+    try {
+      const params = pathname.match(route.pattern).slice(1).map(decodeURIComponent)
+      const [status, body, contentType] = await route.handler(req, params)
+      if (contentType) {
+        res.writeHead(status, { 'Content-Type': contentType })
+        res.end(body)
+      } else {
+        this.sendJson(res, status, body)
+      }
+    } catch (error) {
+      log.error(`Error handling ${req.method} ${pathname}: ${error.message}`)
+      this.sendJson(res, 500, { error: error.message })
+    }
+  }
+
+  /**
+   * Check the bearer token of a request
+   * @param {http.IncomingMessage} req
+   * @returns {boolean}
+   */
+  isAuthorized(req) {
+    const expected = Buffer.from(`Bearer ${this.config.token}`)
+    const received = Buffer.from(req.headers['authorization'] || '')
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+  }
+
+  /**
+   * Read the JSON body of a request
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<object>} Parsed body, rejected if too large or not valid JSON
+   */
+  readJson(req) {
+    return new Promise((resolve, reject) => {
+      let body = ''
+      req.on('data', (chunk) => {
+        body += chunk
+        if (body.length > MAX_BODY_SIZE) {
+          reject(new Error('Request body too large'))
+          req.destroy()
+        }
+      })
+      req.on('end', () => {
+        try {
+          resolve(body ? JSON.parse(body) : {})
+        } catch (error) {
+          reject(new Error(`Invalid JSON body: ${error.message}`))
+        }
+      })
+      req.on('error', reject)
+    })
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {object} body
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+
+  /**
+   * Describe the state of a client connection
+   * @param {object} connectionInfo
+   * @returns {object}
+   */
+  describeConnection(connectionInfo) {
+    const { clientId, protocol, clientIp, connectedAt, responder, messageBuffer, queues } = connectionInfo
+    return {
+      clientId,
+      protocol,
+      ip: clientIp,
+      connectedAt: new Date(connectedAt).toISOString(),
+      responder,
+      offline: this.proxy.isOffline(connectionInfo),
+      bufferedMessages: messageBuffer.length,
+      schemaViolations: { ...connectionInfo.schemaViolations },
+      upstreams: connectionInfo.upstreams.map((upstream) => {
+        const queue = queues.get(upstream.name)
+        return {
+          name: upstream.name,
+          role: upstream.role,
+          url: upstream.getUrl(),
+          connected: upstream.isConnected,
+          reconnectAttempts: upstream.reconnectAttempts,
+          maxReconnectAttempts: upstream.maxReconnectAttempts,
+          disconnectCount: upstream.disconnectCount,
+          missedResponses: upstream.missedResponses,
+          queuedMessages: queue ? queue.length : 0,
+          queueStats: queue ? { ...queue.stats } : null,
+        }
+      }),
+    }
+  }
+
+  /**
+   * GET /status
+   */
+  getStatus() {
+    return [200, { uptime: Math.round(process.uptime()), chargers: this.proxy.clientConnections.size }]
+  }
+
+  /**
+   * GET /metrics (Prometheus text format)
+   */
+  async getMetrics() {
+    return [200, await metrics.registry.metrics(), metrics.registry.contentType]
+  }
+
+  /**
+   * GET /chargers
+   */
+  listChargers() {
+    const chargers = Array.from(this.proxy.clientConnections.values()).map((connectionInfo) =>
+      this.describeConnection(connectionInfo)
+    )
+    return [200, chargers]
+  }
+
+  /**
+   * GET /chargers/:clientId
+   * @param {string} clientId
+   */
+  getCharger(clientId) {
+    const connectionInfo = this.proxy.findConnection(clientId)
+    if (!connectionInfo) {
+      return [404, { error: `Charger ${clientId} not connected` }]
+    }
+    return [200, this.describeConnection(connectionInfo)]
+  }
+
+  /**
+   * POST /chargers/:clientId/disconnect
+   * @param {string} clientId
+   */
+  disconnectCharger(clientId) {
+    if (!this.proxy.disconnectClient(clientId)) {
+      return [404, { error: `Charger ${clientId} not connected` }]
+    }
+    log.info(`Charger ${clientId} disconnected through the admin API`)
+    return [200, { clientId, disconnected: true }]
+  }
+
+  /**
+   * POST /chargers/:clientId/upstreams/:name/reconnect
+   * @param {string} clientId
+   * @param {string} upstreamName
+   */
+  reconnectUpstream(clientId, upstreamName) {
+    if (!this.proxy.reconnectUpstream(clientId, upstreamName)) {
+      return [404, { error: `Upstream ${upstreamName} not found for charger ${clientId}` }]
+    }
+    log.info(`Upstream ${upstreamName} of charger ${clientId} reconnected through the admin API`)
+    return [200, { clientId, upstream: upstreamName, reconnecting: true }]
+  }
+
+  /**
+   * POST /chargers/:clientId/calls
+   * Send a CALL to the charger ({ action, payload }) and return its response
+   * @param {http.IncomingMessage} req
+   * @param {string} clientId
+   */
+  async sendCall(req, clientId) {
+    // Commands drive real chargers, never accept them on an unauthenticated API
+    if (!this.config.token) {
+      return [403, { error: 'Sending CALLs requires admin.token to be configured' }]
+    }
+
+    let body
+    try {
+      body = await this.readJson(req)
+    } catch (error) {
+      return [400, { error: error.message }]
+    }
+    const { action, payload = {} } = body
+    if (typeof action !== 'string' || action === '' || typeof payload !== 'object' || payload === null) {
+      return [400, { error: 'Body must be { "action": string, "payload": object }' }]
+    }
+    if (!this.proxy.findConnection(clientId)) {
+      return [404, { error: `Charger ${clientId} not connected` }]
+    }
+
+    log.info(`Sending ${action} to charger ${clientId} through the admin API`)
+    const timeoutMs = (this.config.callTimeout || 30) * 1000
+    const response = await this.proxy.sendCallToClient(clientId, action, payload, timeoutMs)
+    if (!response) {
+      return [504, { clientId, action, error: 'No response from charger' }]
+    }
+
+    const [type, messageId] = response
+    if (type === 4) {
+      const [, , errorCode, errorDescription, errorDetails] = response
+      return [502, { clientId, action, messageId, error: { errorCode, errorDescription, errorDetails } }]
+    }
+    return [200, { clientId, action, messageId, result: response[2] }]
+  }
+}
+
+module.exports = AdminApi
@@ -0,0 +1,210 @@
+/**
+ * Alert Throttle
+ * De-duplicates, debounces and rate limits the notifications, so that a flapping charger
+ * or an upstream reconnection loop does not flood the channels
+ */
+
+const metrics = require('./metrics')
+const { createLogger } = require('./logger')
+
+// Window of the summary of the events suppressed for a client, in seconds
+const DEFAULT_SUMMARY_WINDOW = 300
+// Window of the rate limit of a channel, in seconds
+const DEFAULT_RATE_WINDOW = 60
+
+class AlertThrottle {
+  /**
+   * @param {object} config - notify.throttle configuration
+   * @param {object} handlers
+   * @param {function} handlers.release - (event) sends an event let through
+   * @param {function} handlers.summarize - (clientId, suppressed, window) sends the summary of the events suppressed
+   * for a client during the summary window; suppressed is a Map: event key -> { count, event (the last one) }
+   * @param {function} handlers.rateLimited - (channelName, { count, limit, window }) sends the summary of the
+   * notifications dropped by the rate limit of a channel during its window
+   */
+  constructor(config, handlers) {
+    this.config = config
+    this.handlers = handlers
+    this.log = createLogger('Throttle')
+    this.statuses = new Map() // clientId|evseId|connectorId -> last status received
+    this.pending = new Map() // clientId|evseId|connectorId -> { event, timer } of a status waiting for statusDelay
+    this.windows = new Map() // clientId|event|evseId|connectorId -> timer of the debounce window
+    this.suppressed = new Map() // clientId -> { events, timer } of the summary window
+    this.rates = new Map() // channel name -> { start, sent, dropped, timer } of the rate limit window
+  }
+
+  /**
+   * Apply a new throttle configuration, keeping the statuses and the open windows
+   * @param {object} config
+   */
+  reload(config) {
+    this.config = config
+  }
+
+  /**
+   * Setting of an event: notify.throttle.events.<event>.<name>, else notify.throttle.<name>
+   * @param {string} type - Event key
+   * @param {string} name
+   * @returns {*}
+   */
+  setting(type, name) {
+    const events = this.config.events || {}
+    return events[type] && events[type][name] !== undefined ? events[type][name] : this.config[name]
+  }
+
+  /**
+   * Submit a notification event. Every status is recorded, so that a repeated status is recognized even when
+   * the statuses received in between are not routed; only routed events can be sent.
+   * @param {object} event - Structured fields of the notification (see Notify.event())
+   * @param {boolean} routed - Whether a route sends the event
+   */
+  push(event, routed) {
+    const isStatus = event.status !== undefined && /^(cp|con)Status/.test(event.type)
+    if (!isStatus) {
+      if (routed) {
+        this.debounce(event)
+      }
+      return
+    }
+
+    const target = `${event.clientId}|${event.evseId}|${event.connectorId}`
+    const previous = this.statuses.get(target)
+    this.statuses.set(target, event.status)
+    // A status that changes before its delay elapsed is not alerted
+    const pending = this.pending.get(target)
+    if (pending && pending.event.status !== event.status) {
+      clearTimeout(pending.timer)
+      this.pending.delete(target)
+      this.suppress(pending.event, 'flapping')
+    }
+    if (!routed) {
+      return
+    }
+    if (previous === event.status && this.setting(event.type, 'suppressRepeatedStatus')) {
+      this.suppress(event, 'repeated')
+      return
+    }
+    // The same status is already waiting for its delay, counted from its first occurrence
+    if (this.pending.has(target)) {
+      return
+    }
+    const delay = this.setting(event.type, 'statusDelay')
+    if (delay > 0) {
+      const timer = setTimeout(() => {
+        this.pending.delete(target)
+        this.debounce(event)
+      }, delay * 1000)
+      this.pending.set(target, { event, timer })
+      return
+    }
+    this.debounce(event)
+  }
+
+  /**
+   * Send an event unless the same event of the same client (and connector) was sent during its debounce window
+   * @param {object} event
+   */
+  debounce(event) {
+    const duration = this.setting(event.type, 'debounce')
+    if (!(duration > 0)) {
+      this.handlers.release(event)
+      return
+    }
+    const key = `${event.clientId}|${event.type}|${event.evseId}|${event.connectorId}`
+    if (this.windows.has(key)) {
+      this.suppress(event, 'debounce')
+      return
+    }
+    this.windows.set(
+      key,
+      setTimeout(() => this.windows.delete(key), duration * 1000)
+    )
+    this.handlers.release(event)
+  }
+
+  /**
+   * Count a suppressed event in the summary window of its client, opened by its first suppressed event
+   * @param {object} event
+   * @param {string} reason - flapping, repeated or debounce
+   */
+  suppress(event, reason) {
+    metrics.notificationsSuppressed.inc({ reason })
+    this.log.debug(`Notification ${event.type} of ${event.clientId} suppressed (${reason})`)
+    const window = this.config.summaryWindow !== undefined ? this.config.summaryWindow : DEFAULT_SUMMARY_WINDOW
+    if (!(window > 0)) {
+      return
+    }
+    let summary = this.suppressed.get(event.clientId)
+    if (!summary) {
+      summary = { events: new Map() }
+      summary.timer = setTimeout(() => {
+        this.suppressed.delete(event.clientId)
+        this.handlers.summarize(event.clientId, summary.events, window)
+      }, window * 1000)
+      this.suppressed.set(event.clientId, summary)
+    }
+    const entry = summary.events.get(event.type)
+    summary.events.set(event.type, { count: entry ? entry.count + 1 : 1, event })
+  }
+
+  /**
+   * Whether a channel can send one more notification within its rate limit. The notifications dropped
+   * are summarized when the window of the limit closes.
+   * @param {string} channelName
+   * @returns {boolean}
+   */
+  allow(channelName) {
+    const rateLimit = this.config.rateLimit
+    if (!rateLimit) {
+      return true
+    }
+    const now = Date.now()
+    const seconds = rateLimit.window || DEFAULT_RATE_WINDOW
+    const window = seconds * 1000
+    let rate = this.rates.get(channelName)
+    if (!rate || now - rate.start >= window) {
+      rate = { start: now, sent: 0, dropped: 0, timer: null }
+      this.rates.set(channelName, rate)
+    }
+    if (rate.sent < rateLimit.count) {
+      rate.sent++
+      return true
+    }
+    rate.dropped++
+    metrics.notificationsSuppressed.inc({ reason: 'rateLimit' })
+    this.log.debug(`Notification via ${channelName} dropped by the rate limit`)
+    if (!rate.timer) {
+      rate.timer = setTimeout(
+        () => {
+          if (this.rates.get(channelName) === rate) {
+            this.rates.delete(channelName)
+          }
+          this.handlers.rateLimited(channelName, { count: rate.dropped, limit: rateLimit.count, window: seconds })
+        },
+        rate.start + window - now
+      )
+    }
+    return false
+  }
+
+  /**
+   * Drop the pending statuses and close the windows without sending their summaries
+   */
+  stop() {
+    for (const { timer } of this.pending.values()) {
+      clearTimeout(timer)
+    }
+    for (const timer of this.windows.values()) {
+      clearTimeout(timer)
+    }
+    for (const { timer } of [...this.suppressed.values(), ...this.rates.values()]) {
+      clearTimeout(timer)
+    }
+    this.pending.clear()
+    this.windows.clear()
+    this.suppressed.clear()
+    this.rates.clear()
+  }
+}
+
+module.exports = AlertThrottle
@@ -0,0 +1,147 @@
+/**
+ * Charger Authentication
+ * Enforces OCPP security profiles 1-3 at the proxy: clientId allow/deny lists,
+ * per-clientId Basic auth passwords and TLS client certificates
+ */
+
+const fs = require('fs')
+const crypto = require('crypto')
+
+// Client certificate modes of the TLS server
+const CLIENT_CERTIFICATE_MODES = ['off', 'optional', 'required']
+
+class ChargerAuth {
+  /**
+   * @param {object} config - security configuration ({ tls, passwords, requireAuthentication, allowList, denyList })
+   */
+  constructor(config) {
+    this.tls = config.tls && config.tls.enabled ? config.tls : null
+    this.clientCertificates = this.tls ? this.tls.clientCertificates || 'off' : 'off'
+    this.passwords = config.passwords || {}
+    this.requireAuthentication = config.requireAuthentication || false
+    this.allowList = config.allowList || []
+    this.denyList = config.denyList || []
+
+    if (!CLIENT_CERTIFICATE_MODES.includes(this.clientCertificates)) {
+      throw new Error(`Unknown security.tls.clientCertificates "${this.clientCertificates}"`)
+    }
+  }
+
+  /**
+   * Options of the HTTPS server when TLS is enabled (security profiles 2 and 3)
+   * @returns {object|null}
+   */
+  getTlsOptions() {
+    if (!this.tls) {
+      return null
+    }
+    const options = {
+      cert: fs.readFileSync(this.tls.cert),
+      key: fs.readFileSync(this.tls.key),
+      requestCert: this.clientCertificates !== 'off',
+      // Certificates are checked in verify(), so that rejections are logged with the clientId
+      rejectUnauthorized: false,
+    }
+    if (this.tls.ca) {
+      options.ca = fs.readFileSync(this.tls.ca)
+    }
+    if (this.tls.passphrase) {
+      options.passphrase = this.tls.passphrase
+    }
+    return options
+  }
+
+  /**
+   * Check whether a charger may connect
+   * @param {string} clientId
+   * @param {http.IncomingMessage} request - WebSocket upgrade request
+   * @returns {object|null} null when accepted, { status, reason } when rejected
+   */
+  verify(clientId, request) {
+    if (this.denyList.includes(clientId)) {
+      return { status: 403, reason: 'clientId is deny-listed' }
+    }
+    if (this.allowList.length > 0 && !this.allowList.includes(clientId)) {
+      return { status: 403, reason: 'clientId is not allow-listed' }
+    }
+
+    // Security profile 3: the client certificate identifies the charger
+    const certificate = this.verifyCertificate(clientId, request)
+    if (certificate.error) {
+      return { status: 403, reason: certificate.error }
+    }
+
+    // Security profiles 1 and 2: Basic auth with the clientId as username
+    if (Object.prototype.hasOwnProperty.call(this.passwords, clientId)) {
+      return this.verifyPassword(clientId, request)
+    }
+    if (this.requireAuthentication && !certificate.authenticated) {
+      return { status: 401, reason: 'no password or client certificate configured for this clientId' }
+    }
+    return null
+  }
+
+  /**
+   * Check the TLS client certificate, whose CN must match the clientId
+   * @param {string} clientId
+   * @param {http.IncomingMessage} request
+   * @returns {object} { authenticated } or { error }
+   */
+  verifyCertificate(clientId, request) {
+    if (this.clientCertificates === 'off' || typeof request.socket.getPeerCertificate !== 'function') {
+      return { authenticated: false }
+    }
+
+    const certificate = request.socket.getPeerCertificate()
+    if (!certificate || Object.keys(certificate).length === 0) {
+      return this.clientCertificates === 'required' ? { error: 'client certificate required' } : { authenticated: false }
+    }
+    if (!request.socket.authorized) {
+      return { error: `invalid client certificate (${request.socket.authorizationError})` }
+    }
+    const commonName = certificate.subject && certificate.subject.CN
+    if (commonName !== clientId) {
+      return { error: `client certificate CN "${commonName}" does not match clientId` }
+    }
+    return { authenticated: true }
+  }
+
+  /**
+   * Check the Basic auth credentials of a charger
+   * @param {string} clientId
+   * @param {http.IncomingMessage} request
+   * @returns {object|null} null when accepted, { status, reason } when rejected
+   */
+  verifyPassword(clientId, request) {
+    const header = request.headers['authorization'] || ''
+    const match = header.match(/^Basic\s+(.+)$/i)
+    if (!match) {
+      return { status: 401, reason: 'missing Basic auth credentials' }
+    }
+
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8')
+    const separator = credentials.indexOf(':')
+    const username = credentials.slice(0, separator)
+    const password = credentials.slice(separator + 1)
+    if (separator < 0 || username !== clientId || !this.safeEqual(password, String(this.passwords[clientId]))) {
+      return { status: 401, reason: 'invalid Basic auth credentials' }
+    }
+    return null
+  }
+
+  /**
+   * Compare two strings in constant time
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(a).digest()
+    const hashB = crypto.createHash('sha256').update(b).digest()
+    return crypto.timingSafeEqual(hashA, hashB)
+  }
+}
+
+ChargerAuth.CLIENT_CERTIFICATE_MODES = CLIENT_CERTIFICATE_MODES
+
+module.exports = ChargerAuth
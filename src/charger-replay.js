@@ -0,0 +1,256 @@
+/**
+ * Charger Replay
+ * Plays the charger side of a journaled session: connects as the charger, sends its recorded frames
+ * with the original timing (or faster) and compares the responses with the recorded ones
+ */
+
+const WebSocket = require('ws')
+const { createLogger } = require('./logger')
+
+// Time allowed to answer a replayed CALL
+const RESPONSE_TIMEOUT = 30000
+
+// Time allowed to receive the CALL a recorded charger response answers
+const CALL_WAIT_TIMEOUT = 5000
+
+// Timestamps change from one run to another, two of them are always considered equal
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/
+
+/**
+ * Compare a received value with a recorded one, ignoring the timestamps
+ * @param {*} expected
+ * @param {*} received
+ * @returns {boolean}
+ */
+function sameValue(expected, received) {
+  if (typeof expected === 'string' && typeof received === 'string') {
+    return expected === received || (TIMESTAMP_PATTERN.test(expected) && TIMESTAMP_PATTERN.test(received))
+  }
+  if (!expected || !received || typeof expected !== 'object' || typeof received !== 'object') {
+    return expected === received
+  }
+  const keys = new Set([...Object.keys(expected), ...Object.keys(received)])
+  return (
+    Array.isArray(expected) === Array.isArray(received) && [...keys].every((key) => sameValue(expected[key], received[key]))
+  )
+}
+
+/**
+ * Wait for a delay
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+class ChargerReplay {
+  /**
+   * @param {Array<object>} entries - Journal entries of the session
+   * @param {object} options
+   * @param {string} options.url - Base URL, the clientId is appended
+   * @param {string} options.clientId
+   * @param {string} options.protocol - Subprotocol offered when connecting
+   * @param {number} options.speed - Timing factor: 1 for the original timing, 0 for no delay
+   * @param {number} options.origin - Start of the session (ms), the frames are sent relative to it
+   * @param {string} [options.password] - Basic auth password
+   */
+  constructor(entries, options) {
+    this.options = options
+    this.log = createLogger('Replay', options.clientId)
+    this.frames = entries.filter((entry) => entry.direction === 'from_client')
+    this.upstreamCalls = new Map() // Recorded messageId -> action of the upstream CALLs the charger answered
+    this.expectedResponses = new Map() // messageId -> recorded response relayed to the charger
+    for (const entry of entries) {
+      if (entry.direction !== 'from_upstream' || !entry.relayed || !Array.isArray(entry.frame)) {
+        continue
+      }
+      const [type, messageId, action] = entry.frame
+      if (type === 2) {
+        this.upstreamCalls.set(messageId, action)
+      } else {
+        this.expectedResponses.set(messageId, entry.frame)
+      }
+    }
+    this.ws = null
+    this.pendingCall = null // { messageId, resolve, timer } of the replayed CALL awaiting its response
+    this.liveCalls = [] // CALLs received during the replay and not answered yet
+    this.callWaiter = null // Resolved when a CALL is received
+    this.summary = { sent: 0, responses: 0, differences: [], missingResponses: [], unansweredCalls: [] }
+  }
+
+  /**
+   * Connect as the charger
+   * @returns {Promise}
+   */
+  connect() {
+    const { url, clientId, protocol, password } = this.options
+    const headers = {}
+    if (password) {
+      headers['Authorization'] = `Basic ${Buffer.from(`${clientId}:${password}`).toString('base64')}`
+    }
+
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(`${url}${encodeURIComponent(clientId)}`, protocol, { headers })
+      this.ws.once('open', () => {
+        this.log.info(`Connected to ${url}${clientId} (${this.ws.protocol || 'no subprotocol'})`)
+        resolve()
+      })
+      this.ws.once('unexpected-response', (request, response) => {
+        reject(new Error(`Connection refused with HTTP ${response.statusCode}`))
+      })
+      this.ws.on('error', (error) => {
+        this.log.error(`Connection error: ${error.message}`)
+        reject(error)
+      })
+      this.ws.on('close', (code) => {
+        this.log.info(`Connection closed (${code})`)
+        if (this.pendingCall) {
+          clearTimeout(this.pendingCall.timer)
+          this.pendingCall.resolve(null)
+        }
+      })
+      this.ws.on('message', (data) => this.handleMessage(data.toString()))
+    })
+  }
+
+  /**
+   * Handle a frame received by the charger
+   * @param {string} data
+   */
+  handleMessage(data) {
+    let frame
+    try {
+      frame = JSON.parse(data)
+    } catch {
+      this.log.warn(`Received invalid frame: ${data}`)
+      return
+    }
+
+    const [type, messageId] = frame
+    if (type === 2) {
+      this.log.info(`Received ${frame[2]} CALL (${messageId})`)
+      this.liveCalls.push(frame)
+      if (this.callWaiter) {
+        this.callWaiter()
+      }
+    } else if (this.pendingCall && messageId === this.pendingCall.messageId) {
+      clearTimeout(this.pendingCall.timer)
+      this.pendingCall.resolve(frame)
+    } else {
+      this.log.warn(`Received unexpected response (${messageId})`)
+    }
+  }
+
+  /**
+   * Replay the session
+   * @returns {Promise<object>} Summary: { sent, responses, differences, missingResponses, unansweredCalls }
+   */
+  async run() {
+    await this.connect()
+    const { speed, origin } = this.options
+    const start = Date.now()
+
+    for (const [index, entry] of this.frames.entries()) {
+      if (speed > 0) {
+        const delay = (Date.parse(entry.timestamp) - origin) / speed - (Date.now() - start)
+        if (delay > 0) {
+          await sleep(delay)
+        }
+      }
+      if (this.ws.readyState !== WebSocket.OPEN) {
+        this.log.warn(`Connection lost, ${this.frames.length - index} frame(s) not replayed`)
+        break
+      }
+      await this.sendFrame(entry.frame)
+    }
+
+    this.summary.unansweredCalls = this.liveCalls.map(([, messageId, action]) => `${action} (${messageId})`)
+    this.ws.close()
+    return this.summary
+  }
+
+  /**
+   * Send a recorded frame. CALLs wait for their response, like a charger does;
+   * responses answer the live CALL matching the recorded one.
+   * @param {Array|string} frame
+   */
+  async sendFrame(frame) {
+    if (!Array.isArray(frame)) {
+      this.ws.send(frame)
+      this.summary.sent++
+      return
+    }
+
+    const [type, messageId] = frame
+    if (type !== 2) {
+      // A response to no recorded CALL is replayed as is
+      const call = this.upstreamCalls.has(messageId) ? await this.takeLiveCall(messageId) : frame
+      if (call) {
+        this.ws.send(JSON.stringify([type, call[1], ...frame.slice(2)]))
+        this.summary.sent++
+      }
+      return
+    }
+
+    const response = new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(null), RESPONSE_TIMEOUT)
+      this.pendingCall = { messageId, resolve, timer }
+    })
+    this.ws.send(JSON.stringify(frame))
+    this.summary.sent++
+    const received = await response
+    this.pendingCall = null
+
+    if (!received) {
+      this.log.warn(`No response to ${frame[2]} (${messageId})`)
+      this.summary.missingResponses.push(`${frame[2]} (${messageId})`)
+      return
+    }
+    this.summary.responses++
+    const expected = this.expectedResponses.get(messageId)
+    if (expected && !sameValue(expected, received)) {
+      this.log.warn(
+        `Response to ${frame[2]} (${messageId}) differs: expected ${JSON.stringify(expected)}, received ${JSON.stringify(received)}`
+      )
+      this.summary.differences.push({ messageId, action: frame[2], expected, received })
+    }
+  }
+
+  /**
+   * Find the live CALL a recorded charger response answers: the CALL with the same messageId
+   * (through the proxy or a stand-in) or else the oldest one with the same action
+   * @param {string} messageId - Recorded messageId
+   * @returns {Promise<Array|null>}
+   */
+  async takeLiveCall(messageId) {
+    const action = this.upstreamCalls.get(messageId)
+    const deadline = Date.now() + CALL_WAIT_TIMEOUT
+
+    while (this.ws.readyState === WebSocket.OPEN) {
+      let index = this.liveCalls.findIndex((call) => call[1] === messageId)
+      if (index < 0) {
+        index = this.liveCalls.findIndex((call) => call[2] === action)
+      }
+      if (index >= 0) {
+        return this.liveCalls.splice(index, 1)[0]
+      }
+      if (Date.now() >= deadline) {
+        break
+      }
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, deadline - Date.now())
+        this.callWaiter = () => {
+          clearTimeout(timer)
+          resolve()
+        }
+      })
+      this.callWaiter = null
+    }
+
+    this.log.warn(`No ${action} CALL received to answer with the recorded response (${messageId})`)
+    return null
+  }
+}
+
+module.exports = ChargerReplay
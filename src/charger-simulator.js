@@ -0,0 +1,236 @@
+/**
+ * Charger Simulator
+ * Scriptable OCPP 1.6J charge point, to test the proxy and upstream servers end-to-end
+ */
+
+const crypto = require('crypto')
+const WebSocket = require('ws')
+const { createLogger } = require('./logger')
+
+// Default time allowed to answer a CALL, in ms
+const DEFAULT_TIMEOUT = 10000
+
+// Answers of the simulator to the CALLs it receives, unless handle() overrides them
+const DEFAULT_HANDLERS = {
+  ChangeAvailability: () => ({ status: 'Accepted' }),
+  ChangeConfiguration: () => ({ status: 'Accepted' }),
+  ClearCache: () => ({ status: 'Accepted' }),
+  GetConfiguration: (payload) => ({ configurationKey: [], unknownKey: payload.key || [] }),
+  RemoteStartTransaction: () => ({ status: 'Accepted' }),
+  RemoteStopTransaction: () => ({ status: 'Accepted' }),
+  Reset: () => ({ status: 'Accepted' }),
+  TriggerMessage: () => ({ status: 'Accepted' }),
+  UnlockConnector: () => ({ status: 'Unlocked' }),
+}
+
+class ChargerSimulator {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Base URL of the proxy (or of an upstream server), the clientId is appended
+   * @param {string} options.clientId
+   * @param {string|Array<string>} [options.protocol] - Subprotocol(s) offered, by preference (default ocpp1.6)
+   * @param {string} [options.password] - Basic auth password
+   * @param {number} [options.timeout] - Time allowed to answer a CALL, in ms
+   */
+  constructor(options) {
+    this.url = options.url
+    this.clientId = options.clientId
+    this.protocol = options.protocol || 'ocpp1.6'
+    this.password = options.password
+    this.timeout = options.timeout || DEFAULT_TIMEOUT
+    this.log = createLogger('Simulator', this.clientId)
+    this.ws = null
+    this.handlers = new Map(Object.entries(DEFAULT_HANDLERS))
+    this.pendingCalls = new Map() // messageId -> { action, resolve, reject, timer }
+    this.received = [] // Frames received, in order
+    this.closed = null // { code, reason } once the connection is closed
+  }
+
+  /**
+   * Connect to the proxy
+   * @returns {Promise}
+   */
+  connect() {
+    const headers = {}
+    if (this.password) {
+      headers['Authorization'] = `Basic ${Buffer.from(`${this.clientId}:${this.password}`).toString('base64')}`
+    }
+
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(`${this.url}${encodeURIComponent(this.clientId)}`, this.protocol, { headers })
+      this.ws.once('open', () => {
+        this.log.info(`Connected to ${this.url}${this.clientId}`)
+        resolve()
+      })
+      this.ws.once('unexpected-response', (request, response) => {
+        reject(new Error(`Connection refused with HTTP ${response.statusCode}`))
+      })
+      this.ws.on('error', (error) => {
+        this.log.error(`Connection error: ${error.message}`)
+        reject(error)
+      })
+      this.ws.on('close', (code, reason) => {
+        this.closed = { code, reason: reason.toString() }
+        this.log.info(`Connection closed (${code})`)
+        this.pendingCalls.forEach((call) => {
+          clearTimeout(call.timer)
+          call.reject(new Error(`Connection closed before the ${call.action} response`))
+        })
+        this.pendingCalls.clear()
+      })
+      this.ws.on('message', (data) => this.handleMessage(data.toString()))
+    })
+  }
+
+  /**
+   * Handle a frame received from the proxy
+   * @param {string} data
+   */
+  async handleMessage(data) {
+    let frame
+    try {
+      frame = JSON.parse(data)
+    } catch {
+      this.log.warn(`Received invalid frame: ${data}`)
+      return
+    }
+    this.received.push(frame)
+
+    const [type, messageId] = frame
+    if (type === 2) {
+      const [, , action, payload] = frame
+      const handler = this.handlers.get(action)
+      const response = handler
+        ? [3, messageId, await handler(payload)]
+        : [4, messageId, 'NotImplemented', `${action} is not supported by the simulator`, {}]
+      this.send(response)
+      return
+    }
+
+    const call = this.pendingCalls.get(messageId)
+    if (!call) {
+      this.log.warn(`Received response to unknown messageId ${messageId}`)
+      return
+    }
+    this.pendingCalls.delete(messageId)
+    clearTimeout(call.timer)
+    if (type === 3) {
+      call.resolve(frame[2])
+    } else {
+      const error = new Error(`${call.action} failed: ${frame[2]} ${frame[3]}`)
+      error.errorCode = frame[2]
+      call.reject(error)
+    }
+  }
+
+  /**
+   * Send a frame
+   * @param {Array} frame
+   */
+  send(frame) {
+    this.ws.send(JSON.stringify(frame))
+  }
+
+  /**
+   * Send a CALL and wait for its response
+   * @param {string} action
+   * @param {object} [payload]
+   * @returns {Promise<object>} CALLRESULT payload, rejected with the errorCode of a CALLERROR or on timeout
+   */
+  call(action, payload = {}) {
+    const messageId = crypto.randomUUID()
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingCalls.delete(messageId)
+        reject(new Error(`No response to ${action} within ${this.timeout}ms`))
+      }, this.timeout)
+      this.pendingCalls.set(messageId, { action, resolve, reject, timer })
+      this.send([2, messageId, action, payload])
+    })
+  }
+
+  /**
+   * Set the answer to the CALLs of an action
+   * @param {string} action
+   * @param {function} handler - (payload) => CALLRESULT payload (or a Promise of it)
+   */
+  handle(action, handler) {
+    this.handlers.set(action, handler)
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise}
+   */
+  close() {
+    if (!this.ws || this.closed) {
+      return Promise.resolve()
+    }
+    return new Promise((resolve) => {
+      this.ws.once('close', () => resolve())
+      this.ws.close()
+    })
+  }
+
+  // OCPP 1.6 CALLs
+
+  /**
+   * @param {object} [payload] - Overrides of the default vendor and model
+   */
+  bootNotification(payload = {}) {
+    return this.call('BootNotification', { chargePointVendor: 'Simulator', chargePointModel: 'OCPP16J', ...payload })
+  }
+
+  heartbeat() {
+    return this.call('Heartbeat')
+  }
+
+  /**
+   * @param {number} connectorId - 0 for the charge point itself
+   * @param {string} status
+   * @param {string} [errorCode]
+   */
+  statusNotification(connectorId, status, errorCode = 'NoError') {
+    return this.call('StatusNotification', { connectorId, status, errorCode })
+  }
+
+  /**
+   * @param {string} idTag
+   */
+  authorize(idTag) {
+    return this.call('Authorize', { idTag })
+  }
+
+  /**
+   * @param {number} connectorId
+   * @param {string} idTag
+   * @param {number} [meterStart] - Wh
+   */
+  startTransaction(connectorId, idTag, meterStart = 0) {
+    return this.call('StartTransaction', { connectorId, idTag, meterStart, timestamp: new Date().toISOString() })
+  }
+
+  /**
+   * @param {number} connectorId
+   * @param {number} transactionId
+   * @param {number} value - Energy meter reading, in Wh
+   */
+  meterValues(connectorId, transactionId, value) {
+    return this.call('MeterValues', {
+      connectorId,
+      transactionId,
+      meterValue: [{ timestamp: new Date().toISOString(), sampledValue: [{ value: String(value) }] }],
+    })
+  }
+
+  /**
+   * @param {number} transactionId
+   * @param {number} meterStop - Wh
+   * @param {string} [reason]
+   */
+  stopTransaction(transactionId, meterStop, reason = 'Local') {
+    return this.call('StopTransaction', { transactionId, meterStop, reason, timestamp: new Date().toISOString() })
+  }
+}
+
+module.exports = ChargerSimulator
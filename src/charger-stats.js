@@ -0,0 +1,265 @@
+/**
+ * Charger Statistics
+ * Aggregates, per charger, the traffic the proxy sees over a reporting period: sessions, energy,
+ * uptime, time spent Faulted or Unavailable, upstream disconnections and error codes
+ */
+
+const ocppEvents = require('./ocpp-events')
+
+// Statuses whose duration is reported, the charger being in one as soon as one of its connectors is
+const TRACKED_STATUSES = ['Faulted', 'Unavailable']
+
+// Error code of a status without a problem (OCPP 1.6)
+const NO_ERROR = 'NoError'
+
+// Limits per charger, so that a misbehaving one cannot grow the statistics without bound: the error codes beyond
+// are counted together, the oldest transactions never stopped are forgotten, the statuses of other targets ignored
+const MAX_ERROR_CODES = 50
+const OTHER_ERROR_CODES = '(other)'
+const MAX_TRANSACTIONS = 20
+const MAX_STATUS_TARGETS = 100
+
+class ChargerStats {
+  /**
+   * @param {number} [now] - Start of the first period (ms)
+   */
+  constructor(now = Date.now()) {
+    this.periodStart = now
+    this.chargers = new Map() // clientId -> record (see charger())
+  }
+
+  /**
+   * Record of a charger, created on first use
+   * @param {string} clientId
+   * @returns {object}
+   */
+  charger(clientId) {
+    let record = this.chargers.get(clientId)
+    if (!record) {
+      record = {
+        connections: 0,
+        connectedSince: null,
+        uptime: 0,
+        statuses: new Map(), // evseId|connectorId -> status
+        statusSince: {}, // tracked status -> start of the current period in it
+        statusDurations: Object.fromEntries(TRACKED_STATUSES.map((status) => [status, 0])),
+        sessions: 0,
+        energy: 0, // Wh
+        transactions: new Map(), // connector:<connectorId> (1.6) or tx:<transactionId> (2.x) -> { transactionId, meterStart }
+        upstreamDisconnections: 0,
+        errorCodes: new Map(), // errorCode -> count
+      }
+      this.chargers.set(clientId, record)
+    }
+    return record
+  }
+
+  /**
+   * Record a connection of a charger to the proxy. A charger replacing its own connection is connected twice
+   * for a moment, it is up until its last connection closes.
+   * @param {string} clientId
+   * @param {number} [now]
+   */
+  connected(clientId, now = Date.now()) {
+    const record = this.charger(clientId)
+    if (record.connections++ === 0) {
+      record.connectedSince = now
+    }
+  }
+
+  /**
+   * Record a disconnection of a charger from the proxy. Its statuses are unknown until it reports them again.
+   * @param {string} clientId
+   * @param {number} [now]
+   */
+  disconnected(clientId, now = Date.now()) {
+    const record = this.charger(clientId)
+    if (record.connections === 0 || --record.connections > 0) {
+      return
+    }
+    record.uptime += now - record.connectedSince
+    record.connectedSince = null
+    for (const target of [...record.statuses.keys()]) {
+      this.setStatus(record, target, null, now)
+    }
+  }
+
+  /**
+   * Record a disconnection of an upstream of a charger
+   * @param {string} clientId
+   */
+  upstreamDisconnected(clientId) {
+    this.charger(clientId).upstreamDisconnections++
+  }
+
+  /**
+   * Record a CALL of a charger
+   * @param {string} clientId
+   * @param {string} protocol - Negotiated subprotocol
+   * @param {string} action
+   * @param {object} payload
+   * @param {number} [now]
+   */
+  callFromClient(clientId, protocol, action, payload, now = Date.now()) {
+    if (!payload || typeof payload !== 'object') {
+      return
+    }
+    const record = this.charger(clientId)
+    const events = ocppEvents.fromCall(protocol, action, payload)
+    for (const event of events) {
+      switch (event.type) {
+        case 'status':
+          this.setStatus(record, `${event.evseId}|${event.connectorId}`, event.status, now)
+          if (event.errorCode && event.errorCode !== NO_ERROR) {
+            const errorCode = String(event.errorCode)
+            const code =
+              record.errorCodes.has(errorCode) || record.errorCodes.size < MAX_ERROR_CODES ? errorCode : OTHER_ERROR_CODES
+            record.errorCodes.set(code, (record.errorCodes.get(code) || 0) + 1)
+          }
+          break
+        case 'transactionStarted': {
+          const key = event.transactionId !== undefined ? `tx:${event.transactionId}` : `connector:${event.connectorId}`
+          record.sessions++
+          record.transactions.delete(key)
+          record.transactions.set(key, { transactionId: event.transactionId, meterStart: event.meterValue })
+          if (record.transactions.size > MAX_TRANSACTIONS) {
+            record.transactions.delete(record.transactions.keys().next().value)
+          }
+          break
+        }
+        case 'transactionStopped':
+          this.stopTransaction(record, event.transactionId, event.meterValue)
+          break
+      }
+    }
+
+    if (ocppEvents.isOcpp2(protocol)) {
+      // A Started TransactionEvent may have no meter value, the first one of the transaction is its start
+      const transactionInfo = action === 'TransactionEvent' && payload.transactionInfo
+      const transaction = transactionInfo && record.transactions.get(`tx:${transactionInfo.transactionId}`)
+      if (transaction && transaction.meterStart === undefined) {
+        transaction.meterStart = ocppEvents.energyRegister(payload.meterValue)
+      }
+      return
+    }
+    // OCPP 1.6: the transactionId assigned by the CSMS shows up in the MeterValues of the connector,
+    // the StopTransaction only has the transactionId
+    if (action === 'MeterValues' && payload.transactionId !== undefined) {
+      const transaction = record.transactions.get(`connector:${payload.connectorId}`)
+      if (transaction) {
+        transaction.transactionId = payload.transactionId
+      }
+    } else if (action === 'StopTransaction' && !events.some((event) => event.type === 'transactionStopped')) {
+      this.stopTransaction(record, payload.transactionId, payload.meterStop)
+    }
+  }
+
+  /**
+   * Add the energy of a stopped transaction, found by its transactionId, else the only one in progress
+   * @param {object} record
+   * @param {*} transactionId
+   * @param {number} [meterStop] - Wh
+   */
+  stopTransaction(record, transactionId, meterStop) {
+    let key = [...record.transactions.keys()].find((candidate) => {
+      return record.transactions.get(candidate).transactionId === transactionId
+    })
+    if (key === undefined && record.transactions.size === 1) {
+      key = record.transactions.keys().next().value
+    }
+    if (key === undefined) {
+      return
+    }
+    const { meterStart } = record.transactions.get(key)
+    record.transactions.delete(key)
+    if (typeof meterStart === 'number' && typeof meterStop === 'number' && meterStop >= meterStart) {
+      record.energy += meterStop - meterStart
+    }
+  }
+
+  /**
+   * Change the status of a charge point, EVSE or connector, accounting the time the charger spent
+   * with at least one of them in a tracked status
+   * @param {object} record
+   * @param {string} target - evseId|connectorId
+   * @param {string|null} status - null when unknown
+   * @param {number} now
+   */
+  setStatus(record, target, status, now) {
+    if (status !== null && !record.statuses.has(target) && record.statuses.size >= MAX_STATUS_TARGETS) {
+      return
+    }
+    const count = (tracked) => [...record.statuses.values()].filter((candidate) => candidate === tracked).length
+    const before = Object.fromEntries(TRACKED_STATUSES.map((tracked) => [tracked, count(tracked)]))
+    if (status === null) {
+      record.statuses.delete(target)
+    } else {
+      record.statuses.set(target, status)
+    }
+    for (const tracked of TRACKED_STATUSES) {
+      const after = count(tracked)
+      if (before[tracked] === 0 && after > 0) {
+        record.statusSince[tracked] = now
+      } else if (before[tracked] > 0 && after === 0) {
+        record.statusDurations[tracked] += now - record.statusSince[tracked]
+        delete record.statusSince[tracked]
+      }
+    }
+  }
+
+  /**
+   * Statistics of the current period, per charger
+   * @param {number} [now] - End of the period
+   * @param {number} [topErrorCodes] - Number of error codes reported per charger, the most frequent first
+   * @returns {object} { start, end, chargers: [{ clientId, sessions, energy (Wh), uptime, faulted, unavailable (ms),
+   * upstreamDisconnections, errorCodes: [{ code, count }] }] }
+   */
+  report(now = Date.now(), topErrorCodes = 3) {
+    const chargers = [...this.chargers]
+      .map(([clientId, record]) => {
+        const ongoing = (since) => (since !== undefined && since !== null ? now - since : 0)
+        return {
+          clientId,
+          sessions: record.sessions,
+          energy: record.energy,
+          uptime: record.uptime + ongoing(record.connectedSince),
+          faulted: record.statusDurations.Faulted + ongoing(record.statusSince.Faulted),
+          unavailable: record.statusDurations.Unavailable + ongoing(record.statusSince.Unavailable),
+          upstreamDisconnections: record.upstreamDisconnections,
+          errorCodes: [...record.errorCodes]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, topErrorCodes)
+            .map(([code, count]) => ({ code, count })),
+        }
+      })
+      .sort((a, b) => a.clientId.localeCompare(b.clientId))
+    return { start: this.periodStart, end: now, chargers }
+  }
+
+  /**
+   * Start a new period. The connections, statuses and transactions in progress carry over;
+   * the chargers gone for the whole period are forgotten.
+   * @param {number} [now]
+   */
+  reset(now = Date.now()) {
+    for (const [clientId, record] of this.chargers) {
+      if (record.connections === 0 && record.transactions.size === 0) {
+        this.chargers.delete(clientId)
+        continue
+      }
+      record.uptime = 0
+      record.connectedSince = record.connectedSince !== null ? now : null
+      for (const tracked of Object.keys(record.statusSince)) {
+        record.statusSince[tracked] = now
+      }
+      record.statusDurations = Object.fromEntries(TRACKED_STATUSES.map((status) => [status, 0]))
+      record.sessions = 0
+      record.energy = 0
+      record.upstreamDisconnections = 0
+      record.errorCodes = new Map()
+    }
+    this.periodStart = now
+  }
+}
+
+module.exports = ChargerStats
@@ -0,0 +1,236 @@
+/**
+ * Configuration Loader
+ * Reads the configuration file, applies the environment variable overrides,
+ * then validates it against its schema, at startup and on reload
+ */
+
+const fs = require('fs')
+const path = require('path')
+const Ajv = require('ajv')
+const { createLogger } = require('./logger')
+
+const log = createLogger('Config')
+
+// JSON schema of the configuration file
+const CONFIG_SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'config.schema.json')
+
+// Environment variables overriding a configuration key: OCPP_PROXY_<KEY>__<SUBKEY>..., <...>_FILE to read the value from a file
+const ENV_PREFIX = 'OCPP_PROXY_'
+const ENV_FILE_SUFFIX = '_FILE'
+
+let schema = null
+let validateSchema = null
+
+/**
+ * Get the configuration schema and its validation function, compiled on first use
+ * @returns {object} { schema, validate }
+ */
+function getSchema() {
+  if (!validateSchema) {
+    schema = JSON.parse(fs.readFileSync(CONFIG_SCHEMA_PATH, 'utf8'))
+    validateSchema = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(schema)
+  }
+  return { schema, validate: validateSchema }
+}
+
+/**
+ * Get the schema of a key of an object or array
+ * @param {object|null} node - Schema of the object or array
+ * @param {string|number} key
+ * @returns {object|null} null when the key is not described
+ */
+function childSchema(node, key) {
+  const resolve = (child) => (child && child.$ref ? schema.definitions[child.$ref.split('/').pop()] : child) || null
+  node = resolve(node)
+  if (!node) {
+    return null
+  }
+  if (node.properties && node.properties[key]) {
+    return resolve(node.properties[key])
+  }
+  if (node.items && typeof key === 'number') {
+    return resolve(node.items)
+  }
+  return node.additionalProperties instanceof Object ? resolve(node.additionalProperties) : null
+}
+
+/**
+ * Parse the value of an environment variable: kept as is for a string key, JSON otherwise
+ * (numbers, booleans, lists, objects), as is when it is not valid JSON
+ * @param {string} raw
+ * @param {object|null} node - Schema of the key
+ * @returns {*}
+ */
+function parseValue(raw, node) {
+  const types = node ? [].concat(node.type) : []
+  if (types.includes('string') && !/^\s*\[/.test(raw)) {
+    return raw
+  }
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return raw
+  }
+}
+
+/**
+ * Apply the OCPP_PROXY_* environment variables to the configuration. Nested keys are separated by __,
+ * list items by their index, and key names are matched case-insensitively
+ * (OCPP_PROXY_NOTIFY__EMAIL__TRANSPORTER__AUTH__PASS, OCPP_PROXY_UPSTREAMS__0__URL).
+ * @param {object} config
+ * @param {object} env - Environment variables
+ */
+function applyEnvironment(config, env) {
+  for (const name of Object.keys(env).sort()) {
+    if (!name.startsWith(ENV_PREFIX) || name.length === ENV_PREFIX.length) {
+      continue
+    }
+    let raw = env[name]
+    let variable = name.slice(ENV_PREFIX.length)
+    if (variable.endsWith(ENV_FILE_SUFFIX)) {
+      variable = variable.slice(0, -ENV_FILE_SUFFIX.length)
+      try {
+        raw = fs.readFileSync(raw, 'utf8').replace(/\r?\n$/, '')
+      } catch (error) {
+        throw new Error(`Failed to read ${name}: ${error.message}`, { cause: error })
+      }
+    }
+
+    const segments = variable.split('__')
+    const keys = []
+    let target = config
+    let node = schema
+    segments.forEach((segment, index) => {
+      let key
+      if (Array.isArray(target)) {
+        if (!/^\d+$/.test(segment)) {
+          throw new Error(`Invalid environment variable ${name}: ${keys.join('.')} is a list, ${segment} is not an index`)
+        }
+        key = Number(segment)
+        keys.push(`[${key}]`)
+      } else {
+        const known = [...Object.keys(target), ...Object.keys((node && node.properties) || {})]
+        key = known.find((candidate) => candidate.toLowerCase() === segment.toLowerCase()) || segment
+        keys.push(key)
+      }
+      const keyNode = childSchema(node, key)
+
+      if (index === segments.length - 1) {
+        target[key] = parseValue(raw, keyNode)
+        return
+      }
+      if (!(target[key] instanceof Object)) {
+        const isList = /^\d+$/.test(segments[index + 1]) || (keyNode && keyNode.type === 'array')
+        target[key] = isList ? [] : {}
+      }
+      target = target[key]
+      node = keyNode
+    })
+    log.info(`${keys.join('.').replace(/\.\[/g, '[')} set from ${name}`)
+  }
+}
+
+/**
+ * Describe a schema validation error
+ * @param {object} error - Ajv error
+ * @returns {string}
+ */
+function describeError(error) {
+  const key = error.instancePath
+    .split('/')
+    .slice(1)
+    .map((segment) => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`))
+    .join('')
+    .replace(/^\./, '')
+  switch (error.keyword) {
+    case 'required':
+      return `${key ? `${key}.` : ''}${error.params.missingProperty} is required`
+    case 'enum':
+      return `${key} must be one of ${error.params.allowedValues.join(', ')}`
+    case 'minLength':
+      return `${key} must not be empty`
+    case 'type':
+      return `${key} must be ${[].concat(error.params.type).join(' or ')}`
+    default:
+      return `${key} ${error.message}`
+  }
+}
+
+/**
+ * Build the upstreams array, either from the explicit `upstreams` list
+ * or from the simplified primaryUrl / secondaryUrl config
+ * @param {object} config
+ */
+function normalizeUpstreams(config) {
+  if (Array.isArray(config.upstreams)) {
+    config.upstreams = config.upstreams.map((upstream) => ({ ...upstream }))
+  } else if (config.primaryUrl) {
+    config.upstreams = [{ name: 'PRI', url: config.primaryUrl, role: 'primary' }]
+    if (config.secondaryUrl) {
+      config.upstreams.push({ name: 'SEC', url: config.secondaryUrl, role: 'mirror' })
+    }
+  } else {
+    throw new Error('Invalid configuration: upstreams (or primaryUrl) is required')
+  }
+
+  // Validate upstreams: unique names and exactly one primary
+  const upstreamNames = new Set()
+  const hasPrimary = config.upstreams.some((upstream) => upstream.role === 'primary')
+  config.upstreams.forEach((upstream, index) => {
+    if (upstreamNames.has(upstream.name)) {
+      throw new Error(`Invalid configuration: duplicate upstream name "${upstream.name}"`)
+    }
+    upstreamNames.add(upstream.name)
+    // Without an explicit primary, the first upstream answers the charger
+    if (!upstream.role) {
+      upstream.role = !hasPrimary && index === 0 ? 'primary' : 'mirror'
+    }
+    if (upstream.tls && !upstream.tls.cert !== !upstream.tls.key) {
+      throw new Error(`Invalid configuration: upstream "${upstream.name}" tls requires both cert and key`)
+    }
+  })
+
+  const primaryUpstreams = config.upstreams.filter((upstream) => upstream.role === 'primary')
+  if (primaryUpstreams.length !== 1) {
+    throw new Error(`Invalid configuration: exactly one primary upstream is required (found ${primaryUpstreams.length})`)
+  }
+}
+
+/**
+ * Load the configuration file, with the environment variable overrides
+ * @param {string} configPath
+ * @param {object} [env] - Environment variables (default process.env)
+ * @returns {object} Normalized configuration (config.upstreams is always set)
+ * @throws {Error} If the file can't be read or parsed, or the configuration is invalid
+ */
+function loadConfig(configPath, env = process.env) {
+  let config
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Failed to load configuration: ${error.message}`, { cause: error })
+  }
+
+  const { validate } = getSchema()
+  applyEnvironment(config, env)
+  if (!validate(config)) {
+    throw new Error(`Invalid configuration: ${validate.errors.map(describeError).join('; ')}`)
+  }
+  normalizeUpstreams(config)
+
+  // Validate charger security: TLS needs a server certificate and its key
+  const tlsConfig = config.security && config.security.tls
+  if (tlsConfig && tlsConfig.enabled && (!tlsConfig.cert || !tlsConfig.key)) {
+    throw new Error('Invalid configuration: security.tls requires cert and key')
+  }
+
+  // Unknown notify keys are most likely misspelled events
+  const notifyKeys = Object.keys(schema.properties.notify.properties)
+  Object.keys(config.notify || {})
+    .filter((key) => !notifyKeys.includes(key))
+    .forEach((key) => log.warn(`Unknown notify key "${key}" is ignored`))
+
+  return config
+}
+
+module.exports = { loadConfig }
@@ -0,0 +1,204 @@
+/**
+ * Digest Reports
+ * Sends the statistics of the chargers by email every day or every week, as an HTML table
+ */
+
+const Mailer = require('../lib/mailer')
+const { createLogger } = require('./logger')
+
+const log = createLogger('Digest')
+
+// Days of the weekly report, in Date.getDay() order
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+// Local time of the report
+const DEFAULT_TIME = '08:00'
+
+// Error codes listed per charger
+const DEFAULT_TOP_ERROR_CODES = 3
+
+/**
+ * Format a duration as days, hours and minutes (2d 3h 5m)
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000)
+  const parts = [
+    [Math.floor(minutes / 1440), 'd'],
+    [Math.floor((minutes % 1440) / 60), 'h'],
+    [minutes % 60, 'm'],
+  ]
+  const first = parts.findIndex(([value]) => value > 0)
+  return first === -1
+    ? '0m'
+    : parts
+        .slice(first)
+        .map(([value, unit]) => `${value}${unit}`)
+        .join(' ')
+}
+
+/**
+ * Format a timestamp as a local date and time (2024-05-13 08:00)
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+  const date = new Date(timestamp)
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+class Digest {
+  /**
+   * @param {object} config - digest configuration
+   * @param {object} emailConfig - Email settings: digest.email, else notify.email
+   * @param {ChargerStats} stats - Statistics of the chargers, reset after each report
+   * @param {function} [clientName] - (clientId) => human-readable name of the charger
+   */
+  constructor(config, emailConfig, stats, clientName = (clientId) => clientId) {
+    this.config = config
+    this.stats = stats
+    this.clientName = clientName
+    this.timer = null
+    this.mailer = null
+    const mailConfig = { ...emailConfig, to: config.to || (emailConfig || {}).to }
+    if (emailConfig && Mailer.isConfigured(mailConfig)) {
+      this.mailer = new Mailer(mailConfig)
+    }
+  }
+
+  /**
+   * Schedule the reports
+   */
+  start() {
+    if (!this.mailer) {
+      log.warn('Digest reports need email settings (digest.email or notify.email), they will be disabled')
+      return
+    }
+    this.schedule()
+  }
+
+  /**
+   * Stop the reports
+   */
+  stop() {
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Time of the next report: every day, or every week on digest.day, at digest.time (local time)
+   * @param {Date} [now]
+   * @returns {Date}
+   */
+  nextRun(now = new Date()) {
+    const weekly = this.config.schedule === 'weekly'
+    const [hours, minutes] = (this.config.time || DEFAULT_TIME).split(':').map(Number)
+    const next = new Date(now)
+    next.setHours(hours, minutes, 0, 0)
+    if (weekly) {
+      next.setDate(next.getDate() + ((DAYS.indexOf(this.config.day || 'monday') - next.getDay() + 7) % 7))
+    }
+    while (next <= now) {
+      next.setDate(next.getDate() + (weekly ? 7 : 1))
+    }
+    return next
+  }
+
+  /**
+   * Wait for the next report, then send it and schedule the following one
+   */
+  schedule() {
+    const next = this.nextRun()
+    log.info(`Next digest report on ${formatDate(next.getTime())}`)
+    this.timer = setTimeout(() => {
+      this.send()
+        .catch((error) => log.error(`Digest report error: ${error.message}`))
+        .then(() => this.schedule())
+    }, next.getTime() - Date.now())
+  }
+
+  /**
+   * Send the report of the current period and start a new one
+   * @param {number} [now]
+   */
+  async send(now = Date.now()) {
+    const topErrorCodes = this.config.topErrorCodes !== undefined ? this.config.topErrorCodes : DEFAULT_TOP_ERROR_CODES
+    const report = this.stats.report(now, topErrorCodes)
+    this.stats.reset(now)
+    const { title, text, html } = this.render(report)
+    const res = await this.mailer.send(title, text, null, { html })
+    if (res.error) {
+      log.error(`Failed to send the digest report: ${res.error}`)
+    } else {
+      log.info(`Digest report sent (${report.chargers.length} charger(s))`)
+    }
+  }
+
+  /**
+   * Render a report as a text and an HTML table, one row per charger and a row of totals
+   * @param {object} report - See ChargerStats.report()
+   * @returns {object} { title, text, html }
+   */
+  render(report) {
+    const period = report.end - report.start
+    const title = `OCPP proxy ${this.config.schedule === 'weekly' ? 'weekly' : 'daily'} report: ${formatDate(report.start)} - ${formatDate(report.end)}`
+    const headers = [
+      'Charger',
+      'Sessions',
+      'Energy (kWh)',
+      'Uptime',
+      'Faulted',
+      'Unavailable',
+      'Upstream disconnections',
+      'Top error codes',
+    ]
+    const rows = report.chargers.map((charger) => [
+      this.clientName(charger.clientId) || charger.clientId,
+      String(charger.sessions),
+      (charger.energy / 1000).toFixed(1),
+      `${period > 0 ? ((charger.uptime / period) * 100).toFixed(1) : '0.0'}% (${formatDuration(charger.uptime)})`,
+      formatDuration(charger.faulted),
+      formatDuration(charger.unavailable),
+      String(charger.upstreamDisconnections),
+      charger.errorCodes.map(({ code, count }) => `${code} (${count})`).join(', '),
+    ])
+    const total = (field) => report.chargers.reduce((sum, charger) => sum + charger[field], 0)
+    const totals = [
+      'Total',
+      String(total('sessions')),
+      (total('energy') / 1000).toFixed(1),
+      '',
+      '',
+      '',
+      String(total('upstreamDisconnections')),
+      '',
+    ]
+
+    // One block of "header: value" lines per charger, empty values left out
+    const blocks = [...rows, totals].map((row) =>
+      headers
+        .map((header, index) => (row[index] ? `${header}: ${row[index]}` : null))
+        .filter((line) => line)
+        .join('\n')
+    )
+    const empty = 'No charger activity during the period.'
+    const text = [title, ...(rows.length > 0 ? blocks : [empty])].join('\n\n')
+
+    const escape = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    const cell = (tag, value) => `<${tag} style="border:1px solid #ccc;padding:4px 8px">${escape(value)}</${tag}>`
+    const tableRows = [
+      `<tr>${headers.map((header) => cell('th', header)).join('')}</tr>`,
+      ...rows.map((row) => `<tr>${row.map((value) => cell('td', value)).join('')}</tr>`),
+      `<tr>${totals.map((value) => cell('th', value)).join('')}</tr>`,
+    ]
+    const html = [
+      `<h2>${escape(title)}</h2>`,
+      rows.length > 0 ? `<table style="border-collapse:collapse">\n${tableRows.join('\n')}\n</table>` : `<p>${empty}</p>`,
+    ].join('\n')
+    return { title, text, html }
+  }
+}
+
+module.exports = Digest
@@ -5,46 +5,46 @@
 
 const fs = require('fs')
 const path = require('path')
+const { parseArgs } = require('util')
 const OcppProxy = require('./proxy')
+const { loadConfig } = require('./config')
 const { createLogger, setLogLevel } = require('./logger')
 
 const log = createLogger('Main')
 
-// Load configuration
+// Load configuration: --config <path>, else config.dev.json when present, else config.json
+let args
+try {
+  args = parseArgs({ options: { config: { type: 'string' } } })
+} catch (error) {
+  log.error(`${error.message}\nUsage: node src/index.js [--config <path>]`)
+  process.exit(2)
+}
 const configPathDev = path.join(__dirname, '..', 'config', 'config.dev.json')
 const configPathProd = path.join(__dirname, '..', 'config', 'config.json')
-const configPath = fs.existsSync(configPathDev) ? configPathDev : configPathProd
+const configPath = args.values.config
+  ? path.resolve(args.values.config)
+  : fs.existsSync(configPathDev)
+    ? configPathDev
+    : configPathProd
+const clientIdToHumanPath = path.join(__dirname, '..', 'config', 'clientIdToHuman.json')
+
+// Delay before reloading a changed file, editors often write it in several steps
+const WATCH_DEBOUNCE = 500
+
 let config
 
 try {
-  const configFile = fs.readFileSync(configPath, 'utf8')
-  config = JSON.parse(configFile)
+  config = loadConfig(configPath)
   if (config.logLevel) {
     setLogLevel(config.logLevel)
   }
   log.info(`Configuration loaded from ${configPath}`)
 } catch (error) {
-  log.error(`Failed to load configuration: ${error.message}`)
-  process.exit(1)
-}
-
-// Validate configuration
-if (!config.proxy || !config.proxy.host || !config.proxy.port) {
-  log.error('Invalid configuration: proxy settings missing')
-  process.exit(1)
-}
-
-if (!config.primaryUrl) {
-  log.error('Invalid configuration: primaryUrl is required')
+  log.error(error.message)
   process.exit(1)
 }
 
-// Build upstreams array from simplified config
-config.upstreams = [{ name: 'PRI', url: config.primaryUrl }]
-if (config.secondaryUrl) {
-  config.upstreams.push({ name: 'SEC', url: config.secondaryUrl })
-}
-
 // Create and start proxy
 const proxy = new OcppProxy(config)
 
@@ -52,10 +52,9 @@ log.debug('========================================')
 log.debug('WebSocket OCPP Proxy Server')
 log.debug('========================================')
 log.debug(`Proxy: ${config.proxy.host}:${config.proxy.port}`)
-log.debug(`Primary (PRI): ${config.primaryUrl}`)
-if (config.secondaryUrl) {
-  log.debug(`Secondary (SEC): ${config.secondaryUrl}`)
-}
+config.upstreams.forEach((upstream) => {
+  log.debug(`Upstream ${upstream.name} (${upstream.role}): ${upstream.url}`)
+})
 log.info('Starting server...')
 
 try {
@@ -75,6 +74,51 @@ const shutdown = () => {
 process.on('SIGINT', shutdown)
 process.on('SIGTERM', shutdown)
 
+/**
+ * Reload the configuration file and apply it to the running proxy.
+ * An invalid configuration is rejected, the current one keeps running.
+ * @param {string} trigger - What asked for the reload (for the logs)
+ */
+const reloadConfig = (trigger) => {
+  let newConfig
+  try {
+    newConfig = loadConfig(configPath)
+    proxy.reload(newConfig)
+  } catch (error) {
+    log.error(`Configuration reload (${trigger}) rejected, keeping the current configuration: ${error.message}`)
+    return
+  }
+  setLogLevel(newConfig.logLevel || 'info')
+  log.info(`Configuration reloaded from ${configPath} (${trigger})`)
+}
+
+process.on('SIGHUP', () => reloadConfig('SIGHUP'))
+
+// Watch the configuration directory rather than the files, which editors often replace
+if (config.watchConfig) {
+  const timers = new Map()
+  for (const directory of new Set([path.dirname(configPath), path.dirname(clientIdToHumanPath)])) {
+    fs.watch(directory, (eventType, filename) => {
+      const changed = path.join(directory, filename || '')
+      if (changed !== configPath && changed !== clientIdToHumanPath) {
+        return
+      }
+      clearTimeout(timers.get(changed))
+      timers.set(
+        changed,
+        setTimeout(() => {
+          if (changed === configPath) {
+            reloadConfig('file change')
+          } else if (proxy.notifier) {
+            proxy.notifier.loadClientNames()
+          }
+        }, WATCH_DEBOUNCE)
+      )
+    })
+    log.info(`Watching ${directory} for configuration changes`)
+  }
+}
+
 // Error handling
 process.on('uncaughtException', (error) => {
   log.error(`Uncaught exception: ${error}`)
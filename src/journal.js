@@ -0,0 +1,260 @@
+/**
+ * Journal
+ * Records the OCPP frames seen by the proxy as JSON lines, one file per charger and per day
+ * (<directory>/<clientId>/<YYYY-MM-DD>.jsonl), split by size and deleted after the retention period
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { createLogger } = require('./logger')
+
+const log = createLogger('Journal')
+
+// Minimum time between two retention cleanups
+const CLEANUP_INTERVAL = 60 * 60 * 1000
+
+// Replacement of the redacted values
+const REDACTED = '[redacted]'
+
+// Payload fields holding an idTag (1.6) or an idToken (2.x)
+const REDACTED_FIELDS = ['idTag', 'parentIdTag', 'idToken']
+
+// Configuration keys (1.6) and device model variables (2.x) holding a charger password
+const SECRET_SETTINGS = ['AuthorizationKey', 'BasicAuthPassword']
+
+// Connection headers holding credentials
+const SECRET_HEADERS = ['authorization', 'proxy-authorization']
+
+/**
+ * Sort key of a journal file name: <YYYY-MM-DD>.jsonl comes before <YYYY-MM-DD>.1.jsonl, .2…
+ * @param {string} name
+ * @returns {string}
+ */
+function fileOrder(name) {
+  const [date, part] = name.replace(/\.jsonl$/, '').split('.')
+  return `${date}.${String(part || 0).padStart(6, '0')}`
+}
+
+class Journal {
+  /**
+   * @param {object} config - journal configuration ({ directory, maxSize, retention, redact })
+   * @param {string} defaultDirectory - Directory used when config.directory is missing
+   */
+  constructor(config, defaultDirectory) {
+    this.directory = config.directory || defaultDirectory
+    this.maxSize = (config.maxSize || 0) * 1024 * 1024
+    this.retention = config.retention || 0
+    this.redact = config.redact || false
+    this.files = new Map() // clientId -> { stream, date, part, size }
+    this.lastCleanup = 0
+  }
+
+  /**
+   * Record the connection of a charger
+   * @param {string} clientId
+   * @param {object} connection - { protocol, ip, path, headers }
+   */
+  recordConnection(clientId, connection) {
+    const headers = { ...connection.headers }
+    if (this.redact) {
+      Object.keys(headers)
+        .filter((name) => SECRET_HEADERS.includes(name.toLowerCase()))
+        .forEach((name) => (headers[name] = REDACTED))
+    }
+    this.write(clientId, { direction: 'connection', ...connection, headers })
+  }
+
+  /**
+   * Record a frame
+   * @param {string} clientId
+   * @param {object} entry
+   * @param {string} entry.direction - from_client or from_upstream
+   * @param {string|null} entry.upstream - Upstream that sent the frame, or that a client response is routed to
+   * @param {boolean} entry.relayed - Whether the frame was sent on, or dropped by the proxy
+   * @param {string} [entry.reason] - Why the frame was dropped or answered locally
+   * @param {string} data - Raw frame
+   */
+  recordFrame(clientId, entry, data) {
+    let frame
+    try {
+      frame = JSON.parse(data)
+    } catch {
+      frame = data
+    }
+    if (this.redact) {
+      frame = this.redactValue(frame)
+    }
+    this.write(clientId, { ...entry, frame })
+  }
+
+  /**
+   * Copy a value with its idTags and passwords replaced
+   * @param {*} value
+   * @returns {*}
+   */
+  redactValue(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redactValue(item))
+    }
+    if (!value || typeof value !== 'object') {
+      return value
+    }
+
+    const redacted = {}
+    for (const [key, item] of Object.entries(value)) {
+      redacted[key] = REDACTED_FIELDS.includes(key) && typeof item === 'string' ? REDACTED : this.redactValue(item)
+    }
+    // ChangeConfiguration (1.6) and SetVariables (2.x) of a password
+    if (SECRET_SETTINGS.includes(value.key) && 'value' in value) {
+      redacted.value = REDACTED
+    }
+    if (value.variable && SECRET_SETTINGS.includes(value.variable.name) && 'attributeValue' in value) {
+      redacted.attributeValue = REDACTED
+    }
+    return redacted
+  }
+
+  /**
+   * Append a line to the current file of a charger, rotating it when the day changes or it is full
+   * @param {string} clientId
+   * @param {object} entry
+   */
+  write(clientId, entry) {
+    const timestamp = new Date()
+    const line = JSON.stringify({ timestamp: timestamp.toISOString(), clientId, ...entry }) + '\n'
+    const date = timestamp.toISOString().slice(0, 10)
+
+    let file = this.files.get(clientId)
+    let firstPart = 0
+    if (file && (file.date !== date || (this.maxSize > 0 && file.size >= this.maxSize))) {
+      // The full part may not be flushed yet: its size on disk can't tell it is full
+      firstPart = file.date === date ? file.part + 1 : 0
+      file.stream.end()
+      file = null
+    }
+    if (!file) {
+      file = this.open(clientId, date, firstPart)
+      if (!file) {
+        return
+      }
+      this.files.set(clientId, file)
+    }
+
+    file.stream.write(line)
+    file.size += Buffer.byteLength(line)
+  }
+
+  /**
+   * Open the file of a charger for a day, after the parts already full
+   * @param {string} clientId
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} [firstPart] - First part to consider
+   * @returns {object|null} { stream, date, part, size }
+   */
+  open(clientId, date, firstPart = 0) {
+    const directory = path.join(this.directory, clientId)
+    try {
+      fs.mkdirSync(directory, { recursive: true })
+      const partPath = (part) => path.join(directory, part ? `${date}.${part}.jsonl` : `${date}.jsonl`)
+      let part = firstPart
+      let filePath = partPath(part)
+      let size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0
+      while (this.maxSize > 0 && size >= this.maxSize) {
+        part++
+        filePath = partPath(part)
+        size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0
+      }
+
+      const stream = fs.createWriteStream(filePath, { flags: 'a' })
+      stream.on('error', (error) => {
+        createLogger('Journal', clientId).error(`Failed to write ${filePath}: ${error.message}`)
+      })
+      this.cleanup()
+      return { stream, date, part, size }
+    } catch (error) {
+      createLogger('Journal', clientId).error(`Failed to open journal in ${directory}: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Delete the files older than the retention period (at most once an hour)
+   */
+  cleanup() {
+    if (this.retention <= 0 || Date.now() - this.lastCleanup < CLEANUP_INTERVAL) {
+      return
+    }
+    this.lastCleanup = Date.now()
+
+    const limit = Date.now() - this.retention * 24 * 60 * 60 * 1000
+    let deleted = 0
+    try {
+      for (const clientId of fs.readdirSync(this.directory)) {
+        const directory = path.join(this.directory, clientId)
+        if (!fs.statSync(directory).isDirectory()) {
+          continue
+        }
+        for (const name of fs.readdirSync(directory)) {
+          const filePath = path.join(directory, name)
+          if (name.endsWith('.jsonl') && fs.statSync(filePath).mtimeMs < limit) {
+            fs.rmSync(filePath, { force: true })
+            deleted++
+          }
+        }
+      }
+    } catch (error) {
+      log.error(`Journal cleanup failed: ${error.message}`)
+    }
+    if (deleted > 0) {
+      log.info(`Deleted ${deleted} journal file(s) older than ${this.retention} day(s)`)
+    }
+  }
+
+  /**
+   * Close the file of a charger
+   * @param {string} clientId
+   */
+  close(clientId) {
+    const file = this.files.get(clientId)
+    if (file) {
+      file.stream.end()
+      this.files.delete(clientId)
+    }
+  }
+
+  /**
+   * Close all files
+   */
+  stop() {
+    this.files.forEach((file) => file.stream.end())
+    this.files.clear()
+  }
+
+  /**
+   * Read journal files, or all the files of journal directories, in chronological order
+   * @param {Array<string>} paths - Files or directories (e.g. <directory>/<clientId>)
+   * @returns {Array<object>} Journal entries
+   */
+  static load(paths) {
+    const files = paths.flatMap((filePath) =>
+      fs.statSync(filePath).isDirectory()
+        ? fs
+            .readdirSync(filePath)
+            .filter((name) => name.endsWith('.jsonl'))
+            .sort((a, b) => fileOrder(a).localeCompare(fileOrder(b)))
+            .map((name) => path.join(filePath, name))
+        : [filePath]
+    )
+    const entries = files.flatMap((filePath) =>
+      fs
+        .readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim() !== '')
+        .map((line) => JSON.parse(line))
+    )
+    // Stable sort: frames recorded in the same millisecond keep their order
+    return entries.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+  }
+}
+
+module.exports = Journal
@@ -0,0 +1,259 @@
+/**
+ * Message Queue
+ * Store-and-forward queue of client CALLs for one client and one upstream,
+ * optionally persisted to disk, replayed in order when the upstream is back
+ */
+
+const fs = require('fs')
+const path = require('path')
+const metrics = require('./metrics')
+const { createLogger } = require('./logger')
+
+// Longest wait before a replayed CALL left unanswered is sent again, in ms
+const MAX_RETRY_DELAY = 300000
+
+class MessageQueue {
+  /**
+   * @param {string} clientId
+   * @param {string} upstreamName
+   * @param {object} [options]
+   * @param {string} [options.directory] - Directory of the queue files, in memory only when missing
+   * @param {number} [options.maxSize] - Maximum number of queued CALLs, the oldest are dropped beyond
+   * @param {number} [options.maxAge] - Maximum age of a queued CALL in seconds, older ones are not replayed
+   */
+  constructor(clientId, upstreamName, options = {}) {
+    this.clientId = clientId
+    this.upstreamName = upstreamName
+    this.maxSize = options.maxSize || 10000
+    this.maxAge = (options.maxAge || 604800) * 1000
+    this.filePath = options.directory ? path.join(options.directory, clientId, `${upstreamName}.jsonl`) : null
+    this.log = createLogger('Queue', clientId)
+    this.entries = [] // { frame, queuedAt, meta }
+    this.isReplaying = false
+    this.pendingReplay = null // { messageId, resolve, timer } of the replayed CALL awaiting its response
+    this.replayCancelled = false
+    this.loadFailed = false // The file could not be read: it is never rewritten, not to lose its CALLs
+    this.stats = { queued: 0, replayed: 0, rejected: 0, dropped: 0, expired: 0 }
+    this.load()
+  }
+
+  /**
+   * Number of CALLs waiting to be replayed
+   * @returns {number}
+   */
+  get length() {
+    return this.entries.length
+  }
+
+  /**
+   * Load the entries left on disk by a previous run. Invalid lines (e.g. the last one, cut by a crash)
+   * are skipped, the file is first copied to <file>.corrupt-<time> so that they can be recovered.
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return
+    }
+
+    let content
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8')
+    } catch (error) {
+      this.loadFailed = true
+      this.log.error(`Failed to load queue ${this.filePath}, it will not be updated: ${error.message}`)
+      return
+    }
+
+    let invalid = 0
+    for (const line of content.split('\n')) {
+      if (line.trim() === '') {
+        continue
+      }
+      try {
+        const entry = JSON.parse(line)
+        if (!entry || !Array.isArray(entry.frame) || entry.frame[0] !== 2) {
+          throw new Error('not a queued CALL')
+        }
+        this.entries.push(entry)
+      } catch {
+        invalid++
+      }
+    }
+    if (invalid > 0) {
+      const quarantinePath = `${this.filePath}.corrupt-${Date.now()}`
+      try {
+        fs.copyFileSync(this.filePath, quarantinePath)
+        this.log.warn(`Skipped ${invalid} invalid line(s) of ${this.filePath}, kept in ${quarantinePath}`)
+      } catch (error) {
+        this.loadFailed = true
+        this.log.error(
+          `Failed to keep the invalid lines of queue ${this.filePath}, it will not be updated: ${error.message}`
+        )
+      }
+    }
+    this.log.info(`Loaded ${this.entries.length} queued CALL(s) for ${this.upstreamName} from ${this.filePath}`)
+  }
+
+  /**
+   * Write all entries to disk (atomically, through a temporary file)
+   */
+  save() {
+    if (!this.filePath || this.loadFailed) {
+      return
+    }
+
+    try {
+      if (this.entries.length === 0) {
+        fs.rmSync(this.filePath, { force: true })
+        return
+      }
+      const tmpPath = `${this.filePath}.tmp`
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tmpPath, this.entries.map((entry) => JSON.stringify(entry)).join('\n') + '\n')
+      fs.renameSync(tmpPath, this.filePath)
+    } catch (error) {
+      this.log.error(`Failed to save queue ${this.filePath}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Queue a CALL frame
+   * @param {Array} frame - Parsed CALL frame
+   * @param {object} [meta] - Extra data kept with the CALL (e.g. a local transactionId)
+   */
+  push(frame, meta) {
+    const entry = { frame, queuedAt: Date.now(), meta: meta || {} }
+    this.entries.push(entry)
+    this.stats.queued++
+
+    if (this.entries.length > this.maxSize) {
+      const dropped = this.entries.shift()
+      this.stats.dropped++
+      this.log.warn(`Queue for ${this.upstreamName} is full, dropped ${dropped.frame[2]} (${dropped.frame[1]})`)
+      this.save()
+      return
+    }
+
+    if (this.filePath) {
+      try {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n')
+      } catch (error) {
+        this.log.error(`Failed to persist queued CALL: ${error.message}`)
+      }
+    }
+    this.log.info(`Queued ${frame[2]} (${frame[1]}) for ${this.upstreamName} (${this.entries.length} in queue)`)
+  }
+
+  /**
+   * Replay the queued CALLs to the upstream, one at a time and in order. A CALL is only dequeued once
+   * the upstream answered it; left unanswered, it is sent again after a delay doubled on each attempt.
+   * Stops when the upstream cannot be reached; the remaining CALLs stay queued.
+   * @param {UpstreamConnection} upstream
+   * @param {object} [hooks]
+   * @param {function} [hooks.beforeSend] - (entry) => frame actually sent
+   * @param {function} [hooks.onResult] - (entry, response) called with the upstream CALLRESULT
+   */
+  async replay(upstream, hooks = {}) {
+    if (this.isReplaying || this.entries.length === 0) {
+      return
+    }
+
+    this.isReplaying = true
+    this.replayCancelled = false
+    this.log.info(`Replaying ${this.entries.length} queued CALL(s) to ${upstream.name}`)
+
+    let attempts = 0
+    while (this.entries.length > 0 && !this.replayCancelled) {
+      const entry = this.entries[0]
+      const frame = hooks.beforeSend ? hooks.beforeSend(entry) : entry.frame
+      const [, messageId, action] = frame
+
+      if (Date.now() - entry.queuedAt > this.maxAge) {
+        this.entries.shift()
+        this.stats.expired++
+        this.log.warn(`Queued ${action} (${messageId}) expired, not replayed to ${upstream.name}`)
+        this.save()
+        continue
+      }
+
+      const response = new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(null), upstream.callTimeout)
+        this.pendingReplay = { messageId, resolve, timer }
+      })
+
+      if (!upstream.send(JSON.stringify(frame))) {
+        clearTimeout(this.pendingReplay.timer)
+        this.pendingReplay = null
+        break
+      }
+      metrics.countMessage('to_upstream', 2, action)
+
+      let result = await response
+      this.pendingReplay = null
+      if (!result) {
+        if (!upstream.isConnected || this.replayCancelled) {
+          break
+        }
+        // A late response during the delay still answers the CALL
+        attempts++
+        const delay = Math.min(upstream.callTimeout * 2 ** (attempts - 1), MAX_RETRY_DELAY)
+        this.log.warn(`No response of ${upstream.name} to replayed ${action} (${messageId}), sent again in ${delay / 1000}s`)
+        result = await new Promise((resolve) => {
+          this.pendingReplay = { messageId, resolve, timer: setTimeout(() => resolve(null), delay) }
+        })
+        this.pendingReplay = null
+        if (!result) {
+          continue
+        }
+      }
+      attempts = 0
+      this.entries.shift()
+      this.save()
+
+      if (result[0] !== 3) {
+        this.stats.rejected++
+        this.log.error(`Replayed ${action} (${messageId}) was not accepted by ${upstream.name}`)
+        continue
+      }
+      this.stats.replayed++
+      if (hooks.onResult) {
+        hooks.onResult(entry, result)
+      }
+    }
+
+    this.isReplaying = false
+    if (this.entries.length === 0) {
+      this.log.info(`Replay to ${upstream.name} complete`)
+    } else {
+      this.log.warn(`Replay to ${upstream.name} interrupted — ${this.entries.length} CALL(s) still queued`)
+    }
+  }
+
+  /**
+   * Consume an upstream response to a replayed CALL
+   * @param {object} message - Parsed CALLRESULT or CALLERROR
+   * @returns {boolean} true if the message answered a replayed CALL (it must not reach the client)
+   */
+  handleResponse(message) {
+    if (!this.pendingReplay || message.messageId !== this.pendingReplay.messageId) {
+      return false
+    }
+    clearTimeout(this.pendingReplay.timer)
+    this.pendingReplay.resolve(message.parsed)
+    return true
+  }
+
+  /**
+   * Cancel a replay in progress, the queued CALLs are kept
+   */
+  clear() {
+    this.replayCancelled = this.isReplaying
+    if (this.pendingReplay) {
+      clearTimeout(this.pendingReplay.timer)
+      this.pendingReplay.resolve(null)
+      this.pendingReplay = null
+    }
+  }
+}
+
+module.exports = MessageQueue
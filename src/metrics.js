@@ -0,0 +1,198 @@
+/**
+ * Prometheus Metrics
+ * Provides a centralized metrics registry for the proxy
+ */
+
+const client = require('prom-client')
+const SchemaValidator = require('./schema-validator')
+
+const registry = new client.Registry()
+client.collectDefaultMetrics({ register: registry, prefix: 'ocpp_proxy_' })
+
+// OCPP message type names, by message type number
+const MESSAGE_TYPES = { 2: 'CALL', 3: 'CALLRESULT', 4: 'CALLERROR' }
+
+// Actions reported by name in the action label, the others sent by the chargers or upstreams are counted as "other"
+// so that the number of label values stays bounded
+const KNOWN_ACTIONS = SchemaValidator.knownActions()
+
+// Proxy whose state is reported by the gauges
+let proxy = null
+
+const connectedChargers = new client.Gauge({
+  name: 'ocpp_proxy_connected_chargers',
+  help: 'Number of chargers connected to the proxy',
+  registers: [registry],
+  collect() {
+    this.set(proxy ? proxy.clientConnections.size : 0)
+  },
+})
+
+const upstreamConnected = new client.Gauge({
+  name: 'ocpp_proxy_upstream_connected',
+  help: 'Upstream connection state per charger and upstream (1 connected, 0 disconnected)',
+  labelNames: ['client_id', 'upstream'],
+  registers: [registry],
+  collect() {
+    this.reset()
+    forEachUpstream((connectionInfo, upstream) => {
+      this.set({ client_id: connectionInfo.clientId, upstream: upstream.name }, upstream.isConnected ? 1 : 0)
+    })
+  },
+})
+
+const bufferedMessages = new client.Gauge({
+  name: 'ocpp_proxy_buffered_messages',
+  help: 'Client messages buffered before any upstream is connected, per charger',
+  labelNames: ['client_id'],
+  registers: [registry],
+  collect() {
+    this.reset()
+    if (proxy) {
+      proxy.clientConnections.forEach((connectionInfo) => {
+        this.set({ client_id: connectionInfo.clientId }, connectionInfo.messageBuffer.length)
+      })
+    }
+  },
+})
+
+const queuedMessages = new client.Gauge({
+  name: 'ocpp_proxy_queued_messages',
+  help: 'Client CALLs waiting in the store-and-forward queue, per charger and upstream',
+  labelNames: ['client_id', 'upstream'],
+  registers: [registry],
+  collect() {
+    this.reset()
+    forEachUpstream((connectionInfo, upstream) => {
+      const queue = connectionInfo.queues.get(upstream.name)
+      if (queue) {
+        this.set({ client_id: connectionInfo.clientId, upstream: upstream.name }, queue.length)
+      }
+    })
+  },
+})
+
+const rejectedConnections = new client.Counter({
+  name: 'ocpp_proxy_rejected_connections_total',
+  help: 'Charger connections rejected during the handshake (authentication, subprotocol), per HTTP status',
+  labelNames: ['status'],
+  registers: [registry],
+})
+
+const reconnectAttempts = new client.Counter({
+  name: 'ocpp_proxy_upstream_reconnect_attempts_total',
+  help: 'Upstream reconnection attempts, per charger and upstream',
+  labelNames: ['client_id', 'upstream'],
+  registers: [registry],
+})
+
+const gaveUp = new client.Counter({
+  name: 'ocpp_proxy_upstream_gave_up_total',
+  help: 'Upstreams that exhausted their reconnection attempts, per charger and upstream',
+  labelNames: ['client_id', 'upstream'],
+  registers: [registry],
+})
+
+const messages = new client.Counter({
+  name: 'ocpp_proxy_messages_total',
+  help: 'OCPP messages by direction, message type and action',
+  labelNames: ['direction', 'type', 'action'],
+  registers: [registry],
+})
+
+const droppedResponses = new client.Counter({
+  name: 'ocpp_proxy_dropped_responses_total',
+  help: 'Upstream responses to client CALLs not relayed to the client, per upstream',
+  labelNames: ['upstream'],
+  registers: [registry],
+})
+
+const notifications = new client.Counter({
+  name: 'ocpp_proxy_notifications_total',
+  help: 'Notifications sent, per channel and result',
+  labelNames: ['channel', 'result'],
+  registers: [registry],
+})
+
+const notificationsSuppressed = new client.Counter({
+  name: 'ocpp_proxy_notifications_suppressed_total',
+  help: 'Notifications suppressed by the alert throttling, per reason',
+  labelNames: ['reason'],
+  registers: [registry],
+})
+
+const schemaViolations = new client.Counter({
+  name: 'ocpp_proxy_schema_violations_total',
+  help: 'Payloads that failed the OCPP JSON schema validation, per charger, direction and action',
+  labelNames: ['client_id', 'direction', 'action'],
+  registers: [registry],
+})
+
+const callDuration = new client.Histogram({
+  name: 'ocpp_proxy_call_duration_seconds',
+  help: 'Round-trip time of client CALLs, per upstream',
+  labelNames: ['upstream'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry],
+})
+
+/**
+ * Call a function for each upstream of each connected charger
+ * @param {function} callback - (connectionInfo, upstream)
+ */
+function forEachUpstream(callback) {
+  if (!proxy) {
+    return
+  }
+  proxy.clientConnections.forEach((connectionInfo) => {
+    connectionInfo.upstreams.forEach((upstream) => callback(connectionInfo, upstream))
+  })
+}
+
+/**
+ * Set the proxy whose state is reported by the gauges
+ * @param {OcppProxy} ocppProxy
+ */
+function bindProxy(ocppProxy) {
+  proxy = ocppProxy
+}
+
+/**
+ * Count an OCPP message
+ * @param {string} direction - from_client, to_client, from_upstream or to_upstream
+ * @param {number} type - OCPP message type (2, 3 or 4)
+ * @param {string} [action] - OCPP action of the CALL (or of the CALL a response answers)
+ */
+function countMessage(direction, type, action) {
+  messages.inc({ direction, type: MESSAGE_TYPES[type] || 'unknown', action: actionLabel(action) })
+}
+
+/**
+ * Value of the action label: the standard actions by name, "other" for the rest, "unknown" when not known
+ * @param {string} [action]
+ * @returns {string}
+ */
+function actionLabel(action) {
+  if (!action) {
+    return 'unknown'
+  }
+  return KNOWN_ACTIONS.has(action) ? action : 'other'
+}
+
+module.exports = {
+  registry,
+  bindProxy,
+  countMessage,
+  connectedChargers,
+  upstreamConnected,
+  bufferedMessages,
+  queuedMessages,
+  rejectedConnections,
+  reconnectAttempts,
+  gaveUp,
+  droppedResponses,
+  notifications,
+  notificationsSuppressed,
+  schemaViolations,
+  callDuration,
+}
@@ -0,0 +1,188 @@
+/**
+ * Mock CSMS
+ * Minimal OCPP 1.6J central system answering the core CALLs, to test the proxy end-to-end
+ */
+
+const crypto = require('crypto')
+const WebSocket = require('ws')
+const { createLogger } = require('./logger')
+
+// Default time allowed to answer a CALL, in ms
+const DEFAULT_TIMEOUT = 10000
+
+class MockCsms {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.name] - Name used in the logs
+   * @param {string} [options.host] - Listening address (default 127.0.0.1)
+   * @param {number} [options.port] - Listening port (default 0, any free port)
+   * @param {number} [options.timeout] - Time allowed to answer a CALL, in ms
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'CSMS'
+    this.host = options.host || '127.0.0.1'
+    this.port = options.port || 0
+    this.timeout = options.timeout || DEFAULT_TIMEOUT
+    this.log = createLogger(this.name)
+    this.server = null
+    this.url = null
+    this.nextTransactionId = 1
+    this.handlers = new Map(
+      Object.entries({
+        Authorize: () => ({ idTagInfo: { status: 'Accepted' } }),
+        BootNotification: () => ({ status: 'Accepted', currentTime: new Date().toISOString(), interval: 300 }),
+        DataTransfer: () => ({ status: 'Accepted' }),
+        DiagnosticsStatusNotification: () => ({}),
+        FirmwareStatusNotification: () => ({}),
+        Heartbeat: () => ({ currentTime: new Date().toISOString() }),
+        MeterValues: () => ({}),
+        StartTransaction: () => ({ transactionId: this.nextTransactionId++, idTagInfo: { status: 'Accepted' } }),
+        StatusNotification: () => ({}),
+        StopTransaction: () => ({ idTagInfo: { status: 'Accepted' } }),
+      })
+    )
+    this.connections = new Map() // clientId -> WebSocket of its latest connection
+    this.connectionLog = [] // { clientId, url, protocol, headers } of every connection, in order
+    this.received = [] // { clientId, frame } of every frame received, in order
+    this.pendingCalls = new Map() // messageId -> { action, resolve, reject, timer }
+    this.connectDelay = 0 // ms the connections are held before being accepted
+    this.refuseConnections = false // When true, the connections are refused (HTTP 503), like a CSMS down
+  }
+
+  /**
+   * Start the WebSocket server
+   * @returns {Promise}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocket.Server({
+        host: this.host,
+        port: this.port,
+        handleProtocols: (protocols) => protocols.values().next().value || false,
+        verifyClient: (info, callback) => {
+          setTimeout(() => (this.refuseConnections ? callback(false, 503) : callback(true)), this.connectDelay)
+        },
+      })
+      this.server.once('listening', () => {
+        this.url = `ws://${this.host}:${this.server.address().port}/`
+        this.log.info(`Mock CSMS listening on ${this.url}`)
+        resolve()
+      })
+      this.server.once('error', reject)
+      this.server.on('connection', (ws, request) => this.handleConnection(ws, request))
+    })
+  }
+
+  /**
+   * Handle a connection of the proxy on behalf of a charger
+   * @param {WebSocket} ws
+   * @param {http.IncomingMessage} request
+   */
+  handleConnection(ws, request) {
+    const clientId = decodeURIComponent(request.url.split('?')[0].split('/').pop())
+    this.connections.set(clientId, ws)
+    this.connectionLog.push({ clientId, url: request.url, protocol: ws.protocol, headers: request.headers })
+    this.log.info(`${clientId} connected`)
+
+    ws.on('message', (data) => this.handleMessage(clientId, ws, data.toString()))
+    ws.on('close', () => {
+      if (this.connections.get(clientId) === ws) {
+        this.connections.delete(clientId)
+      }
+    })
+  }
+
+  /**
+   * Handle a frame received from a charger
+   * @param {string} clientId
+   * @param {WebSocket} ws
+   * @param {string} data
+   */
+  async handleMessage(clientId, ws, data) {
+    let frame
+    try {
+      frame = JSON.parse(data)
+    } catch {
+      this.log.warn(`Received invalid frame from ${clientId}: ${data}`)
+      return
+    }
+    this.received.push({ clientId, frame })
+
+    const [type, messageId] = frame
+    if (type === 2) {
+      const [, , action, payload] = frame
+      const handler = this.handlers.get(action)
+      const response = handler
+        ? [3, messageId, await handler(payload, clientId)]
+        : [4, messageId, 'NotImplemented', `${action} is not supported by the mock CSMS`, {}]
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(response))
+      }
+      return
+    }
+
+    const call = this.pendingCalls.get(messageId)
+    if (call) {
+      this.pendingCalls.delete(messageId)
+      clearTimeout(call.timer)
+      call.resolve(frame)
+    }
+  }
+
+  /**
+   * Set the answer to the CALLs of an action
+   * @param {string} action
+   * @param {function} handler - (payload, clientId) => CALLRESULT payload (or a Promise of it)
+   */
+  handle(action, handler) {
+    this.handlers.set(action, handler)
+  }
+
+  /**
+   * Send a CALL to a charger and wait for its response
+   * @param {string} clientId
+   * @param {string} action
+   * @param {object} [payload]
+   * @returns {Promise<Array>} CALLRESULT or CALLERROR frame, rejected on timeout
+   */
+  call(clientId, action, payload = {}) {
+    const ws = this.connections.get(clientId)
+    if (!ws) {
+      return Promise.reject(new Error(`${clientId} is not connected`))
+    }
+    const messageId = crypto.randomUUID()
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingCalls.delete(messageId)
+        reject(new Error(`No response to ${action} within ${this.timeout}ms`))
+      }, this.timeout)
+      this.pendingCalls.set(messageId, { action, resolve, reject, timer })
+      ws.send(JSON.stringify([2, messageId, action, payload]))
+    })
+  }
+
+  /**
+   * Drop all connections abruptly, like a CSMS crash or a network failure
+   */
+  dropConnections() {
+    this.server.clients.forEach((ws) => ws.terminate())
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve()
+    }
+    this.pendingCalls.forEach((call) => clearTimeout(call.timer))
+    this.dropConnections()
+    return new Promise((resolve) => {
+      this.server.close(() => resolve())
+      this.server = null
+    })
+  }
+}
+
+module.exports = MockCsms
@@ -5,41 +5,301 @@
 
 const fs = require('fs')
 const path = require('path')
+const { isDeepStrictEqual } = require('util')
+const Gotify = require('../lib/gotify')
 const Mailer = require('../lib/mailer')
+const Mqtt = require('../lib/mqtt')
+const Ntfy = require('../lib/ntfy')
 const Pushover = require('../lib/pushover')
+const Slack = require('../lib/slack')
+const Teams = require('../lib/teams')
+const Telegram = require('../lib/telegram')
+const Webhook = require('../lib/webhook')
+const AlertThrottle = require('./alert-throttle')
+const metrics = require('./metrics')
+const ocppEvents = require('./ocpp-events')
 const { createLogger } = require('./logger')
 
+// Statuses with an alert (cpStatus<Status> / conStatus<Status> keys)
+const CHARGE_POINT_STATUSES = ['Available', 'Unavailable', 'Faulted']
+const CONNECTOR_STATUSES = [
+  'Available',
+  'Preparing',
+  'Charging',
+  'SuspendedEVSE',
+  'SuspendedEV',
+  'Finishing',
+  'Reserved',
+  'Occupied',
+  'Unavailable',
+  'Faulted',
+]
+
+// Notification events, keys of the flags and of the routes
+const EVENTS = [
+  'connectedToProxy',
+  'disconnectedFromProxy',
+  'connectedToUpstream',
+  'disconnectedFromUpstream',
+  'upstreamFailover',
+  'upstreamFailback',
+  'callTimeout',
+  'chargerRejected',
+  ...CHARGE_POINT_STATUSES.map((status) => `cpStatus${status}`),
+  ...CONNECTOR_STATUSES.map((status) => `conStatus${status}`),
+  'conStartTransaction',
+  'conStopTransaction',
+  'securityEvent',
+]
+
+// Built-in notification templates, one <language>.json file per language
+const TEMPLATES_DIRECTORY = path.join(__dirname, '..', 'templates')
+const DEFAULT_LANGUAGE = 'en'
+
+// Summaries of the throttled notifications, sent to the channels of the notifications they summarize
+// and never rate limited themselves
+const SUMMARY_EVENTS = ['suppressed', 'rateLimited']
+
+// Priorities of the routes, from the lowest
+const PRIORITIES = ['low', 'normal', 'high', 'urgent']
+
+// Notification channels, by key of their block in notify. A channel is a class of lib/ built with its block,
+// with a static isConfigured(config), an async send(title, message, event) resolving to the response
+// of the service or to { error }, and an optional close()
+const CHANNELS = {
+  email: Mailer,
+  pushover: Pushover,
+  telegram: Telegram,
+  ntfy: Ntfy,
+  gotify: Gotify,
+  slack: Slack,
+  teams: Teams,
+  mqtt: Mqtt,
+}
+
 class Notify {
   constructor(config) {
     this.config = config
-    this.pushover = null
-    this.mailer = null
+    this.channels = [] // { type, name, channel, config }
+    this.routes = []
+    this.templates = {} // language -> { labels, events }
     this.clientNames = {}
+    this.throttle = null
     this.log = createLogger('Notify')
     this.init()
   }
 
-  async init() {
-    // Check email configuration
-    if (
-      this.config.email &&
-      this.config.email.from &&
-      this.config.email.to &&
-      this.config.email.transporter instanceof Object
-    ) {
-      this.log.info('Email notifications enabled')
-      this.mailer = new Mailer(this.config.email)
-    } else {
-      this.log.warn('Email notifications not configured properly, email notifications will be disabled')
+  /**
+   * Build the channels, routes, throttle, templates and client names of the configuration
+   * @param {Array<object>} [previousChannels] - Channels of the configuration before a reload, kept when unchanged
+   */
+  async init(previousChannels = []) {
+    // Channels with a block in notify, unless disabled by their enabled flag
+    for (const [type, Channel] of Object.entries(CHANNELS)) {
+      const channelConfig = this.config[type]
+      if (channelConfig instanceof Object && channelConfig.enabled !== false) {
+        this.addChannel(type, Channel, channelConfig, previousChannels)
+      }
+    }
+    for (const webhookConfig of this.config.webhooks || []) {
+      if (webhookConfig.enabled !== false) {
+        this.addChannel('webhook', Webhook, webhookConfig, previousChannels)
+      }
     }
-    // Check Pushover configuration
-    if (this.config.pushover && this.config.pushover.userKey && this.config.pushover.appToken) {
-      this.log.info('Pushover notifications enabled')
-      this.pushover = new Pushover(this.config.pushover)
+    // The previous channels not kept were removed or changed
+    this.closeChannels(previousChannels)
+    if (this.channels.length > 0) {
+      this.log.info(`Notifications enabled via ${this.channels.map(({ name }) => name).join(', ')}`)
     } else {
-      this.log.warn('Pushover notifications not configured properly, notifications will be disabled')
+      this.log.warn('No notification channel configured, notifications will be disabled')
+    }
+    this.initRoutes()
+    this.initThrottle()
+    this.loadTemplates()
+    this.loadClientNames()
+  }
+
+  /**
+   * Create a notification channel, skipped with a warning when its configuration is incomplete. A previous
+   * channel of the same type and configuration is kept instead, with its connection (MQTT).
+   * @param {string} type - Key of the channel (email, pushover, webhook...)
+   * @param {function} Channel - Class of the channel
+   * @param {object} channelConfig
+   * @param {Array<object>} previousChannels - Channels not kept yet, the kept one is taken out
+   */
+  addChannel(type, Channel, channelConfig, previousChannels) {
+    const kept = previousChannels.findIndex((entry) => entry.type === type && isDeepStrictEqual(entry.config, channelConfig))
+    if (kept !== -1) {
+      this.channels.push(...previousChannels.splice(kept, 1))
+      return
+    }
+    try {
+      if (!Channel.isConfigured(channelConfig)) {
+        throw new Error('required settings are missing')
+      }
+      const channel = new Channel(channelConfig)
+      this.channels.push({ type, name: channel.name ? `${type} ${channel.name}` : type, channel, config: channelConfig })
+    } catch (error) {
+      this.log.warn(`${type} notifications not configured properly, they will be disabled: ${error.message}`)
+    }
+  }
+
+  /**
+   * Build the routes of the notifications: notify.routes when set, else one route sending the events
+   * enabled by their flag to every channel
+   */
+  initRoutes() {
+    if (!Array.isArray(this.config.routes)) {
+      this.routes = [{ events: EVENTS.filter((event) => this.config[event]) }]
+      return
+    }
+    this.routes = this.config.routes
+    const groups = this.config.groups || {}
+    // Most likely misspelled or disabled, the route never matches them
+    this.routes.forEach((route, index) => {
+      const problems = [
+        ...(route.events || []).filter((event) => !EVENTS.includes(event)).map((event) => `unknown event "${event}"`),
+        ...(route.groups || []).filter((group) => !groups[group]).map((group) => `unknown group "${group}"`),
+        ...(route.channels || [])
+          .filter((channel) => !this.channels.some(({ type, name }) => channel === type || channel === name))
+          .map((channel) => `channel "${channel}" is not enabled`),
+      ]
+      problems.forEach((problem) => this.log.warn(`Notification route #${index + 1}: ${problem}`))
+    })
+  }
+
+  /**
+   * Create the alert throttle when notify.throttle is set. It outlives a reload, keeping the statuses received
+   * and its open windows.
+   */
+  initThrottle() {
+    if (!this.config.throttle) {
+      if (this.throttle) {
+        this.throttle.stop()
+        this.throttle = null
+      }
+      return
+    }
+    Object.keys(this.config.throttle.events || {})
+      .filter((event) => !EVENTS.includes(event))
+      .forEach((event) => this.log.warn(`Notification throttle: unknown event "${event}"`))
+    if (this.throttle) {
+      this.throttle.reload(this.config.throttle)
+      return
+    }
+    this.throttle = new AlertThrottle(this.config.throttle, {
+      release: (event) => this.deliver(event),
+      summarize: (clientId, suppressed, window) => this.summarize(clientId, suppressed, window),
+      rateLimited: (channelName, fields) => this.rateLimited(channelName, fields),
+    })
+  }
+
+  /**
+   * Whether an event is sent by at least one route, before building its notification
+   * @param {string} type - Event key
+   * @returns {boolean}
+   */
+  isRouted(type) {
+    return this.routes.some((route) => !route.events || route.events.includes(type))
+  }
+
+  /**
+   * Whether a route matches a notification event
+   * @param {object} route
+   * @param {object} event - Structured fields of the notification (see event())
+   * @returns {boolean}
+   */
+  matches(route, event) {
+    if (route.events && !route.events.includes(event.type)) {
+      return false
+    }
+    // The clientId filters match the chargers listed by clientIds or by one of the groups
+    if (route.clientIds || route.groups) {
+      const groups = this.config.groups || {}
+      const inGroup = (route.groups || []).some((group) => (groups[group] || []).includes(event.clientId))
+      if (!inGroup && !(route.clientIds || []).includes(event.clientId)) {
+        return false
+      }
+    }
+    if (route.connectorIds && !route.connectorIds.includes(event.connectorId)) {
+      return false
+    }
+    if (route.statuses && !route.statuses.includes(event.status)) {
+      return false
+    }
+    return !route.errorCodes || route.errorCodes.includes(event.errorCode)
+  }
+
+  /**
+   * Channels a notification is sent to, according to the routes matching its event
+   * @param {object} event - Structured fields of the notification (see event())
+   * @returns {Map} Channel ({ type, name, channel }) -> options ({ priority, recipients, language }) of the matching
+   * routes: the highest priority, all their recipients and the first language
+   */
+  route(event) {
+    const deliveries = new Map()
+    for (const route of this.routes.filter((candidate) => this.matches(candidate, event))) {
+      for (const entry of this.channels) {
+        if (route.channels && !route.channels.includes(entry.type) && !route.channels.includes(entry.name)) {
+          continue
+        }
+        const options = deliveries.get(entry) || {}
+        if (PRIORITIES.indexOf(route.priority) > PRIORITIES.indexOf(options.priority)) {
+          options.priority = route.priority
+        }
+        if (route.language && !options.language) {
+          options.language = route.language
+        }
+        const recipients = route.recipients && route.recipients[entry.type]
+        if (recipients) {
+          options.recipients = [...new Set([...(options.recipients || []), ...[].concat(recipients)])]
+        }
+        deliveries.set(entry, options)
+      }
+    }
+    return deliveries
+  }
+
+  /**
+   * Apply a new notify configuration: events, channels and client names. Only the channels whose block
+   * changed are built again.
+   * @param {object} config
+   */
+  reload(config) {
+    const previousChannels = this.channels
+    this.channels = []
+    this.config = config
+    this.init(previousChannels)
+  }
+
+  /**
+   * Stop the alert throttle and close the channels
+   */
+  close() {
+    if (this.throttle) {
+      this.throttle.stop()
+      this.throttle = null
+    }
+    this.closeChannels(this.channels)
+    this.channels = []
+  }
+
+  /**
+   * Close the channels holding a connection (MQTT)
+   * @param {Array<object>} channels - Entries of the channels
+   */
+  closeChannels(channels) {
+    for (const { channel } of channels) {
+      if (channel.close) {
+        channel.close()
+      }
     }
-    // Load clientId to name mapping
+  }
+
+  /**
+   * Load the clientId to human-readable name mapping (config/clientIdToHuman.json)
+   */
+  loadClientNames() {
     const clientIdToHumanPath = path.join(__dirname, '..', 'config', 'clientIdToHuman.json')
     if (fs.existsSync(clientIdToHumanPath)) {
       try {
@@ -50,6 +310,7 @@ class Notify {
         this.log.error(`Failed to load client ID mapping: ${error.message}`)
       }
     } else {
+      this.clientNames = {}
       this.log.warn(`Client ID mapping file not found at ${clientIdToHumanPath}, using raw client IDs in notifications`)
     }
   }
@@ -59,12 +320,17 @@ class Notify {
    * @param {string} clientId
    */
   connectedToProxy(clientId) {
-    if (this.config.connectedToProxy || false) {
-      const clientName = this.clientNames[clientId] || clientId
-      const title = `Client connected: ${clientName}`
-      const message = `A new client has connected to the OCPP proxy.\nClient ID: ${clientName}`
-      this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-    }
+    this.notify('connectedToProxy', clientId)
+  }
+
+  /**
+   * Notify about a charger connection rejected by the authentication
+   * @param {string} clientId
+   * @param {string} clientIp
+   * @param {string} reason
+   */
+  chargerRejected(clientId, clientIp, reason) {
+    this.notify('chargerRejected', clientId, { clientIp, reason })
   }
 
   /**
@@ -72,12 +338,7 @@ class Notify {
    * @param {string} clientId
    */
   disconnectedFromProxy(clientId) {
-    if (this.config.disconnectedFromProxy || false) {
-      const clientName = this.clientNames[clientId] || clientId
-      const title = `Client disconnected: ${clientName}`
-      const message = `A client has disconnected from the OCPP proxy.\nClient ID: ${clientName}`
-      this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-    }
+    this.notify('disconnectedFromProxy', clientId)
   }
 
   /**
@@ -86,12 +347,7 @@ class Notify {
    * @param {string} serverName
    */
   connectedToUpstream(clientId, serverName) {
-    if (this.config.connectedToUpstream || false) {
-      const clientName = this.clientNames[clientId] || clientId
-      const title = `Connected to upstream: ${serverName}`
-      const message = `The proxy has established a connection to the upstream OCPP server.\nClient ID: ${clientName}\nServer Name: ${serverName}`
-      this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-    }
+    this.notify('connectedToUpstream', clientId, { upstream: serverName })
   }
 
   /**
@@ -100,203 +356,306 @@ class Notify {
    * @param {string} serverName
    */
   disconnectedFromUpstream(clientId, serverName) {
-    if (this.config.disconnectedFromUpstream || false) {
-      const clientName = this.clientNames[clientId] || clientId
-      const title = `Disconnected from upstream: ${serverName}`
-      const message = `The proxy has disconnected from the upstream OCPP server.\nClient ID: ${clientName}\nServer Name: ${serverName}`
-      this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-    }
+    this.notify('disconnectedFromUpstream', clientId, { upstream: serverName })
+  }
+
+  /**
+   * Notify about a failover from an unavailable upstream to another one
+   * @param {string} clientId
+   * @param {string} fromServerName - Upstream that stopped answering the client
+   * @param {string} toServerName - Upstream now answering the client
+   */
+  upstreamFailover(clientId, fromServerName, toServerName) {
+    this.notify('upstreamFailover', clientId, { from: fromServerName, upstream: toServerName })
+  }
+
+  /**
+   * Notify about a failback to the primary upstream
+   * @param {string} clientId
+   * @param {string} fromServerName - Upstream that was answering the client during the failover
+   * @param {string} toServerName - Primary upstream
+   */
+  upstreamFailback(clientId, fromServerName, toServerName) {
+    this.notify('upstreamFailback', clientId, { from: fromServerName, upstream: toServerName })
+  }
+
+  /**
+   * Notify about a client CALL left unanswered by an upstream
+   * @param {string} clientId
+   * @param {string} serverName
+   * @param {string} action - OCPP action of the unanswered CALL
+   */
+  callTimeout(clientId, serverName, action) {
+    this.notify('callTimeout', clientId, { upstream: serverName, action })
   }
 
   /**
    * Notify about a CALL message from a client
    * @param {string} clientId
    * @param {string} data
+   * @param {string} [protocol] - Negotiated subprotocol, OCPP 1.6 when missing
    */
-  callFromClient(clientId, data) {
+  callFromClient(clientId, data, protocol) {
     const payload = JSON.parse(data)
     const action = payload[2]
     const params = payload[3]
-    // StatusNotification For ChargePoint
-    if (action === 'StatusNotification' && params && params.connectorId === 0) {
-      const status = params.status || 'unknown'
-      switch (status) {
-        case 'Available':
-          if (this.config.cpStatusAvailable || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const title = `[${clientName}] ChargePoint is now Available`
-            const message = `StatusNotification from client ${clientName}: ChargePoint status changed to Available.`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        case 'Unavailable':
-          if (this.config.cpStatusUnavailable || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const title = `[${clientName}] ChargePoint is now Unavailable`
-            const message = `StatusNotification from client ${clientName}: ChargePoint status changed to Unavailable.`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        case 'Faulted':
-          if (this.config.cpStatusFaulted || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const errorCode = params.errorCode || 'unknown'
-            const title = `[${clientName}] ChargePoint is now Faulted`
-            const message = `StatusNotification from client ${clientName}: ChargePoint status changed to Faulted.\nError Code: ${errorCode}`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        default:
-          this.log.debug(`Received StatusNotification with unhandled status: ${status}`)
+    for (const event of ocppEvents.fromCall(protocol, action, params)) {
+      this.ocppEvent(clientId, event, params)
+    }
+  }
+
+  /**
+   * Notify about an event reported by a client CALL (see ocpp-events)
+   * @param {string} clientId
+   * @param {object} event
+   * @param {object} [payload] - Payload of the CALL
+   */
+  ocppEvent(clientId, event, payload) {
+    const { type, target, ...fields } = event
+    switch (type) {
+      case 'status': {
+        // cpStatus<Status> for the ChargePoint, conStatus<Status> for a connector
+        const status = event.status || 'unknown'
+        const chargePoint = target === 'chargePoint'
+        if (!(chargePoint ? CHARGE_POINT_STATUSES : CONNECTOR_STATUSES).includes(status)) {
+          this.log.debug(`Received ${event.action} with unhandled status: ${status}`)
+        } else {
+          this.notify(`${chargePoint ? 'cpStatus' : 'conStatus'}${status}`, clientId, { ...fields, payload })
+        }
+        break
       }
+      case 'transactionStarted':
+        this.notify('conStartTransaction', clientId, { ...fields, payload })
+        break
+      case 'transactionStopped':
+        this.notify('conStopTransaction', clientId, { ...fields, payload })
+        break
+      case 'securityEvent':
+        this.notify('securityEvent', clientId, { ...fields, payload })
+        break
+      default:
+        this.log.debug(`Unhandled OCPP event ${type}`)
     }
-    // StatusNotification For Connector
-    if (action === 'StatusNotification' && params && params.connectorId !== undefined && params.connectorId > 0) {
-      const status = params.status || 'unknown'
-      const conId = `#${params.connectorId}`
-      switch (status) {
-        case 'Available':
-          if (this.config.conStatusAvailable || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const title = `[${clientName}] Connector ${conId} is now Available`
-            const message = `StatusNotification from client ${clientName}: Connector ${conId} status changed to Available.`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        case 'Preparing':
-          if (this.config.conStatusPreparing || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const title = `[${clientName}] Connector ${conId} is now Preparing`
-            const message = `StatusNotification from client ${clientName}: Connector ${conId} status changed to Preparing.`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        case 'Charging':
-          if (this.config.conStatusCharging || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const title = `[${clientName}] Connector ${conId} is now Charging`
-            const message = `StatusNotification from client ${clientName}: Connector ${conId} status changed to Charging.`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        case 'SuspendedEVSE':
-          if (this.config.conStatusSuspendedEVSE || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const title = `[${clientName}] Connector ${conId} is now SuspendedEVSE`
-            const message = `StatusNotification from client ${clientName}: Connector ${conId} status changed to SuspendedEVSE.`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        case 'SuspendedEV':
-          if (this.config.conStatusSuspendedEV || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const title = `[${clientName}] Connector ${conId} is now SuspendedEV`
-            const message = `StatusNotification from client ${clientName}: Connector ${conId} status changed to SuspendedEV.`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        case 'Finishing':
-          if (this.config.conStatusFinishing || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const title = `[${clientName}] Connector ${conId} is now Finishing`
-            const message = `StatusNotification from client ${clientName}: Connector ${conId} status changed to Finishing.`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        case 'Reserved':
-          if (this.config.conStatusReserved || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const title = `[${clientName}] Connector ${conId} is now Reserved`
-            const message = `StatusNotification from client ${clientName}: Connector ${conId} status changed to Reserved.`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        case 'Unavailable':
-          if (this.config.conStatusUnavailable || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const title = `[${clientName}] Connector ${conId} is now Unavailable`
-            const message = `StatusNotification from client ${clientName}: Connector ${conId} status changed to Unavailable.`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        case 'Faulted':
-          if (this.config.conStatusFaulted || false) {
-            const clientName = this.clientNames[clientId] || clientId
-            const errorCode = params.errorCode || 'unknown'
-            const title = `[${clientName}] Connector ${conId} is now Faulted`
-            const message = `StatusNotification from client ${clientName}: Connector ${conId} status changed to Faulted.\nError Code: ${errorCode}`
-            this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
-          }
-          break
-        default:
-          this.log.debug(`Received StatusNotification with unhandled status: ${status}`)
+  }
+
+  /**
+   * Send the notification of an event, when it is routed to a channel, through the alert throttle when enabled
+   * @param {string} type - Event key
+   * @param {string} clientId
+   * @param {object} [fields] - Fields of the event (see event())
+   */
+  notify(type, clientId, fields) {
+    const routed = this.isRouted(type)
+    if (this.throttle) {
+      // The throttle also records the statuses that are not routed, to recognize the repeated ones
+      this.throttle.push(this.event(type, clientId, fields), routed)
+    } else if (routed) {
+      this.deliver(this.event(type, clientId, fields))
+    }
+  }
+
+  /**
+   * Send a notification in the background
+   * @param {object} event - Structured fields of the notification (see event())
+   * @param {Map} [deliveries] - Channels to send it to (see route())
+   */
+  deliver(event, deliveries) {
+    this.send(event, deliveries).catch((err) => this.log.error(`Notification error: ${err.message}`))
+  }
+
+  /**
+   * Notify about the events of a client suppressed by the throttle, on the channels they were routed to
+   * @param {string} clientId
+   * @param {Map} suppressed - Event key -> { count, event (the last one) }
+   * @param {number} window - Duration of the summary window, in seconds
+   */
+  summarize(clientId, suppressed, window) {
+    const deliveries = new Map()
+    for (const { event } of suppressed.values()) {
+      for (const [entry, { language, recipients }] of this.route(event)) {
+        const options = deliveries.get(entry) || { language }
+        if (recipients) {
+          options.recipients = [...new Set([...(options.recipients || []), ...recipients])]
+        }
+        deliveries.set(entry, options)
       }
     }
-    // StartTransaction
-    if (action === 'StartTransaction' && params && params.connectorId !== undefined && params.connectorId > 0) {
-      if (this.config.conStartTransaction || false) {
-        const clientName = this.clientNames[clientId] || clientId
-        const title = `[${clientName}] Transaction Started`
-        const message = `StartTransaction from client ${clientName}.\nConnector ID: #${params.connectorId}`
-        this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
+    const counts = [...suppressed.values()].map(({ count }) => count)
+    this.deliver(
+      this.event('suppressed', clientId, {
+        count: counts.reduce((total, count) => total + count, 0),
+        events: [...suppressed].map(([type, { count }]) => `${type} (${count})`).join(', '),
+        window,
+      }),
+      deliveries
+    )
+  }
+
+  /**
+   * Notify a channel about the notifications its rate limit dropped
+   * @param {string} channelName
+   * @param {object} fields - { count, limit, window }
+   */
+  rateLimited(channelName, fields) {
+    const entry = this.channels.find(({ name }) => name === channelName)
+    if (entry) {
+      this.deliver(this.event('rateLimited', null, { channel: channelName, ...fields }), new Map([[entry, {}]]))
+    }
+  }
+
+  /**
+   * Structured fields of a notification, rendered by the templates and sent as is by the webhook and MQTT channels
+   * @param {string} type - Event key (connectedToProxy, cpStatusFaulted, conStartTransaction...)
+   * @param {string} clientId
+   * @param {object} [fields] - connectorId, status, errorCode, upstream, payload...
+   * @returns {object}
+   */
+  event(type, clientId, fields = {}) {
+    return {
+      type,
+      clientId,
+      clientName: this.clientNames[clientId] || clientId,
+      timestamp: new Date().toISOString(),
+      ...fields,
+    }
+  }
+
+  /**
+   * Load the notification templates: built-in ones, then the files of notify.templatesDirectory,
+   * then notify.templates, each one overriding the templates of the previous ones
+   */
+  loadTemplates() {
+    const templates = {}
+    const merge = (language, set) => {
+      const current = templates[language] || { labels: {}, events: {} }
+      const events = { ...current.events }
+      for (const [type, template] of Object.entries(set.events || {})) {
+        events[type] = { ...events[type], ...template }
       }
+      templates[language] = { labels: { ...current.labels, ...set.labels }, events }
     }
-    // StopTransaction
-    if (action === 'StopTransaction' && params && params.connectorId !== undefined && params.connectorId > 0) {
-      if (this.config.conStopTransaction || false) {
-        const clientName = this.clientNames[clientId] || clientId
-        const title = `[${clientName}] Transaction Stopped`
-        const message = `StopTransaction from client ${clientName}.\nConnector ID: #${params.connectorId}`
-        this.send(title, message).catch((err) => this.log.error(`Notification error: ${err.message}`))
+    for (const directory of [TEMPLATES_DIRECTORY, this.config.templatesDirectory].filter((directory) => directory)) {
+      let files
+      try {
+        files = fs.readdirSync(directory).filter((file) => file.endsWith('.json'))
+      } catch (error) {
+        this.log.error(`Failed to load notification templates from ${directory}: ${error.message}`)
+        continue
+      }
+      for (const file of files) {
+        try {
+          merge(path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')))
+        } catch (error) {
+          this.log.error(`Failed to load notification templates from ${path.join(directory, file)}: ${error.message}`)
+        }
       }
     }
+    for (const [language, set] of Object.entries(this.config.templates || {})) {
+      merge(language, set)
+    }
+    this.templates = templates
+
+    const language = this.config.language || DEFAULT_LANGUAGE
+    if (!templates[language]) {
+      this.log.warn(`No notification templates for language "${language}", ${DEFAULT_LANGUAGE} templates are used`)
+    }
   }
 
   /**
-   * Send a notification
-   * @param {string} title
-   * @param {string} message
+   * Render a notification with the templates of a language. A template missing in the language is taken
+   * from the default language; cpStatus / conStatus templates serve the statuses without their own template.
+   * @param {object} event - Structured fields of the notification (see event())
+   * @param {string} [language]
+   * @returns {object} { title, text, html }
    */
-  async send(title, message) {
-    const tasks = []
-    if (this.mailer) {
-      tasks.push(
-        this.mailer.send(title, message).then((res) => {
-          if (res.error) {
-            this.log.error(`Failed to send notification via email: ${res.error}`)
-          } else {
-            this.log.debug(`Notification sent via email: ${res.response}`)
-          }
-        })
-      )
-    } else {
-      this.log.warn('Cannot send notification: Email not configured')
-    }
-
-    if (this.pushover) {
-      tasks.push(
-        this.pushover.send(title, message).then((res) => {
-          if (res.error) {
-            this.log.error(`Failed to send notification via Pushover: ${res.error}`)
-          } else {
-            this.log.debug(`Notification sent via Pushover: ${res.status}`)
-          }
-        })
-      )
-    } else {
-      this.log.warn('Cannot send notification: Pushover not configured')
+  render(event, language = this.config.language || DEFAULT_LANGUAGE) {
+    const sets = [this.templates[language], this.templates[DEFAULT_LANGUAGE]].filter((set) => set)
+    const family = event.status && event.type.endsWith(event.status) ? event.type.slice(0, -event.status.length) : null
+    const template = sets
+      .map((set) => set.events[event.type] || (family && set.events[family]))
+      .find((candidate) => candidate) || { title: '{{type}}: {{clientName}}', text: '{{type}}: {{clientName}}' }
+    const labels = Object.assign({}, ...sets.map((set) => set.labels).reverse())
+
+    // Name of the charge point, EVSE or connector the event is about
+    let label = ''
+    if (event.type.startsWith('cpStatus')) {
+      label = labels.chargePoint
+    } else if (event.evseId !== undefined) {
+      label = event.connectorId !== undefined ? labels.evseConnector : labels.evse
+    } else if (event.connectorId !== undefined) {
+      label = labels.connector
+    }
+    const fields = { ...event, label: this.fill(label || '', event) }
+
+    const escape = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    const text = this.fill(template.text || '', fields)
+    return {
+      title: this.fill(template.title || '', fields),
+      text,
+      html: template.html ? this.fill(template.html, fields, escape) : escape(text).replace(/\n/g, '<br>'),
     }
+  }
 
-    if (tasks.length > 0) {
-      await Promise.allSettled(tasks)
+  /**
+   * Replace the {{field}} placeholders of a template in a single pass, so that values holding {{...}} are left as is.
+   * A line whose placeholders are all empty is left out, so that optional fields (errorCode, idTag, info...) only show
+   * up when the event has them.
+   * @param {string} template
+   * @param {object} fields
+   * @param {function} [encode] - Encoding of the values (HTML escaping)
+   * @returns {string}
+   */
+  fill(template, fields, encode = (value) => value) {
+    const placeholder = /\{\{(\w+)\}\}/g
+    const valueOf = (name) => {
+      const value = fields[name]
+      return value === undefined || value === null ? '' : value instanceof Object ? JSON.stringify(value) : String(value)
     }
+    return template
+      .split('\n')
+      .filter((line) => {
+        const names = [...line.matchAll(placeholder)].map(([, name]) => name)
+        return names.length === 0 || names.some((name) => valueOf(name) !== '')
+      })
+      .map((line) => line.replace(placeholder, (match, name) => encode(valueOf(name))))
+      .join('\n')
   }
 
-  replaceVars(str, replaceto) {
-    for (let [oldStr, newStr] of Object.entries(replaceto)) {
-      str = str.split(oldStr).join(newStr)
+  /**
+   * Send the notification of an event to the channels it is routed to, rendered in the language of the route.
+   * The channels over their rate limit skip it.
+   * @param {object} event - Structured fields of the notification (see event())
+   * @param {Map} [deliveries] - Channels to send it to, by default the ones of its routes (see route())
+   */
+  async send(event, deliveries = this.route(event)) {
+    if (this.channels.length === 0) {
+      this.log.warn('Cannot send notification: no channel configured')
+      return
+    }
+    if (this.throttle && !SUMMARY_EVENTS.includes(event.type)) {
+      deliveries = new Map([...deliveries].filter(([{ name }]) => this.throttle.allow(name)))
     }
-    return str
+    if (deliveries.size === 0) {
+      this.log.debug(`Notification ${event.type} of ${event.clientId} not routed to any channel`)
+      return
+    }
+    const rendered = new Map() // language -> { title, text, html }
+    const tasks = [...deliveries].map(([{ type, name, channel }, options]) => {
+      const language = options.language || this.config.language || DEFAULT_LANGUAGE
+      if (!rendered.has(language)) {
+        rendered.set(language, this.render(event, language))
+      }
+      const { title, text, html } = rendered.get(language)
+      return channel.send(title, text, event, { ...options, html }).then((res) => {
+        metrics.notifications.inc({ channel: type, result: res.error ? 'failure' : 'success' })
+        if (res.error) {
+          this.log.error(`Failed to send notification via ${name}: ${res.error}`)
+        } else {
+          this.log.debug(`Notification sent via ${name}`)
+        }
+      })
+    })
+    await Promise.allSettled(tasks)
   }
 }
 
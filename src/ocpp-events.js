@@ -0,0 +1,202 @@
+/**
+ * OCPP Events
+ * Protocol-aware parsing of client CALLs into the events used by the alerts,
+ * so that OCPP 1.6 and 2.0.1 / 2.1 chargers trigger the same notifications
+ */
+
+// TransactionEvent chargingState (2.x) -> connector status (1.6)
+const CHARGING_STATES = {
+  EVConnected: 'Preparing',
+  Charging: 'Charging',
+  SuspendedEV: 'SuspendedEV',
+  SuspendedEVSE: 'SuspendedEVSE',
+}
+
+// Device model components whose AvailabilityState / Problem variables report a status (2.x)
+const STATUS_COMPONENTS = ['ChargingStation', 'EVSE', 'Connector']
+
+/**
+ * Whether a negotiated subprotocol is OCPP 2.0.1 or later
+ * @param {string} [protocol]
+ * @returns {boolean}
+ */
+function isOcpp2(protocol) {
+  return /^ocpp2\./.test(protocol || '')
+}
+
+/**
+ * Items of a list field that are objects, so that a malformed payload is parsed as far as it goes
+ * @param {*} list
+ * @returns {Array<object>}
+ */
+function objectsOf(list) {
+  return Array.isArray(list) ? list.filter((item) => item !== null && typeof item === 'object') : []
+}
+
+/**
+ * Read the energy register (Energy.Active.Import.Register, the default measurand) of MeterValues
+ * @param {Array<object>} [meterValues] - meterValue of a MeterValues (1.6) or TransactionEvent (2.x)
+ * @returns {number|undefined} Latest value in Wh
+ */
+function energyRegister(meterValues) {
+  let energy
+  for (const meterValue of objectsOf(meterValues)) {
+    for (const sampledValue of objectsOf(meterValue.sampledValue)) {
+      if (
+        (sampledValue.measurand || 'Energy.Active.Import.Register') !== 'Energy.Active.Import.Register' ||
+        sampledValue.phase
+      ) {
+        continue
+      }
+      // OCPP 1.6: unit, value as a string; OCPP 2.x: unitOfMeasure { unit, multiplier }, value as a number
+      const unitOfMeasure = sampledValue.unitOfMeasure || {}
+      const unit = sampledValue.unit || unitOfMeasure.unit || 'Wh'
+      const value = Number(sampledValue.value) * 10 ** (unitOfMeasure.multiplier || 0) * (unit === 'kWh' ? 1000 : 1)
+      if (Number.isFinite(value)) {
+        energy = value
+      }
+    }
+  }
+  return energy
+}
+
+/**
+ * Parse an OCPP 1.6 CALL
+ * @param {string} action
+ * @param {object} params
+ * @returns {Array<object>}
+ */
+function fromOcpp16Call(action, params) {
+  switch (action) {
+    case 'StatusNotification': {
+      const { connectorId, status, errorCode, vendorErrorCode, info } = params
+      if (connectorId === 0 || connectorId > 0) {
+        const target = connectorId === 0 ? 'chargePoint' : 'connector'
+        return [{ type: 'status', action, target, connectorId, status, errorCode, vendorErrorCode, info }]
+      }
+      return []
+    }
+    case 'StartTransaction':
+      if (params.connectorId > 0) {
+        const { connectorId, idTag, meterStart } = params
+        return [{ type: 'transactionStarted', action, connectorId, idTag, meterValue: meterStart }]
+      }
+      return []
+    case 'StopTransaction':
+      if (params.connectorId > 0) {
+        const { connectorId, transactionId, idTag, meterStop, reason } = params
+        return [{ type: 'transactionStopped', action, connectorId, transactionId, idTag, meterValue: meterStop, reason }]
+      }
+      return []
+    case 'SecurityEventNotification':
+      return [{ type: 'securityEvent', action, eventType: params.type, techInfo: params.techInfo }]
+    default:
+      return []
+  }
+}
+
+/**
+ * Parse an OCPP 2.0.1 / 2.1 CALL
+ * @param {string} action
+ * @param {object} params
+ * @returns {Array<object>}
+ */
+function fromOcpp2Call(action, params) {
+  switch (action) {
+    case 'StatusNotification': {
+      const { evseId, connectorId, connectorStatus: status } = params
+      const target = evseId === 0 ? 'chargePoint' : 'connector'
+      return [{ type: 'status', action, target, evseId, connectorId: evseId === 0 ? undefined : connectorId, status }]
+    }
+    case 'TransactionEvent': {
+      const events = []
+      const evse = params.evse || {}
+      const transactionInfo = params.transactionInfo || {}
+      const ids = { evseId: evse.id, connectorId: evse.connectorId }
+      const transaction = {
+        ...ids,
+        transactionId: transactionInfo.transactionId,
+        idTag: params.idToken && params.idToken.idToken,
+        meterValue: energyRegister(params.meterValue),
+      }
+      if (params.eventType === 'Started') {
+        events.push({ type: 'transactionStarted', action, ...transaction })
+      } else if (params.eventType === 'Ended') {
+        events.push({ type: 'transactionStopped', action, ...transaction, reason: transactionInfo.stoppedReason })
+      }
+      const chargingState = transactionInfo.chargingState
+      const status = Object.prototype.hasOwnProperty.call(CHARGING_STATES, chargingState) && CHARGING_STATES[chargingState]
+      if (status && evse.id !== undefined) {
+        events.push({ type: 'status', action, target: 'connector', ...ids, status })
+      }
+      return events
+    }
+    case 'NotifyEvent':
+      return objectsOf(params.eventData)
+        .map((eventData) => fromEventData(action, eventData))
+        .filter((event) => event)
+    case 'SecurityEventNotification':
+      return [{ type: 'securityEvent', action, eventType: params.type, techInfo: params.techInfo }]
+    default:
+      return []
+  }
+}
+
+/**
+ * Parse one eventData of a NotifyEvent reporting the availability or a problem of a component
+ * @param {string} action
+ * @param {object} eventData
+ * @returns {object|null}
+ */
+function fromEventData(action, eventData) {
+  const component = eventData.component || {}
+  const variable = eventData.variable || {}
+  if (!STATUS_COMPONENTS.includes(component.name)) {
+    return null
+  }
+
+  let status
+  let errorCode
+  let info
+  if (variable.name === 'AvailabilityState') {
+    status = eventData.actualValue
+  } else if (variable.name === 'Problem' && eventData.actualValue === 'true') {
+    status = 'Faulted'
+    errorCode = eventData.techCode || eventData.techInfo
+    info = eventData.techCode ? eventData.techInfo : undefined
+  } else {
+    return null
+  }
+
+  const evse = component.evse
+  if (component.name === 'ChargingStation' || !evse) {
+    return { type: 'status', action, target: 'chargePoint', status, errorCode, info }
+  }
+  return {
+    type: 'status',
+    action,
+    target: 'connector',
+    evseId: evse.id,
+    connectorId: evse.connectorId,
+    status,
+    errorCode,
+    info,
+  }
+}
+
+/**
+ * Parse a client CALL into alert events, according to the negotiated subprotocol
+ * @param {string} protocol - Negotiated subprotocol (ocpp1.6, ocpp2.0.1, ocpp2.1)
+ * @param {string} action
+ * @param {object} params
+ * @returns {Array<object>} Events: { type: 'status' | 'transactionStarted' | 'transactionStopped' | 'securityEvent', action,
+ *   evseId (2.x), connectorId, status, errorCode, transactionId, idTag, meterValue (Wh)... }
+ */
+function fromCall(protocol, action, params) {
+  if (!params || typeof params !== 'object') {
+    return []
+  }
+  return isOcpp2(protocol) ? fromOcpp2Call(action, params) : fromOcpp16Call(action, params)
+}
+
+module.exports = { isOcpp2, fromCall, energyRegister }
@@ -9,13 +9,17 @@ class OcppRouter {
   constructor(clientId) {
     this.clientId = clientId
     this.log = createLogger('Router', clientId)
-    // Maps messageId to the server that sent the CALL (type 2)
+    // Maps messageId to the server that sent the CALL (type 2), its action and expiry timer
     // Used to route CALLRESULT (type 3) or CALLERROR (type 4) back to the right server
     this.messageIdToServer = new Map()
 
-    // Tracks messageIds of CALLs originated by the client
-    // Used to ensure only the primary server's response is relayed back
-    this.clientCallIds = new Set()
+    // Tracks CALLs originated by the client: messageId -> { action, sentAt, answered, timer }
+    // Used to ensure only the responding server's response is relayed back
+    this.clientCallIds = new Map()
+
+    // Tracks CALLs originated by the proxy itself: messageId -> { action, onResponse, timer }
+    // Used to hand the client response back to the proxy instead of the servers
+    this.proxyCalls = new Map()
   }
 
   /**
@@ -42,67 +46,172 @@ class OcppRouter {
   }
 
   /**
-   * Register that the client sent a CALL message
+   * Register that the client sent a CALL message.
+   * The entry expires after timeoutMs: if no response was relayed by then, onTimeout is called.
    * @param {string} messageId
+   * @param {string} action - OCPP action of the CALL
+   * @param {number} timeoutMs - Time allowed to the responding server to answer
+   * @param {function} [onTimeout] - Called with (messageId, action) when no response was relayed in time
    */
-  registerClientCall(messageId) {
-    this.clientCallIds.add(messageId)
+  registerClientCall(messageId, action, timeoutMs, onTimeout) {
+    const previous = this.clientCallIds.get(messageId)
+    if (previous) {
+      clearTimeout(previous.timer)
+    }
+
+    const entry = { action, sentAt: Date.now(), answered: false, timer: null }
+    entry.timer = setTimeout(() => {
+      this.clientCallIds.delete(messageId)
+      if (!entry.answered) {
+        this.log.warn(`No response relayed for client CALL ${action} (${messageId}) within ${timeoutMs / 1000}s`)
+        if (onTimeout) {
+          onTimeout(messageId, action)
+        }
+      }
+    }, timeoutMs)
+    this.clientCallIds.set(messageId, entry)
     this.log.debug(`Registered client CALL with messageId: ${messageId}`)
   }
 
   /**
    * Check if a server response (CALLRESULT/CALLERROR) to a client CALL should be relayed to the client.
-   * Only the primary server's response is relayed; other responses are silently dropped.
+   * Only the responding server's response is relayed; other responses are silently dropped.
    * @param {string} messageId
    * @param {string} serverName - Server that sent the response
-   * @param {string} primaryServerName - Name of the primary server (server 1)
+   * @param {string} responderName - Name of the server currently answering the client
    * @returns {boolean} true if the response should be forwarded to the client
    */
-  shouldRelayResponseToClient(messageId, serverName, primaryServerName) {
-    if (!this.clientCallIds.has(messageId)) {
-      // Not a response to a client-originated CALL → relay normally
-      return true
+  shouldRelayResponseToClient(messageId, serverName, responderName) {
+    const entry = this.clientCallIds.get(messageId)
+    if (!entry) {
+      // Unknown or expired client CALL → the client already got (or gave up on) its answer
+      this.log.debug(`Dropping response from ${serverName} for messageId: ${messageId} (no pending client CALL)`)
+      return false
     }
 
-    if (serverName === primaryServerName) {
-      // Primary server responded → relay
-      // Note: we do NOT delete from clientCallIds here, because other servers
-      // may still respond and we need to keep the entry to filter them out.
-      // Cleanup happens via clear() on disconnect.
+    if (serverName === responderName && !entry.answered) {
+      // Responding server answered → relay
+      // Note: the entry is kept until its timer expires, because other servers
+      // may still respond and we need to keep it to filter them out.
+      entry.answered = true
       this.log.info(`Relaying response from ${serverName} for messageId: ${messageId}`)
       return true
     }
 
-    // Non-primary server responded → drop
-    this.log.debug(`Dropping response from ${serverName} for messageId: ${messageId} (not primary server)`)
+    // Other server (or duplicate) responded → drop
+    this.log.debug(`Dropping response from ${serverName} for messageId: ${messageId} (not responding server)`)
     return false
   }
 
   /**
-   * Register that a server sent a CALL message to the client
+   * Register that a server sent a CALL message to the client.
+   * The mapping expires after timeoutMs if the client never answers.
    * @param {string} messageId
    * @param {string} serverName
+   * @param {number} timeoutMs
+   * @param {string} [action] - OCPP action of the CALL
    */
-  registerServerCall(messageId, serverName) {
-    this.messageIdToServer.set(messageId, serverName)
+  registerServerCall(messageId, serverName, timeoutMs, action) {
+    const previous = this.messageIdToServer.get(messageId)
+    if (previous) {
+      clearTimeout(previous.timer)
+    }
+
+    const timer = setTimeout(() => {
+      this.messageIdToServer.delete(messageId)
+      this.log.warn(`No response from client to CALL from ${serverName} (${messageId}) within ${timeoutMs / 1000}s`)
+    }, timeoutMs)
+    this.messageIdToServer.set(messageId, { serverName, action, timer })
     this.log.debug(`Registered CALL from ${serverName} with messageId: ${messageId}`)
   }
 
+  /**
+   * Register that the proxy itself sent a CALL message to the client.
+   * The client response is handed to onResponse, or null if it did not answer within timeoutMs.
+   * @param {string} messageId
+   * @param {string} action - OCPP action of the CALL
+   * @param {number} timeoutMs - Time allowed to the client to answer
+   * @param {function} onResponse - Called with the parsed CALLRESULT or CALLERROR, or null
+   */
+  registerProxyCall(messageId, action, timeoutMs, onResponse) {
+    const timer = setTimeout(() => {
+      this.proxyCalls.delete(messageId)
+      this.log.warn(`No response from client to proxy CALL ${action} (${messageId}) within ${timeoutMs / 1000}s`)
+      onResponse(null)
+    }, timeoutMs)
+    this.proxyCalls.set(messageId, { action, onResponse, timer })
+    this.log.debug(`Registered proxy CALL with messageId: ${messageId}`)
+  }
+
+  /**
+   * Whether a messageId belongs to a pending CALL sent by the proxy itself
+   * @param {string} messageId
+   * @returns {boolean}
+   */
+  isProxyCall(messageId) {
+    return this.proxyCalls.has(messageId)
+  }
+
+  /**
+   * Hand a client response to the proxy CALL it answers
+   * @param {object} message - Parsed CALLRESULT or CALLERROR
+   */
+  resolveProxyCall(message) {
+    const entry = this.proxyCalls.get(message.messageId)
+    clearTimeout(entry.timer)
+    this.proxyCalls.delete(message.messageId)
+    entry.onResponse(message.parsed)
+  }
+
+  /**
+   * Get a pending client CALL
+   * @param {string} messageId
+   * @returns {object|undefined} { action, sentAt, answered }
+   */
+  getClientCall(messageId) {
+    return this.clientCallIds.get(messageId)
+  }
+
+  /**
+   * Get the OCPP action of a pending CALL (from the client or a server) for a given messageId
+   * @param {string} messageId
+   * @returns {string|undefined}
+   */
+  getAction(messageId) {
+    const entry =
+      this.clientCallIds.get(messageId) || this.messageIdToServer.get(messageId) || this.proxyCalls.get(messageId)
+    return entry ? entry.action : undefined
+  }
+
   /**
    * Get which server sent the CALL for a given messageId
    * @param {string} messageId
    * @returns {string|null} Server name or null
    */
   getServerForResponse(messageId) {
-    const serverName = this.messageIdToServer.get(messageId)
+    // Clean up the mapping after retrieving it
+    const serverName = this.forgetServerCall(messageId)
     if (serverName) {
-      // Clean up the mapping after retrieving it
-      this.messageIdToServer.delete(messageId)
       this.log.debug(`Response for messageId ${messageId} should go to ${serverName}`)
     }
     return serverName
   }
 
+  /**
+   * Forget a server CALL the client will not answer, such as one rejected by the proxy
+   * @param {string} messageId
+   * @returns {string|null} Name of the server that sent it, null if unknown
+   */
+  forgetServerCall(messageId) {
+    const entry = this.messageIdToServer.get(messageId)
+    if (!entry) {
+      return null
+    }
+    clearTimeout(entry.timer)
+    this.messageIdToServer.delete(messageId)
+    return entry.serverName
+  }
+
   /**
    * Determine routing for a message from client to servers
    * @param {object} message - Parsed message
@@ -110,32 +219,39 @@ class OcppRouter {
    */
   routeClientMessage(message) {
     if (!message) {
-      return { sendToAll: false, sendToServer: null }
+      return { sendToAll: false, sendToServer: null, sendToProxy: false }
     }
 
     switch (message.type) {
       case 2: // CALL - send to both servers
         this.log.info(`CALL from client (${message.messageId}) → routing to ALL servers`)
-        return { sendToAll: true, sendToServer: null }
+        return { sendToAll: true, sendToServer: null, sendToProxy: false }
 
       case 3: // CALLRESULT - send to specific server
       case 4: {
         // CALLERROR - send to specific server
+        const typeName = message.type === 3 ? 'CALLRESULT' : 'CALLERROR'
+
+        // Response to a CALL sent by the proxy itself → back to the proxy, never to the servers
+        if (this.isProxyCall(message.messageId)) {
+          this.log.info(`${typeName} from client (${message.messageId}) → routing to proxy`)
+          this.resolveProxyCall(message)
+          return { sendToAll: false, sendToServer: null, sendToProxy: true }
+        }
+
         const serverName = this.getServerForResponse(message.messageId)
         if (serverName) {
-          this.log.info(
-            `${message.type === 3 ? 'CALLRESULT' : 'CALLERROR'} from client (${message.messageId}) → routing to ${serverName}`
-          )
-          return { sendToAll: false, sendToServer: serverName }
+          this.log.info(`${typeName} from client (${message.messageId}) → routing to ${serverName}`)
+          return { sendToAll: false, sendToServer: serverName, sendToProxy: false }
         } else {
           this.log.warn(`No server mapping found for messageId ${message.messageId}`)
-          return { sendToAll: false, sendToServer: null }
+          return { sendToAll: false, sendToServer: null, sendToProxy: false }
         }
       }
 
       default:
         this.log.warn(`Unknown message type ${message.type}`)
-        return { sendToAll: false, sendToServer: null }
+        return { sendToAll: false, sendToServer: null, sendToProxy: false }
     }
   }
 
@@ -143,15 +259,16 @@ class OcppRouter {
    * Handle a message from an upstream server
    * @param {object} message - Parsed message
    * @param {string} serverName - Name of the server that sent the message
+   * @param {number} timeoutMs - Time allowed to the client to answer a CALL from this server
    */
-  handleServerMessage(message, serverName) {
+  handleServerMessage(message, serverName, timeoutMs) {
     if (!message) {
       return
     }
 
     // If it's a CALL from server, register it
     if (message.type === 2) {
-      this.registerServerCall(message.messageId, serverName)
+      this.registerServerCall(message.messageId, serverName, timeoutMs, message.parsed[2])
     }
 
     this.log.debug(`Message from ${serverName} (type ${message.type}, id ${message.messageId})`)
@@ -161,8 +278,15 @@ class OcppRouter {
    * Clear all stored mappings
    */
   clear() {
+    this.messageIdToServer.forEach((entry) => clearTimeout(entry.timer))
+    this.clientCallIds.forEach((entry) => clearTimeout(entry.timer))
+    this.proxyCalls.forEach((entry) => {
+      clearTimeout(entry.timer)
+      entry.onResponse(null)
+    })
     this.messageIdToServer.clear()
     this.clientCallIds.clear()
+    this.proxyCalls.clear()
     this.log.debug('Cleared all message mappings')
   }
 }
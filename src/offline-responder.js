@@ -0,0 +1,272 @@
+/**
+ * Offline Responder
+ * Answers core OCPP 1.6 CALLs locally while no upstream can answer the client,
+ * records them and replays them to the primary upstream once it is back
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { createLogger } = require('./logger')
+
+// CALLs recorded while offline and replayed to the primary upstream
+const REPLAYED_ACTIONS = ['BootNotification', 'StatusNotification', 'MeterValues', 'StartTransaction', 'StopTransaction']
+
+// Transaction state of the clients, shared by their connections and kept across their reconnections
+const states = new Map() // State file path, else clientId -> { lastTransactionId, transactionIds }
+
+class OfflineResponder {
+  /**
+   * @param {string} clientId
+   * @param {object} config - offlineResponder configuration
+   * @param {MessageQueue} queue - Queue of the primary upstream, where the CALLs answered locally are recorded.
+   * The transaction state is persisted next to it, as <upstream>.transactions.json.
+   */
+  constructor(clientId, config, queue) {
+    this.clientId = clientId
+    this.heartbeatInterval = config.heartbeatInterval || 300
+    this.authorizeList = config.authorizeList || []
+    this.transactionIdBase = config.transactionIdBase || 900000000
+    this.log = createLogger('Offline', clientId)
+    this.queue = queue
+    this.filePath = queue.filePath
+      ? path.join(path.dirname(queue.filePath), `${queue.upstreamName}.transactions.json`)
+      : null
+    const key = this.filePath || clientId
+    if (!states.has(key)) {
+      states.set(key, this.load())
+    }
+    this.state = states.get(key)
+  }
+
+  /**
+   * Local transactionId -> transactionId assigned by the primary upstream
+   * @returns {Map}
+   */
+  get transactionIds() {
+    return this.state.transactionIds
+  }
+
+  /**
+   * Load the transaction state of the client, from disk next to a persisted queue
+   * @returns {object} { lastTransactionId, transactionIds }
+   */
+  load() {
+    const state = { lastTransactionId: 0, transactionIds: new Map() }
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return state
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      state.lastTransactionId = saved.lastTransactionId
+      state.transactionIds = new Map(saved.transactionIds)
+      this.log.info(`Loaded ${state.transactionIds.size} offline transaction(s) from ${this.filePath}`)
+    } catch (error) {
+      this.log.error(`Failed to load offline transactions ${this.filePath}: ${error.message}`)
+    }
+    return state
+  }
+
+  /**
+   * Save the transaction state of the client (atomically, through a temporary file)
+   */
+  save() {
+    if (!this.filePath) {
+      return
+    }
+
+    try {
+      const tmpPath = `${this.filePath}.tmp`
+      const state = { lastTransactionId: this.state.lastTransactionId, transactionIds: [...this.transactionIds] }
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tmpPath, JSON.stringify(state) + '\n')
+      fs.renameSync(tmpPath, this.filePath)
+    } catch (error) {
+      this.log.error(`Failed to save offline transactions ${this.filePath}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Only OCPP 1.6 messages can be answered locally
+   * @param {string} protocol
+   * @returns {boolean}
+   */
+  static isSupported(protocol) {
+    return protocol === 'ocpp1.6'
+  }
+
+  /**
+   * Number of recorded CALLs waiting to be replayed
+   * @returns {number}
+   */
+  get pendingCount() {
+    return this.queue.length
+  }
+
+  /**
+   * Whether the recorded CALLs are being replayed to the primary upstream
+   * @returns {boolean}
+   */
+  get isReplaying() {
+    return this.queue.isReplaying
+  }
+
+  /**
+   * Answer a client CALL locally and record it for replay
+   * @param {object} message - Parsed CALL message
+   * @returns {Array} CALLRESULT or CALLERROR frame to send to the client
+   */
+  answer(message) {
+    const [, messageId, action, payload] = message.parsed
+    const params = payload || {}
+    let transactionId = null
+    let result
+
+    switch (action) {
+      case 'BootNotification':
+        result = { status: 'Accepted', currentTime: new Date().toISOString(), interval: this.heartbeatInterval }
+        break
+      case 'Heartbeat':
+        result = { currentTime: new Date().toISOString() }
+        break
+      case 'Authorize':
+        result = { idTagInfo: this.getIdTagInfo(params.idTag) }
+        break
+      case 'StartTransaction':
+        // Keep the local transactionId with the recorded CALL so it can be mapped on replay
+        transactionId = this.nextTransactionId()
+        result = { transactionId, idTagInfo: this.getIdTagInfo(params.idTag) }
+        break
+      case 'StopTransaction':
+        result = params.idTag ? { idTagInfo: this.getIdTagInfo(params.idTag) } : {}
+        break
+      case 'StatusNotification':
+      case 'MeterValues':
+      case 'DiagnosticsStatusNotification':
+      case 'FirmwareStatusNotification':
+        result = {}
+        break
+      default:
+        this.log.warn(`Cannot answer ${action} (${messageId}) while offline`)
+        return [4, messageId, 'NotImplemented', `${action} is not supported while the upstream servers are unavailable`, {}]
+    }
+
+    this.log.info(`Answered ${action} (${messageId}) locally`)
+    if (REPLAYED_ACTIONS.includes(action)) {
+      this.queue.push(message.parsed, transactionId ? { transactionId } : {})
+    }
+    return [3, messageId, result]
+  }
+
+  /**
+   * Build the idTagInfo for an idTag from the local allow-list
+   * @param {string} idTag
+   * @returns {object}
+   */
+  getIdTagInfo(idTag) {
+    const accepted = this.authorizeList.includes('*') || this.authorizeList.includes(idTag)
+    return { status: accepted ? 'Accepted' : 'Invalid' }
+  }
+
+  /**
+   * Generate a local transactionId, unique for this client: a counter saved before the id is handed out
+   * @returns {number}
+   */
+  nextTransactionId() {
+    this.state.lastTransactionId = Math.max(this.state.lastTransactionId, this.transactionIdBase) + 1
+    this.save()
+    return this.state.lastTransactionId
+  }
+
+  /**
+   * Replay the recorded CALLs to the primary upstream, mapping the local transactionIds
+   * to the ones the primary assigns to the replayed StartTransaction CALLs
+   * @param {UpstreamConnection} upstream
+   */
+  async replay(upstream) {
+    await this.queue.replay(upstream, {
+      beforeSend: (entry) => this.mapTransactionId(entry.frame),
+      onResult: (entry, result) => {
+        const localId = entry.meta.transactionId
+        if (entry.frame[2] === 'StartTransaction' && localId && result[2] && result[2].transactionId !== undefined) {
+          this.transactionIds.set(localId, result[2].transactionId)
+          this.save()
+          this.log.info(`Local transaction ${localId} is transaction ${result[2].transactionId} on ${upstream.name}`)
+        } else if (entry.frame[2] === 'StopTransaction') {
+          this.forgetTransaction(entry.frame[3])
+        }
+      },
+    })
+  }
+
+  /**
+   * Replace a local transactionId by the one assigned by the primary upstream in a client CALL frame
+   * @param {Array} frame
+   * @returns {Array}
+   */
+  mapTransactionId(frame) {
+    const [, , action, params] = frame
+    if (
+      (action === 'StopTransaction' || action === 'MeterValues') &&
+      params &&
+      this.transactionIds.has(params.transactionId)
+    ) {
+      return [frame[0], frame[1], action, { ...params, transactionId: this.transactionIds.get(params.transactionId) }]
+    }
+    return frame
+  }
+
+  /**
+   * Forget the mapping of a transaction started offline once the primary upstream got its StopTransaction
+   * @param {object} params - StopTransaction payload, with the local transactionId
+   */
+  forgetTransaction(params) {
+    if (params && this.transactionIds.delete(params.transactionId)) {
+      this.save()
+    }
+  }
+
+  /**
+   * Rewrite a client CALL for the primary upstream when it refers to a transaction started offline
+   * @param {string} data - Raw client message
+   * @returns {string}
+   */
+  rewriteClientCall(data) {
+    if (this.transactionIds.size === 0) {
+      return data
+    }
+    const frame = JSON.parse(data)
+    const mapped = this.mapTransactionId(frame)
+    if (mapped === frame) {
+      return data
+    }
+    if (frame[2] === 'StopTransaction') {
+      this.forgetTransaction(frame[3])
+    }
+    return JSON.stringify(mapped)
+  }
+
+  /**
+   * Rewrite a primary upstream CALL for the client when it refers to a transaction started offline
+   * @param {string} data - Raw upstream message
+   * @returns {string}
+   */
+  rewriteServerCall(data) {
+    if (this.transactionIds.size === 0) {
+      return data
+    }
+    const frame = JSON.parse(data)
+    const [type, messageId, action, params] = frame
+    if (type !== 2 || action !== 'RemoteStopTransaction' || !params) {
+      return data
+    }
+    for (const [localId, remoteId] of this.transactionIds) {
+      if (remoteId === params.transactionId) {
+        return JSON.stringify([type, messageId, action, { ...params, transactionId: localId }])
+      }
+    }
+    return data
+  }
+}
+
+module.exports = OfflineResponder
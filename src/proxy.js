@@ -3,19 +3,49 @@
  * Main proxy logic that handles client connections and message routing
  */
 
+const path = require('path')
+const http = require('http')
+const https = require('https')
+const crypto = require('crypto')
 const WebSocket = require('ws')
 const OcppRouter = require('./ocpp-router')
 const UpstreamConnection = require('./upstream')
+const OfflineResponder = require('./offline-responder')
+const MessageQueue = require('./message-queue')
+const AdminApi = require('./admin-api')
+const ChargerAuth = require('./charger-auth')
+const SchemaValidator = require('./schema-validator')
+const Journal = require('./journal')
+const ChargerStats = require('./charger-stats')
+const Digest = require('./digest')
 const Notify = require('./notify')
+const metrics = require('./metrics')
 const { createLogger } = require('./logger')
 
 const log = createLogger('Proxy')
 
+// Default message queue settings
+const DEFAULT_QUEUE_DIRECTORY = path.join(__dirname, '..', 'data', 'queue')
+const DEFAULT_QUEUED_ACTIONS = ['StartTransaction', 'StopTransaction', 'MeterValues']
+
+// Default traffic journal directory
+const DEFAULT_JOURNAL_DIRECTORY = path.join(__dirname, '..', 'data', 'journal')
+
+// Subprotocol assumed for a charger that does not offer any
+const IMPLIED_PROTOCOL = 'ocpp1.6'
+
 class OcppProxy {
   constructor(config) {
     this.config = config
     this.server = null
+    this.httpsServer = null
+    this.chargerAuth = null
+    this.schemaValidator = null
+    this.journal = null
     this.notifier = null
+    this.adminApi = null
+    this.stats = null // Statistics of the digest reports, collected while they can be sent
+    this.digest = null
     this.clientConnections = new Map() // Maps client connection to its upstreams
   }
 
@@ -24,21 +54,28 @@ class OcppProxy {
    */
   start() {
     const { host, port } = this.config.proxy
+    metrics.bindProxy(this)
+
+    if (this.config.security) {
+      this.chargerAuth = new ChargerAuth(this.config.security)
+    }
+    const validation = this.config.validation || {}
+    if ((validation.client || 'off') !== 'off' || (validation.upstream || 'off') !== 'off') {
+      this.schemaValidator = new SchemaValidator()
+    }
+    if (this.config.journal && this.config.journal.enabled) {
+      this.journal = new Journal(this.config.journal, DEFAULT_JOURNAL_DIRECTORY)
+    }
+    const tlsOptions = this.chargerAuth ? this.chargerAuth.getTlsOptions() : null
+    if (tlsOptions) {
+      this.httpsServer = https.createServer(tlsOptions)
+    }
 
     this.server = new WebSocket.Server({
-      host,
-      port,
-      // eslint-disable-next-line no-unused-vars
-      handleProtocols: (protocols, request) => {
-        // Support OCPP protocols
-        // protocols is a Set in ws library
-        const protocolsArray = Array.isArray(protocols) ? protocols : Array.from(protocols)
-        const ocppProtocols = protocolsArray.filter((p) => p.startsWith('ocpp'))
-        if (ocppProtocols.length > 0) return ocppProtocols[0]
-        // Default to ocpp1.6 if no Sec-WebSocket-Protocol header was sent
-        if (protocolsArray.length === 0) return 'ocpp1.6'
-        return false
-      },
+      ...(this.httpsServer ? { server: this.httpsServer } : { host, port }),
+      verifyClient: (info, callback) => this.verifyClient(info.req, callback),
+      // The subprotocol was negotiated by verifyClient
+      handleProtocols: (protocols, request) => request.ocppProtocol || false,
     })
 
     this.server.on('connection', (ws, request) => {
@@ -54,8 +91,249 @@ class OcppProxy {
     } else {
       log.warn('Notify configuration missing or invalid, notifications will be disabled')
     }
+    this.startDigest(this.createDigest(this.config))
+
+    if (this.httpsServer) {
+      this.httpsServer.listen(port, host)
+    }
+    log.info(`WebSocket proxy listening on ${host}:${port}${this.httpsServer ? ' (TLS)' : ''}`)
+
+    if (this.config.admin && this.config.admin.enabled) {
+      this.adminApi = new AdminApi(this, this.config.admin)
+      this.adminApi.start()
+    }
+  }
+
+  /**
+   * Apply a reloaded configuration without disconnecting the chargers. Charger security, schema
+   * validation, the journal, notifications and digest reports apply right away; the settings read when a charger
+   * connects apply to the next connections. Upstream changes are also applied to the connected
+   * chargers: added upstreams are connected, removed ones closed and changed ones reconnected.
+   * @param {object} config - Validated configuration
+   */
+  reload(config) {
+    const previous = this.config
+    for (const [key, before, after] of [
+      ['proxy.host', previous.proxy.host, config.proxy.host],
+      ['proxy.port', previous.proxy.port, config.proxy.port],
+      ['security.tls', (previous.security || {}).tls, (config.security || {}).tls],
+      ['admin', previous.admin, config.admin],
+      ['watchConfig', previous.watchConfig, config.watchConfig],
+    ]) {
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        log.warn(`Configuration reload: ${key} changes require a restart, the current value is kept`)
+      }
+    }
+
+    // Everything that can fail is built before the running state changes: a rejected reload leaves it untouched
+    const nextConfig = {
+      ...config,
+      proxy: { ...config.proxy, host: previous.proxy.host, port: previous.proxy.port },
+      admin: previous.admin,
+    }
+    // The listening socket keeps its TLS settings, the charger authentication must check the same ones
+    const security = config.security ? { ...config.security, tls: (previous.security || {}).tls } : null
+    const chargerAuth = security ? new ChargerAuth(security) : null
+    const journalChanged = JSON.stringify(previous.journal) !== JSON.stringify(config.journal)
+    const journal =
+      journalChanged && config.journal && config.journal.enabled
+        ? new Journal(config.journal, DEFAULT_JOURNAL_DIRECTORY)
+        : null
+    // The digest reports may use the email settings of the notifications
+    const digestSettings = (settings) => JSON.stringify([settings.digest, (settings.notify || {}).email])
+    const digestChanged = digestSettings(previous) !== digestSettings(config)
+    const digest = digestChanged ? this.createDigest(nextConfig) : null
+
+    const changed = (upstream) => {
+      const before = previous.upstreams.find((u) => u.name === upstream.name)
+      return !before || JSON.stringify(before) !== JSON.stringify(upstream)
+    }
+    const upstreamChanges = config.upstreams.filter(changed).length
+    const removedUpstreams = previous.upstreams.filter((u) => !config.upstreams.some((c) => c.name === u.name)).length
+    const upstreamPlans = []
+    if (upstreamChanges > 0 || removedUpstreams > 0) {
+      this.clientConnections.forEach((connectionInfo) => {
+        upstreamPlans.push([connectionInfo, this.planUpstreams(connectionInfo, config.upstreams, changed)])
+      })
+    }
+
+    this.config = nextConfig
+    this.chargerAuth = chargerAuth
+
+    const validation = config.validation || {}
+    if (!this.schemaValidator && ((validation.client || 'off') !== 'off' || (validation.upstream || 'off') !== 'off')) {
+      this.schemaValidator = new SchemaValidator()
+    }
+    if (journalChanged) {
+      if (this.journal) {
+        this.journal.stop()
+      }
+      this.journal = journal
+    }
+
+    if (config.notify && config.notify instanceof Object) {
+      if (this.notifier) {
+        this.notifier.reload(config.notify)
+      } else {
+        this.notifier = new Notify(config.notify)
+      }
+    } else if (this.notifier) {
+      log.warn('Notify configuration missing or invalid, notifications will be disabled')
+      this.notifier.close()
+      this.notifier = null
+    }
+
+    if (digestChanged) {
+      this.startDigest(digest)
+    }
+
+    if (upstreamPlans.length > 0) {
+      log.info(`Upstreams changed, updating ${upstreamPlans.length} connected client(s)`)
+      upstreamPlans.forEach(([connectionInfo, plan]) => this.reloadUpstreams(connectionInfo, plan))
+    }
+  }
 
-    log.info(`WebSocket proxy listening on ${host}:${port}`)
+  /**
+   * Create the digest reports of a configuration
+   * @param {object} config
+   * @returns {Digest|null} null when disabled
+   */
+  createDigest(config) {
+    const digestConfig = config.digest
+    if (!digestConfig || !digestConfig.enabled) {
+      return null
+    }
+    const emailConfig = digestConfig.email || (config.notify || {}).email
+    return new Digest(digestConfig, emailConfig, this.stats || this.createStats(), (clientId) => {
+      return this.notifier ? this.notifier.clientNames[clientId] : clientId
+    })
+  }
+
+  /**
+   * Start the statistics of the digest reports, with the chargers already connected
+   * @returns {ChargerStats}
+   */
+  createStats() {
+    const stats = new ChargerStats()
+    this.clientConnections.forEach(({ clientId }) => stats.connected(clientId))
+    return stats
+  }
+
+  /**
+   * Schedule the digest reports, replacing the current schedule. The statistics carry over; they are only
+   * collected while the reports have an email to be sent with.
+   * @param {Digest|null} digest - See createDigest()
+   */
+  startDigest(digest) {
+    if (this.digest) {
+      this.digest.stop()
+    }
+    this.digest = digest
+    this.stats = digest && digest.mailer ? digest.stats : null
+    if (digest) {
+      digest.start()
+    }
+  }
+
+  /**
+   * Parse the path of a client request. The clientId is the last path segment;
+   * multi-level paths are only accepted with proxy.multiLevelPaths.
+   * @param {string} rawUrl
+   * @returns {object|null} { clientId, path, query }, or null if the path is invalid
+   */
+  parseClientPath(rawUrl) {
+    // Parsed as a path, not a URL: //host/CP1 is a two-level path, not the path /CP1 of host
+    const [pathname, ...query] = rawUrl.split('?')
+    const segments = pathname.replace(/^\/+/, '').split('/')
+    if (!segments.every((segment) => /^[a-zA-Z0-9_-]+$/.test(segment))) {
+      return null
+    }
+    if (segments.length > 1 && !this.config.proxy.multiLevelPaths) {
+      return null
+    }
+    return { clientId: segments[segments.length - 1], path: segments.join('/'), query: query.join('?') }
+  }
+
+  /**
+   * Get the real client IP (support X-Forwarded-For if proxy is behind another proxy)
+   * @param {object} request
+   * @returns {string}
+   */
+  getClientIp(request) {
+    return (request.headers['x-forwarded-for'] || '').split(',')[0].trim() || request.socket.remoteAddress
+  }
+
+  /**
+   * Authenticate a charger and negotiate its subprotocol during the WebSocket handshake.
+   * The negotiated subprotocol is kept in request.ocppProtocol.
+   * @param {object} request
+   * @param {function} callback - ws verifyClient callback (result, code, name)
+   */
+  verifyClient(request, callback) {
+    const clientPath = this.parseClientPath(request.url || '/')
+    if (!clientPath) {
+      // Invalid paths are rejected once connected, with an explicit close reason
+      callback(true)
+      return
+    }
+    const { clientId } = clientPath
+
+    const rejection = this.chargerAuth ? this.chargerAuth.verify(clientId, request) : null
+    if (rejection) {
+      this.rejectClient(clientId, request, rejection, callback)
+      return
+    }
+
+    const offered = (request.headers['sec-websocket-protocol'] || '')
+      .split(',')
+      .map((protocol) => protocol.trim())
+      .filter((protocol) => protocol !== '')
+    request.ocppProtocol = this.negotiateProtocol(clientId, offered)
+    if (!request.ocppProtocol) {
+      const reason = `no subprotocol supported by the upstreams (offered: ${offered.join(', ') || 'none'})`
+      this.rejectClient(clientId, request, { status: 400, reason }, callback)
+      return
+    }
+    callback(true)
+  }
+
+  /**
+   * Refuse a charger connection during the WebSocket handshake
+   * @param {string} clientId
+   * @param {object} request
+   * @param {object} rejection - { status, reason }
+   * @param {function} callback - ws verifyClient callback
+   */
+  rejectClient(clientId, request, rejection, callback) {
+    const clientIp = this.getClientIp(request)
+    createLogger('Proxy', clientId).warn(`Rejected client connection from ${clientIp}: ${rejection.reason}`)
+    metrics.rejectedConnections.inc({ status: rejection.status })
+    if (this.notifier) {
+      this.notifier.chargerRejected(clientId, clientIp, rejection.reason)
+    }
+    callback(false, rejection.status, http.STATUS_CODES[rejection.status])
+  }
+
+  /**
+   * Choose the OCPP subprotocol of a charger: the first one it offers (restricted by
+   * proxy.subprotocolOverrides) that the primary upstream, or every upstream with
+   * subprotocolPolicy "all", supports. A charger offering none is assumed to speak ocpp1.6.
+   * @param {string} clientId
+   * @param {Array<string>} offered - Subprotocols offered by the charger, by preference
+   * @returns {string|null} Negotiated subprotocol, or null if there is no overlap
+   */
+  negotiateProtocol(clientId, offered) {
+    const overrides = this.config.proxy.subprotocolOverrides || {}
+    let candidates = offered.length > 0 ? offered.filter((p) => p.startsWith('ocpp')) : [IMPLIED_PROTOCOL]
+    if (overrides[clientId]) {
+      candidates = offered.length > 0 ? candidates.filter((p) => overrides[clientId].includes(p)) : overrides[clientId]
+    }
+
+    const required =
+      this.config.proxy.subprotocolPolicy === 'all'
+        ? this.config.upstreams
+        : this.config.upstreams.filter((upstream) => upstream.role === 'primary')
+    return candidates.find((p) => required.every((upstream) => UpstreamConnection.supportsProtocol(upstream, p))) || null
   }
 
   /**
@@ -65,15 +343,17 @@ class OcppProxy {
    */
   handleClientConnection(clientWs, request) {
     const rawPath = request.url || '/'
-    // Extract single-level alphanumeric path (strip leading slashes and extra segments)
-    const match = rawPath.replace(/^\/+/, '').match(/^([a-zA-Z0-9_-]+)$/)
-    if (!match) {
-      log.warn(`Rejected client connection: invalid path "${rawPath}" (must be single-level alphanumeric, underscore, or hyphen)`)
-      clientWs.close(1008, 'Invalid path: must be single-level alphanumeric, underscore, or hyphen')
+    const clientPath = this.parseClientPath(rawPath)
+    if (!clientPath) {
+      const expected = this.config.proxy.multiLevelPaths
+        ? 'alphanumeric, underscore, or hyphen segments'
+        : 'single-level alphanumeric, underscore, or hyphen'
+      log.warn(`Rejected client connection: invalid path "${rawPath}" (must be ${expected})`)
+      clientWs.close(1008, `Invalid path: must be ${expected}`)
       return
     }
-    const clientId = match[1]
-    const protocol = clientWs.protocol || 'ocpp1.6'
+    const { clientId } = clientPath
+    const protocol = clientWs.protocol || request.ocppProtocol || IMPLIED_PROTOCOL
 
     // Create a child logger with the clientId
     const clog = createLogger('Proxy', clientId)
@@ -97,12 +377,13 @@ class OcppProxy {
     if (this.notifier) {
       this.notifier.connectedToProxy(clientId)
     }
+    if (this.stats) {
+      this.stats.connected(clientId)
+    }
     // Create router for this client
     const router = new OcppRouter(clientId)
 
-    // Determine the real client IP (support X-Forwarded-For if proxy is behind another proxy)
-    const clientIp = (request.headers['x-forwarded-for'] || '').split(',')[0].trim()
-      || request.socket.remoteAddress
+    const clientIp = this.getClientIp(request)
 
     clog.debug(`Client IP: ${clientIp}`)
 
@@ -115,12 +396,44 @@ class OcppProxy {
       forwardedHeaders['User-Agent'] = request.headers['user-agent']
     }
 
-    // Create upstream connections
-    const upstreams = this.config.upstreams.map((upstreamConfig) => {
-      const upstream = new UpstreamConnection(upstreamConfig.name, upstreamConfig.url, clientId, protocol, clientIp, forwardedHeaders)
+    // Create upstream connections, leaving out the upstreams that don't support the negotiated subprotocol
+    const upstreamConfigs = this.config.upstreams.filter((upstreamConfig) => {
+      const supported = UpstreamConnection.supportsProtocol(upstreamConfig, protocol)
+      if (!supported) {
+        clog.warn(`Upstream ${upstreamConfig.name} does not support ${protocol}, not connecting it for this client`)
+      }
+      return supported
+    })
+    const upstreams = upstreamConfigs.map((upstreamConfig) => {
+      const upstream = new UpstreamConnection(upstreamConfig, clientId, protocol, clientIp, forwardedHeaders, clientPath)
       return upstream
     })
 
+    // Store-and-forward queues of the CALLs each upstream missed (persisted on disk)
+    const queues = new Map()
+    upstreams.forEach((upstream) => {
+      const queue = this.createQueue(clientId, upstream.name)
+      if (queue) {
+        queues.set(upstream.name, queue)
+      }
+    })
+
+    // Answer core CALLs locally when no upstream can answer (OCPP 1.6 only)
+    const offlineConfig = this.config.offlineResponder
+    let offlineResponder = null
+    if (offlineConfig && offlineConfig.enabled) {
+      if (OfflineResponder.isSupported(protocol)) {
+        // CALLs answered locally are recorded in the primary queue (in memory without message queue)
+        const primaryName = this.getPrimaryUpstream(upstreams).name
+        if (!queues.has(primaryName)) {
+          queues.set(primaryName, new MessageQueue(clientId, primaryName))
+        }
+        offlineResponder = new OfflineResponder(clientId, offlineConfig, queues.get(primaryName))
+      } else {
+        clog.warn(`Offline responder disabled for protocol ${protocol}`)
+      }
+    }
+
     // Store connection info
     const connectionInfo = {
       clientWs,
@@ -128,50 +441,38 @@ class OcppProxy {
       router,
       clientId,
       protocol,
+      clientIp,
+      clientPath,
+      forwardedHeaders,
+      connectedAt: Date.now(),
+      responder: this.getPrimaryUpstream(upstreams).name, // Upstream currently answering client CALLs
       messageBuffer: [], // Buffer for messages received before upstreams are ready
+      queues, // Upstream name -> MessageQueue of the CALLs it missed
+      heldCalls: [], // { upstream, messageId, data, message } of the client CALLs waiting for the responding upstream
+      schemaViolations: { client: 0, upstream: 0 }, // Payloads that failed the schema validation, per direction
+      offlineResponder, // Answers the client while its responding upstream is down (optional)
     }
     this.clientConnections.set(clientWs, connectionInfo)
+    if (this.journal) {
+      this.journal.recordConnection(clientId, { protocol, ip: clientIp, path: rawPath, headers: request.headers })
+    }
 
-    // Set up upstream message handlers
-    upstreams.forEach((upstream) => {
-      upstream.onMessage((data, serverName) => {
-        this.handleUpstreamMessage(clientWs, data, serverName, router)
-      })
-
-      upstream.onConnected((serverName) => {
-        // When an upstream connects, send buffered messages to it
-        // and flush the buffer once all upstreams are connected
-        this.sendBufferToUpstream(clientWs, upstream)
-        this.flushMessageBufferIfAllConnected(clientWs)
-        if (this.notifier) {
-          this.notifier.connectedToUpstream(clientId, serverName)
-        }
-      })
-
-      upstream.onDisconnected((serverName) => {
-        this.checkUpstreamsStatus(clientWs)
-        if (this.notifier) {
-          this.notifier.disconnectedFromUpstream(clientId, serverName)
-        }
-      })
-
-      // eslint-disable-next-line no-unused-vars
-      upstream.onGaveUp((serverName) => {
-        this.flushMessageBufferIfAllConnected(clientWs)
-        this.checkUpstreamsStatus(clientWs)
-      })
-
-      // Connect to upstream
-      upstream.connect()
-    })
+    // Set up upstream message handlers and connect
+    upstreams.forEach((upstream) => this.connectUpstream(clientWs, upstream))
 
     // Handle client messages
     clientWs.on('message', (data) => {
       const msg = data.toString()
       const connInfo = this.clientConnections.get(clientWs)
 
-      // If no upstream is connected yet, buffer the message
-      if (connInfo && !upstreams.some((u) => u.isConnected)) {
+      // If the responding upstream is down, answer locally
+      if (connInfo && this.isOffline(connInfo)) {
+        this.handleOfflineMessage(clientWs, msg)
+        return
+      }
+
+      // If no upstream is connected yet, buffer the message (responses to proxy CALLs need no upstream)
+      if (connInfo && !upstreams.some((u) => u.isConnected) && !this.isProxyCallResponse(router, msg)) {
         clog.info(`No upstream connected yet, buffering message (${connInfo.messageBuffer.length + 1} in buffer)`)
         connInfo.messageBuffer.push(msg)
         return
@@ -186,6 +487,9 @@ class OcppProxy {
       if (this.notifier) {
         this.notifier.disconnectedFromProxy(clientId)
       }
+      if (this.stats) {
+        this.stats.disconnected(clientId)
+      }
       this.cleanupClientConnection(clientWs)
     })
 
@@ -194,6 +498,153 @@ class OcppProxy {
     })
   }
 
+  /**
+   * Create the store-and-forward queue of the CALLs an upstream of a client misses
+   * @param {string} clientId
+   * @param {string} upstreamName
+   * @returns {MessageQueue|null} null when the message queue is disabled
+   */
+  createQueue(clientId, upstreamName) {
+    const queueConfig = this.config.messageQueue
+    if (!queueConfig || !queueConfig.enabled) {
+      return null
+    }
+    const options = {
+      directory: queueConfig.directory || DEFAULT_QUEUE_DIRECTORY,
+      maxSize: queueConfig.maxSize,
+      maxAge: queueConfig.maxAge,
+    }
+    return new MessageQueue(clientId, upstreamName, options)
+  }
+
+  /**
+   * Relay the events of an upstream connection of a client, then connect it
+   * @param {WebSocket} clientWs
+   * @param {UpstreamConnection} upstream
+   */
+  connectUpstream(clientWs, upstream) {
+    const connectionInfo = this.clientConnections.get(clientWs)
+    const { clientId, router } = connectionInfo
+
+    upstream.onMessage((data, serverName) => {
+      this.handleUpstreamMessage(clientWs, data, serverName, router)
+    })
+
+    upstream.onConnected((serverName) => {
+      this.updateResponder(clientWs)
+      // When an upstream connects, send buffered messages to it
+      // and flush the buffer once all upstreams are connected
+      this.sendBufferToUpstream(clientWs, upstream)
+      this.flushMessageBufferIfAllConnected(clientWs)
+      // Replay the CALLs this upstream missed while it was down
+      this.replayQueue(clientWs, upstream)
+      if (this.notifier) {
+        this.notifier.connectedToUpstream(clientId, serverName)
+      }
+    })
+
+    upstream.onDisconnected((serverName) => {
+      // Removed or replaced by a configuration reload (see reloadUpstreams()): nothing to alert or count
+      if (!connectionInfo.upstreams.includes(upstream)) {
+        return
+      }
+      this.updateResponder(clientWs)
+      this.answerBufferOffline(clientWs)
+      this.checkUpstreamsStatus(clientWs)
+      if (this.notifier) {
+        this.notifier.disconnectedFromUpstream(clientId, serverName)
+      }
+      // Closed along with the client connection: alerted, but not an upstream failure of the digest reports
+      if (this.stats && !upstream.closed) {
+        this.stats.upstreamDisconnected(clientId)
+      }
+    })
+
+    // eslint-disable-next-line no-unused-vars
+    upstream.onGaveUp((serverName) => {
+      this.updateResponder(clientWs)
+      this.answerBufferOffline(clientWs)
+      this.flushMessageBufferIfAllConnected(clientWs)
+      this.checkUpstreamsStatus(clientWs)
+    })
+
+    // Connect to upstream
+    upstream.connect()
+  }
+
+  /**
+   * Work out how the upstream connections of a connected client follow the reloaded upstreams,
+   * without touching them: the connections to close and the new ones, not connected yet
+   * @param {object} connectionInfo
+   * @param {Array} upstreamConfigs - Reloaded upstreams
+   * @param {function} changed - (upstreamConfig) => whether the upstream is new or its settings changed
+   * @returns {object} { closing, added }
+   */
+  planUpstreams(connectionInfo, upstreamConfigs, changed) {
+    const { clientId, protocol, clientIp, forwardedHeaders, clientPath, upstreams } = connectionInfo
+    const closing = upstreams.filter((upstream) => {
+      const upstreamConfig = upstreamConfigs.find((u) => u.name === upstream.name)
+      return !upstreamConfig || changed(upstreamConfig)
+    })
+    const added = upstreamConfigs.filter(changed).flatMap((upstreamConfig) => {
+      if (!UpstreamConnection.supportsProtocol(upstreamConfig, protocol)) {
+        createLogger('Proxy', clientId).warn(
+          `Upstream ${upstreamConfig.name} does not support ${protocol}, not connecting it for this client`
+        )
+        return []
+      }
+      return [new UpstreamConnection(upstreamConfig, clientId, protocol, clientIp, forwardedHeaders, clientPath)]
+    })
+    return { closing, added }
+  }
+
+  /**
+   * Bring the upstream connections of a connected client in line with the reloaded upstreams:
+   * removed upstreams are closed, added and changed ones are (re)connected. The responding
+   * upstream is chosen again, and the client is only closed if no upstream is left.
+   * @param {object} connectionInfo
+   * @param {object} plan - { closing, added } (see planUpstreams())
+   */
+  reloadUpstreams(connectionInfo, { closing, added }) {
+    const { clientWs, clientId, protocol, upstreams, queues } = connectionInfo
+    const clog = createLogger('Proxy', clientId)
+
+    // Upstreams are updated in place, the client message handlers hold this array
+    closing.forEach((upstream) => upstreams.splice(upstreams.indexOf(upstream), 1))
+    upstreams.push(...added)
+
+    // The queue of a changed upstream is kept, its missed CALLs are replayed once it is reconnected
+    closing.forEach((upstream) => {
+      clog.info(`Closing upstream ${upstream.name} (configuration changed)`)
+      upstream.close()
+      if (!upstreams.some((u) => u.name === upstream.name) && queues.has(upstream.name)) {
+        queues.get(upstream.name).clear()
+        queues.delete(upstream.name)
+      }
+    })
+
+    const primaryUpstream = this.getPrimaryUpstream(upstreams)
+    if (!primaryUpstream) {
+      clog.warn(`The primary upstream does not support ${protocol} - closing client connection`)
+      clientWs.close(1001, 'Upstream configuration changed')
+      this.cleanupClientConnection(clientWs)
+      return
+    }
+    if (!this.getResponder(connectionInfo)) {
+      connectionInfo.responder = primaryUpstream.name
+    }
+
+    added.forEach((upstream) => {
+      const queue = queues.has(upstream.name) ? null : this.createQueue(clientId, upstream.name)
+      if (queue) {
+        queues.set(upstream.name, queue)
+      }
+      clog.info(`Connecting upstream ${upstream.name} (configuration changed)`)
+      this.connectUpstream(clientWs, upstream)
+    })
+    this.updateResponder(clientWs)
+  }
+
   /**
    * Handle a message from the client
    * @param {WebSocket} clientWs
@@ -208,35 +659,63 @@ class OcppProxy {
 
     if (!message) {
       clog.warn('Received invalid message from client, ignoring')
+      this.journalFrame(connectionInfo, 'from_client', null, data, false, 'invalid frame')
+      return
+    }
+
+    // Resolve the action before routing, which forgets the CALL a response answers
+    const action = message.type === 2 ? message.parsed[2] : router.getAction(message.messageId)
+    metrics.countMessage('from_client', message.type, action)
+
+    // A malformed payload is answered with a FormationViolation in reject mode (proxy CALLs get it as is)
+    const violation = this.validatePayload(connectionInfo, 'client', message, action)
+    if (violation && message.type === 2) {
+      this.journalFrame(connectionInfo, 'from_client', null, data, false, 'schema violation')
+      this.sendFormationViolation(clientWs, message.messageId, violation)
+      return
+    }
+    if (violation && !router.isProxyCall(message.messageId)) {
+      const serverName = router.getServerForResponse(message.messageId)
+      const targetUpstream = upstreams.find((u) => u.name === serverName)
+      this.journalFrame(connectionInfo, 'from_client', serverName, data, false, 'schema violation')
+      if (targetUpstream) {
+        this.sendFormationViolation(targetUpstream, message.messageId, `Invalid response from the client: ${violation}`)
+      }
       return
     }
 
     const routing = router.routeClientMessage(message)
 
     if (routing.sendToAll) {
+      this.journalFrame(connectionInfo, 'from_client', null, data, true)
       // Register client CALL so we can filter responses later
       if (message.type === 2) {
-        router.registerClientCall(message.messageId)
-        if (this.notifier) {
-          this.notifier.callFromClient(connectionInfo.clientId, data)
-        }
+        const responder = this.getResponder(connectionInfo)
+        router.registerClientCall(message.messageId, message.parsed[2], responder.callTimeout, (messageId, action) =>
+          this.handleCallTimeout(clientWs, messageId, action, responder)
+        )
+        this.reportClientCall(connectionInfo, data, message)
       }
       // Send to all upstream servers
       upstreams.forEach((upstream) => {
-        if (upstream.isConnected) {
-          upstream.send(data)
-        } else {
-          clog.warn(`Cannot send to ${upstream.name} - not connected`)
-        }
+        this.forwardClientCall(connectionInfo, upstream, data, message)
       })
+    } else if (routing.sendToProxy) {
+      // Response to a CALL sent by the proxy itself, already handed over by the router
+      this.journalFrame(connectionInfo, 'from_client', null, data, false, 'response to a proxy CALL')
     } else if (routing.sendToServer) {
       // Send to specific server
       const targetUpstream = upstreams.find((u) => u.name === routing.sendToServer)
       if (targetUpstream && targetUpstream.isConnected) {
         targetUpstream.send(data)
+        metrics.countMessage('to_upstream', message.type, action)
+        this.journalFrame(connectionInfo, 'from_client', routing.sendToServer, data, true)
       } else {
         clog.warn(`Target server ${routing.sendToServer} not found or not connected`)
+        this.journalFrame(connectionInfo, 'from_client', routing.sendToServer, data, false, 'upstream not connected')
       }
+    } else {
+      this.journalFrame(connectionInfo, 'from_client', null, data, false, 'unknown messageId')
     }
   }
 
@@ -248,40 +727,497 @@ class OcppProxy {
    * @param {OcppRouter} router
    */
   handleUpstreamMessage(clientWs, data, serverName, router) {
+    const connectionInfo = this.clientConnections.get(clientWs)
+    const received = data // As journaled, before any rewrite
     const message = router.parseMessage(data)
+    const action = message ? (message.type === 2 ? message.parsed[2] : router.getAction(message.messageId)) : null
+    if (message) {
+      metrics.countMessage('from_upstream', message.type, action)
+    }
+
+    // A read-only upstream is not allowed to drive the client: reject its CALLs
+    const upstream = connectionInfo ? connectionInfo.upstreams.find((u) => u.name === serverName) : null
+    if (message && message.type === 2 && upstream && upstream.isReadOnly()) {
+      createLogger('Proxy', connectionInfo.clientId).warn(
+        `Rejecting CALL from read-only upstream ${serverName} (${message.messageId})`
+      )
+      upstream.send(
+        JSON.stringify([
+          4,
+          message.messageId,
+          'SecurityError',
+          'Upstream is read-only, CALLs are not relayed to the client',
+          {},
+        ])
+      )
+      metrics.countMessage('to_upstream', 4, action)
+      this.journalFrame(connectionInfo, 'from_upstream', serverName, received, false, 'read-only upstream')
+      return
+    }
+
+    // Responses to replayed CALLs are consumed by the queue, the client already had its answer
+    const queue = connectionInfo ? connectionInfo.queues.get(serverName) : null
+    if (message && queue && (message.type === 3 || message.type === 4) && queue.handleResponse(message)) {
+      this.journalFrame(connectionInfo, 'from_upstream', serverName, received, false, 'response to a replayed CALL')
+      return
+    }
+    const offlineResponder = connectionInfo ? connectionInfo.offlineResponder : null
+    if (message && offlineResponder && message.type === 2 && upstream && upstream.isPrimary()) {
+      data = offlineResponder.rewriteServerCall(data)
+    }
 
     if (message) {
-      router.handleServerMessage(message, serverName)
+      router.handleServerMessage(message, serverName, upstream ? upstream.callTimeout : 30000)
     }
 
     // For CALLRESULT/CALLERROR responses to client-originated CALLs,
-    // only relay the response from the primary server (first upstream)
+    // only relay the response from the upstream currently answering the client
     if (message && (message.type === 3 || message.type === 4)) {
-      const connectionInfo = this.clientConnections.get(clientWs)
-      const primaryServerName = connectionInfo ? connectionInfo.upstreams[0].name : null
+      const responderName = connectionInfo ? connectionInfo.responder : null
+      const clientCall = router.getClientCall(message.messageId)
+      if (clientCall) {
+        metrics.callDuration.observe({ upstream: serverName }, (Date.now() - clientCall.sentAt) / 1000)
+      }
+
+      if (!router.shouldRelayResponseToClient(message.messageId, serverName, responderName)) {
+        metrics.droppedResponses.inc({ upstream: serverName })
+        this.journalFrame(connectionInfo, 'from_upstream', serverName, received, false, 'not the responding upstream')
+        return // Drop this response (not from the responding server)
+      }
+    }
 
-      if (!router.shouldRelayResponseToClient(message.messageId, serverName, primaryServerName)) {
-        return // Drop this response (not from primary server)
+    // A malformed payload is answered with a FormationViolation in reject mode instead of being relayed
+    const violation = connectionInfo ? this.validatePayload(connectionInfo, 'upstream', message, action) : null
+    if (violation) {
+      this.journalFrame(connectionInfo, 'from_upstream', serverName, received, false, 'schema violation')
+      if (message.type === 2) {
+        // Rejected here, the client never gets this CALL to answer
+        router.forgetServerCall(message.messageId)
+        this.sendFormationViolation(upstream, message.messageId, violation)
+        return
       }
+      this.sendFormationViolation(clientWs, message.messageId, `Invalid response from upstream ${serverName}: ${violation}`)
+      return
     }
 
     // Relay to client
     if (clientWs.readyState === WebSocket.OPEN) {
+      this.journalFrame(connectionInfo, 'from_upstream', serverName, received, true)
       try {
         clientWs.send(data)
+        if (message) {
+          metrics.countMessage('to_client', message.type, action)
+        }
       } catch (error) {
         const connInfo = this.clientConnections.get(clientWs)
         const clog = createLogger('Proxy', connInfo ? connInfo.clientId : '?')
         clog.error(`Error sending to client: ${error.message}`)
       }
+    } else {
+      this.journalFrame(connectionInfo, 'from_upstream', serverName, received, false, 'client not connected')
+    }
+  }
+
+  /**
+   * Answer the client with a CALLERROR when the responding upstream did not answer its CALL in time
+   * @param {WebSocket} clientWs
+   * @param {string} messageId
+   * @param {string} action
+   * @param {UpstreamConnection} upstream - Upstream that was expected to answer
+   */
+  handleCallTimeout(clientWs, messageId, action, upstream) {
+    const connectionInfo = this.clientConnections.get(clientWs)
+    if (!connectionInfo) {
+      return
+    }
+
+    const clog = createLogger('Proxy', connectionInfo.clientId)
+    // A CALL still held for the upstream is answered by the CALLERROR, it is never sent
+    const held = connectionInfo.heldCalls.length
+    connectionInfo.heldCalls = connectionInfo.heldCalls.filter((call) => call.messageId !== messageId)
+    if (connectionInfo.heldCalls.length < held) {
+      clog.info(`Dropping ${action} (${messageId}) held for ${upstream.name}, the client gets a CALLERROR`)
+    }
+    upstream.missedResponses++
+    clog.warn(
+      `No response from ${upstream.name} to ${action} (${messageId}) — sending ${upstream.timeoutErrorCode} to client (${upstream.missedResponses} missed)`
+    )
+
+    if (clientWs.readyState === WebSocket.OPEN) {
+      const description = `No response from upstream ${upstream.name} within ${upstream.callTimeout / 1000}s`
+      clientWs.send(JSON.stringify([4, messageId, upstream.timeoutErrorCode, description, {}]))
+      metrics.countMessage('to_client', 4, action)
+    }
+    if (this.notifier) {
+      this.notifier.callTimeout(connectionInfo.clientId, upstream.name, action)
+    }
+  }
+
+  /**
+   * Whether a raw client message answers a CALL sent by the proxy itself
+   * @param {OcppRouter} router
+   * @param {string} data
+   * @returns {boolean}
+   */
+  isProxyCallResponse(router, data) {
+    const message = router.parseMessage(data)
+    return !!message && (message.type === 3 || message.type === 4) && router.isProxyCall(message.messageId)
+  }
+
+  /**
+   * Send a CALL originated by the proxy itself to a client.
+   * The client response is returned to the caller and never relayed to the upstreams.
+   * @param {string} clientId
+   * @param {string} action - OCPP action (e.g. Reset, TriggerMessage)
+   * @param {object} payload
+   * @param {number} timeoutMs - Time allowed to the client to answer
+   * @returns {Promise<Array|null>} CALLRESULT or CALLERROR frame, or null if the client did not answer
+   */
+  sendCallToClient(clientId, action, payload, timeoutMs) {
+    const connectionInfo = this.findConnection(clientId)
+    if (!connectionInfo || connectionInfo.clientWs.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error(`Charger ${clientId} not connected`))
+    }
+
+    const { clientWs, router } = connectionInfo
+    const messageId = crypto.randomUUID()
+    return new Promise((resolve) => {
+      router.registerProxyCall(messageId, action, timeoutMs, resolve)
+      clientWs.send(JSON.stringify([2, messageId, action, payload]))
+      metrics.countMessage('to_client', 2, action)
+      createLogger('Proxy', clientId).info(`Sent proxy CALL ${action} (${messageId}) to client`)
+    })
+  }
+
+  /**
+   * Validate the payload of a CALL or CALLRESULT against the OCPP JSON schemas, according to
+   * the validation mode of its direction. Violations are logged and counted per client.
+   * @param {object} connectionInfo
+   * @param {string} direction - client (sent by the client) or upstream (sent by an upstream)
+   * @param {object} message - Parsed message
+   * @param {string} action - OCPP action of the CALL (or of the CALL a response answers)
+   * @returns {string|null} Description of the violation when the message must be rejected
+   */
+  validatePayload(connectionInfo, direction, message, action) {
+    const mode = (this.config.validation || {})[direction] || 'off'
+    if (!message || mode === 'off' || !this.schemaValidator || (message.type !== 2 && message.type !== 3)) {
+      return null
+    }
+
+    const isRequest = message.type === 2
+    const payload = isRequest ? message.parsed[3] : message.parsed[2]
+    const violation = this.schemaValidator.validate(connectionInfo.protocol, action, isRequest, payload)
+    if (!violation) {
+      return null
+    }
+
+    connectionInfo.schemaViolations[direction]++
+    metrics.schemaViolations.inc({ client_id: connectionInfo.clientId, direction: `from_${direction}`, action })
+    createLogger('Proxy', connectionInfo.clientId).warn(
+      `Invalid ${action} ${isRequest ? 'CALL' : 'CALLRESULT'} from ${direction} (${message.messageId}): ${violation}`
+    )
+    return mode === 'reject' ? violation : null
+  }
+
+  /**
+   * Answer a message with a FormationViolation CALLERROR
+   * @param {WebSocket|UpstreamConnection} peer - Client WebSocket or upstream that sent the message
+   * @param {string} messageId
+   * @param {string} description
+   */
+  sendFormationViolation(peer, messageId, description) {
+    const frame = JSON.stringify([4, messageId, 'FormationViolation', description, {}])
+    if (peer instanceof UpstreamConnection) {
+      peer.send(frame)
+      metrics.countMessage('to_upstream', 4, null)
+    } else if (peer.readyState === WebSocket.OPEN) {
+      peer.send(frame)
+      metrics.countMessage('to_client', 4, null)
+    }
+  }
+
+  /**
+   * Get the upstream whose role allows it to answer client CALLs
+   * @param {Array} upstreams
+   * @returns {UpstreamConnection|undefined}
+   */
+  getPrimaryUpstream(upstreams) {
+    return upstreams.find((u) => u.isPrimary())
+  }
+
+  /**
+   * Whether the client must be answered locally: the offline responder is enabled
+   * and the responding upstream is down, or the CALLs answered offline are being replayed
+   * @param {object} connectionInfo
+   * @returns {boolean}
+   */
+  isOffline(connectionInfo) {
+    const { offlineResponder } = connectionInfo
+    if (!offlineResponder) {
+      return false
+    }
+    return offlineResponder.isReplaying || this.getResponder(connectionInfo).isDown()
+  }
+
+  /**
+   * Answer a client message locally while the responding upstream is down.
+   * CALLs are still forwarded to the other connected upstreams; the primary gets them on replay.
+   * @param {WebSocket} clientWs
+   * @param {string} data
+   */
+  handleOfflineMessage(clientWs, data) {
+    const connectionInfo = this.clientConnections.get(clientWs)
+    const { upstreams, router, clientId, offlineResponder } = connectionInfo
+    const message = router.parseMessage(data)
+
+    if (!message) {
+      createLogger('Proxy', clientId).warn('Received invalid message from client, ignoring')
+      this.journalFrame(connectionInfo, 'from_client', null, data, false, 'invalid frame')
+      return
+    }
+
+    // Responses to upstream CALLs are routed as usual
+    if (message.type !== 2) {
+      this.handleClientMessage(clientWs, data, upstreams, router)
+      return
+    }
+
+    const action = message.parsed[2]
+    metrics.countMessage('from_client', 2, action)
+    const violation = this.validatePayload(connectionInfo, 'client', message, action)
+    if (violation) {
+      this.journalFrame(connectionInfo, 'from_client', null, data, false, 'schema violation')
+      this.sendFormationViolation(clientWs, message.messageId, violation)
+      return
+    }
+    // Answered locally, the other upstreams still get the CALL
+    const relayed = upstreams.some((upstream) => !upstream.isPrimary() && upstream.isConnected)
+    this.journalFrame(connectionInfo, 'from_client', null, data, relayed, 'answered offline')
+    const response = offlineResponder.answer(message)
+    if (clientWs.readyState === WebSocket.OPEN) {
+      clientWs.send(JSON.stringify(response))
+      metrics.countMessage('to_client', response[0], action)
+    }
+    this.reportClientCall(connectionInfo, data, message)
+    upstreams.forEach((upstream) => {
+      if (!upstream.isPrimary()) {
+        this.forwardClientCall(connectionInfo, upstream, data, message)
+      }
+    })
+  }
+
+  /**
+   * Answer the messages buffered before any upstream connected, once the client has to be answered locally
+   * @param {WebSocket} clientWs
+   */
+  answerBufferOffline(clientWs) {
+    const connectionInfo = this.clientConnections.get(clientWs)
+    if (!connectionInfo || connectionInfo.messageBuffer.length === 0 || !this.isOffline(connectionInfo)) {
+      return
+    }
+
+    const messages = connectionInfo.messageBuffer
+    connectionInfo.messageBuffer = []
+    createLogger('Proxy', connectionInfo.clientId).info(`Answering ${messages.length} buffered message(s) locally`)
+    for (const msg of messages) {
+      this.handleOfflineMessage(clientWs, msg)
+    }
+  }
+
+  /**
+   * Whether a client CALL must be queued for the upstreams that cannot receive it
+   * @param {string} action
+   * @returns {boolean}
+   */
+  isQueuedAction(action) {
+    const queueConfig = this.config.messageQueue
+    if (!queueConfig || !queueConfig.enabled) {
+      return false
+    }
+    return (queueConfig.actions || DEFAULT_QUEUED_ACTIONS).includes(action)
+  }
+
+  /**
+   * Send a client CALL to an upstream, or queue it when the upstream is not connected
+   * or still has queued CALLs to replay first (so that they keep their order).
+   * The responding upstream never gets a CALL through its queue: the client would get the timeout CALLERROR
+   * and retry, while the replayed CALL reaches the upstream anyway. The CALL is held instead, sent once the
+   * upstream is connected and its queue replayed, or dropped when the client gets the CALLERROR first.
+   * @param {object} connectionInfo
+   * @param {UpstreamConnection} upstream
+   * @param {string} data
+   * @param {object} message - Parsed CALL message
+   */
+  forwardClientCall(connectionInfo, upstream, data, message) {
+    const { queues, responder, clientId } = connectionInfo
+    const queue = queues.get(upstream.name)
+    const queueable = queue && this.isQueuedAction(message.parsed[2])
+    const behindQueue = queueable && (queue.length > 0 || queue.isReplaying)
+
+    if (upstream.isConnected && !behindQueue) {
+      this.sendClientCall(connectionInfo, upstream, data, message)
+    } else if (upstream.name === responder) {
+      connectionInfo.heldCalls.push({ upstream: upstream.name, messageId: message.messageId, data, message })
+      createLogger('Proxy', clientId).info(
+        `Holding ${message.parsed[2]} (${message.messageId}) until ${upstream.name} can answer it`
+      )
+    } else if (queueable) {
+      queue.push(message.parsed)
+    } else {
+      createLogger('Proxy', clientId).warn(`Cannot send to ${upstream.name} - not connected`)
+    }
+  }
+
+  /**
+   * Send a client CALL to a connected upstream
+   * @param {object} connectionInfo
+   * @param {UpstreamConnection} upstream
+   * @param {string} data
+   * @param {object} message - Parsed CALL message
+   */
+  sendClientCall(connectionInfo, upstream, data, message) {
+    const { offlineResponder } = connectionInfo
+    // The primary may know a transaction started offline under another transactionId
+    upstream.send(offlineResponder && upstream.isPrimary() ? offlineResponder.rewriteClientCall(data) : data)
+    metrics.countMessage('to_upstream', 2, message.parsed[2])
+  }
+
+  /**
+   * Send the client CALLs held for an upstream, in order, once it is connected and its queue replayed
+   * @param {object} connectionInfo
+   * @param {UpstreamConnection} upstream
+   */
+  sendHeldCalls(connectionInfo, upstream) {
+    const queue = connectionInfo.queues.get(upstream.name)
+    if (!upstream.isConnected || (queue && (queue.length > 0 || queue.isReplaying))) {
+      return
+    }
+    const held = connectionInfo.heldCalls.filter((call) => call.upstream === upstream.name)
+    connectionInfo.heldCalls = connectionInfo.heldCalls.filter((call) => call.upstream !== upstream.name)
+    held.forEach(({ data, message }) => this.sendClientCall(connectionInfo, upstream, data, message))
+  }
+
+  /**
+   * Replay to an upstream that just connected the CALLs it missed while it was down
+   * @param {WebSocket} clientWs
+   * @param {UpstreamConnection} upstream
+   */
+  replayQueue(clientWs, upstream) {
+    const connectionInfo = this.clientConnections.get(clientWs)
+    if (!connectionInfo) {
+      return
+    }
+    const queue = connectionInfo.queues.get(upstream.name)
+    if (!queue || queue.length === 0) {
+      this.sendHeldCalls(connectionInfo, upstream)
+      return
+    }
+
+    // The offline responder maps the transactionIds it generated while replaying to the primary
+    const { offlineResponder, clientId } = connectionInfo
+    const replay = offlineResponder && upstream.isPrimary() ? offlineResponder.replay(upstream) : queue.replay(upstream)
+    replay
+      .then(() => this.sendHeldCalls(connectionInfo, upstream))
+      .catch((error) => {
+        createLogger('Proxy', clientId).error(`Replay error: ${error.message}`)
+      })
+  }
+
+  /**
+   * Record a frame in the traffic journal
+   * @param {object} connectionInfo
+   * @param {string} direction - from_client or from_upstream
+   * @param {string|null} upstream - Upstream that sent the frame, or that a client response is routed to
+   * @param {string} data - Raw frame
+   * @param {boolean} relayed - Whether the frame was sent on, or dropped by the proxy
+   * @param {string} [reason] - Why the frame was dropped or answered locally
+   */
+  journalFrame(connectionInfo, direction, upstream, data, relayed, reason) {
+    if (this.journal && connectionInfo) {
+      this.journal.recordFrame(connectionInfo.clientId, { direction, upstream, relayed, reason }, data)
+    }
+  }
+
+  /**
+   * Hand a client CALL over to the alerts and the statistics of the digest reports. A payload they fail
+   * to parse is only logged, the CALL is relayed all the same.
+   * @param {object} connectionInfo
+   * @param {string} data - Raw CALL
+   * @param {object} message - Parsed CALL
+   */
+  reportClientCall(connectionInfo, data, message) {
+    const { clientId, protocol } = connectionInfo
+    const action = message.parsed[2]
+    try {
+      if (this.notifier) {
+        this.notifier.callFromClient(clientId, data, protocol)
+      }
+      if (this.stats) {
+        this.stats.callFromClient(clientId, protocol, action, message.parsed[3])
+      }
+    } catch (error) {
+      createLogger('Proxy', clientId).error(`Failed to read the events of ${action}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get the upstream currently answering client CALLs
+   * @param {object} connectionInfo
+   * @returns {UpstreamConnection|undefined}
+   */
+  getResponder(connectionInfo) {
+    return connectionInfo.upstreams.find((u) => u.name === connectionInfo.responder)
+  }
+
+  /**
+   * Choose which upstream answers client CALLs.
+   * The primary answers while it is available. With failover enabled, the first
+   * connected mirror takes over when the primary is down, until the primary comes back.
+   * @param {WebSocket} clientWs
+   */
+  updateResponder(clientWs) {
+    const connectionInfo = this.clientConnections.get(clientWs)
+    if (!connectionInfo) {
+      return
+    }
+
+    const { upstreams, clientId } = connectionInfo
+    const primaryUpstream = this.getPrimaryUpstream(upstreams)
+    const currentResponder = this.getResponder(connectionInfo)
+    let responder = primaryUpstream
+
+    if (this.config.failover && primaryUpstream.isDown()) {
+      if (currentResponder !== primaryUpstream && currentResponder.isConnected) {
+        responder = currentResponder // Stay on the current fallback, avoid flapping between mirrors
+      } else {
+        responder = upstreams.find((u) => u.role === 'mirror' && u.isConnected) || currentResponder
+      }
+    }
+
+    if (responder === currentResponder) {
+      return
+    }
+
+    const clog = createLogger('Proxy', clientId)
+    connectionInfo.responder = responder.name
+    if (responder === primaryUpstream) {
+      clog.info(`Primary upstream ${responder.name} is back — failing back from ${currentResponder.name}`)
+      if (this.notifier) {
+        this.notifier.upstreamFailback(clientId, currentResponder.name, responder.name)
+      }
+    } else {
+      clog.warn(`Upstream ${currentResponder.name} unavailable — failing over to ${responder.name}`)
+      if (this.notifier) {
+        this.notifier.upstreamFailover(clientId, currentResponder.name, responder.name)
+      }
     }
   }
 
   /**
    * Send buffered messages to an upstream that just connected.
-   * For the primary server (first in config), route through handleClientMessage
+   * For the upstream answering the client, route through handleClientMessage
    * so that CALL registrations happen in the router.
-   * For secondary servers, send raw messages directly.
+   * For the other servers, send raw messages directly.
    * @param {WebSocket} clientWs
    * @param {UpstreamConnection} upstream
    */
@@ -293,23 +1229,26 @@ class OcppProxy {
 
     const { upstreams, router, clientId } = connectionInfo
     const clog = createLogger('Proxy', clientId)
-    const primaryServer = upstreams[0]
+    const responder = this.getResponder(connectionInfo)
 
-    if (upstream === primaryServer) {
-      // Primary server — route through handleClientMessage
+    if (upstream === responder) {
+      // Responding server — route through handleClientMessage
       // so CALL registrations happen in the router
       clog.info(
-        `Primary server connected (${upstream.name}) — routing ${connectionInfo.messageBuffer.length} buffered message(s) through router`
+        `Responding server connected (${upstream.name}) — routing ${connectionInfo.messageBuffer.length} buffered message(s) through router`
       )
       const messages = [...connectionInfo.messageBuffer]
       for (const msg of messages) {
         this.handleClientMessage(clientWs, msg, upstreams, router)
       }
     } else {
-      // Secondary server — send raw messages directly
+      // Other server — send raw messages directly
       clog.info(`Sending ${connectionInfo.messageBuffer.length} buffered message(s) to ${upstream.name}`)
       for (const msg of connectionInfo.messageBuffer) {
-        upstream.send(msg)
+        const message = router.parseMessage(msg)
+        if (upstream.send(msg) && message) {
+          metrics.countMessage('to_upstream', message.type, message.type === 2 ? message.parsed[2] : null)
+        }
       }
     }
   }
@@ -329,6 +1268,16 @@ class OcppProxy {
     const allResolved = upstreams.every((u) => u.isConnected || u.reconnectAttempts >= u.maxReconnectAttempts)
 
     if (allResolved) {
+      // Keep the buffered CALLs for the upstreams that gave up, they are replayed when they come back
+      for (const upstream of upstreams.filter((u) => !u.isConnected)) {
+        const queue = connectionInfo.queues.get(upstream.name)
+        for (const msg of connectionInfo.messageBuffer) {
+          const message = connectionInfo.router.parseMessage(msg)
+          if (queue && message && message.type === 2 && this.isQueuedAction(message.parsed[2])) {
+            queue.push(message.parsed)
+          }
+        }
+      }
       const clog = createLogger('Proxy', clientId)
       clog.info(`All upstreams connected — clearing message buffer (${connectionInfo.messageBuffer.length} message(s))`)
       connectionInfo.messageBuffer = []
@@ -336,7 +1285,7 @@ class OcppProxy {
   }
 
   /**
-   * Check if both upstreams are disconnected, close client if so
+   * Check if all upstreams are disconnected, close client if so
    * @param {WebSocket} clientWs
    */
   checkUpstreamsStatus(clientWs) {
@@ -348,6 +1297,11 @@ class OcppProxy {
     const { upstreams } = connectionInfo
     const clog = createLogger('Proxy', connectionInfo.clientId)
 
+    // The offline responder keeps answering the client, don't close it
+    if (connectionInfo.offlineResponder) {
+      return
+    }
+
     // Don't close the client if some upstreams are still attempting their initial connection
     const someStillConnecting = upstreams.some(
       (u) => !u.isConnected && !u.wasEverConnected && u.reconnectAttempts < u.maxReconnectAttempts
@@ -366,6 +1320,51 @@ class OcppProxy {
     }
   }
 
+  /**
+   * Find the connection of a client by its identifier
+   * @param {string} clientId
+   * @returns {object|undefined} Connection info
+   */
+  findConnection(clientId) {
+    for (const connectionInfo of this.clientConnections.values()) {
+      if (connectionInfo.clientId === clientId) {
+        return connectionInfo
+      }
+    }
+    return undefined
+  }
+
+  /**
+   * Force the disconnection of a client
+   * @param {string} clientId
+   * @returns {boolean} false if the client is not connected
+   */
+  disconnectClient(clientId) {
+    const connectionInfo = this.findConnection(clientId)
+    if (!connectionInfo) {
+      return false
+    }
+    const { clientWs } = connectionInfo
+    this.cleanupClientConnection(clientWs)
+    clientWs.close(1001, 'Disconnected by the proxy administrator')
+    return true
+  }
+
+  /**
+   * Force the reconnection of one upstream of a client
+   * @param {string} clientId
+   * @param {string} upstreamName
+   * @returns {boolean} false if the client or upstream is unknown
+   */
+  reconnectUpstream(clientId, upstreamName) {
+    const connectionInfo = this.findConnection(clientId)
+    const upstream = connectionInfo ? connectionInfo.upstreams.find((u) => u.name === upstreamName) : null
+    if (!upstream) {
+      return false
+    }
+    return upstream.reconnect()
+  }
+
   /**
    * Clean up resources for a client connection
    * @param {WebSocket} clientWs
@@ -376,7 +1375,7 @@ class OcppProxy {
       return
     }
 
-    const { upstreams, router } = connectionInfo
+    const { upstreams, router, queues } = connectionInfo
 
     // Close all upstream connections
     upstreams.forEach((upstream) => {
@@ -385,9 +1384,13 @@ class OcppProxy {
 
     // Clear router state
     router.clear()
+    queues.forEach((queue) => queue.clear())
 
     // Remove from map
     this.clientConnections.delete(clientWs)
+    if (this.journal) {
+      this.journal.close(connectionInfo.clientId)
+    }
 
     createLogger('Proxy', connectionInfo.clientId).info('Client connection cleanup complete')
   }
@@ -396,6 +1399,10 @@ class OcppProxy {
    * Stop the proxy server
    */
   stop() {
+    if (this.adminApi) {
+      this.adminApi.stop()
+      this.adminApi = null
+    }
     if (this.server) {
       // Clean up all client connections
       this.clientConnections.forEach((_, clientWs) => {
@@ -406,6 +1413,20 @@ class OcppProxy {
         log.info('Server stopped')
       })
     }
+    if (this.httpsServer) {
+      this.httpsServer.close()
+      this.httpsServer = null
+    }
+    if (this.journal) {
+      this.journal.stop()
+    }
+    if (this.notifier) {
+      this.notifier.close()
+    }
+    if (this.digest) {
+      this.digest.stop()
+      this.digest = null
+    }
   }
 }
 
@@ -0,0 +1,152 @@
+/**
+ * Journal Replay - Entry Point
+ * Replays a charger session recorded by the traffic journal against an upstream server or the proxy,
+ * and/or serves its recorded upstream side from a local stand-in
+ */
+
+const { parseArgs } = require('util')
+const Journal = require('./journal')
+const ChargerReplay = require('./charger-replay')
+const UpstreamStandIn = require('./upstream-stand-in')
+const { createLogger, setLogLevel } = require('./logger')
+
+const log = createLogger('Replay')
+
+const USAGE = `Usage: node src/replay.js <journal file or directory>... [options]
+
+  --url <url>          Connect as the charger to <url><clientId> (an upstream server, or the proxy)
+  --stand-in <port>    Serve the recorded upstream side on this port
+  --host <host>        Stand-in listening address (default 127.0.0.1)
+  --upstream <name>    Recorded upstream played by the stand-in (default: the frames relayed to the charger)
+  --client-id <id>     Charger to replay (default: the first one of the journal)
+  --protocol <name>    Subprotocol offered (default: the recorded one, or ocpp1.6)
+  --password <secret>  Basic auth password of the charger
+  --speed <factor>     1 for the original timing, 10 for ten times faster, 0 for no delay (default 1)
+  --from <date>        Only replay the frames recorded from this date (ISO 8601)
+  --to <date>          Only replay the frames recorded until this date (ISO 8601)
+  --log-level <level>  Log level (default info)`
+
+/**
+ * Exit with an error and the usage
+ * @param {string} message
+ */
+function usageError(message) {
+  log.error(message)
+  process.stderr.write(`${USAGE}\n`)
+  process.exit(2)
+}
+
+let args
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: 'string' },
+      'stand-in': { type: 'string' },
+      host: { type: 'string', default: '127.0.0.1' },
+      upstream: { type: 'string' },
+      'client-id': { type: 'string' },
+      protocol: { type: 'string' },
+      password: { type: 'string' },
+      speed: { type: 'string', default: '1' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'log-level': { type: 'string', default: 'info' },
+    },
+  })
+} catch (error) {
+  usageError(error.message)
+}
+
+const { values, positionals } = args
+setLogLevel(values['log-level'])
+if (positionals.length === 0) {
+  usageError('No journal file given')
+}
+if (!values.url && !values['stand-in']) {
+  usageError('--url and/or --stand-in is required')
+}
+const speed = Number(values.speed)
+if (!(speed >= 0)) {
+  usageError(`Invalid speed "${values.speed}"`)
+}
+const standInPort = Number(values['stand-in'])
+if (values['stand-in'] && !(standInPort > 0)) {
+  usageError(`Invalid stand-in port "${values['stand-in']}"`)
+}
+
+// Select the session: one charger, within the time range
+let entries
+try {
+  entries = Journal.load(positionals)
+} catch (error) {
+  log.error(`Failed to load the journal: ${error.message}`)
+  process.exit(2)
+}
+const clientId = values['client-id'] || (entries[0] && entries[0].clientId)
+const from = values.from ? Date.parse(values.from) : -Infinity
+const to = values.to ? Date.parse(values.to) : Infinity
+entries = entries.filter((entry) => {
+  const timestamp = Date.parse(entry.timestamp)
+  return entry.clientId === clientId && timestamp >= from && timestamp <= to
+})
+if (entries.length === 0) {
+  log.error('No journal entry to replay')
+  process.exit(2)
+}
+
+const connection = entries.find((entry) => entry.direction === 'connection')
+const protocol = values.protocol || (connection && connection.protocol) || 'ocpp1.6'
+const origin = Date.parse(entries[0].timestamp)
+log.info(`Replaying ${entries.length} journal entries of ${clientId} (${protocol}) from ${entries[0].timestamp}`)
+
+/**
+ * Run the replay
+ */
+async function main() {
+  let standIn = null
+  if (values['stand-in']) {
+    standIn = new UpstreamStandIn(entries, {
+      host: values.host,
+      port: standInPort,
+      upstream: values.upstream,
+      speed,
+      origin,
+    })
+    await standIn.start()
+  }
+
+  if (!values.url) {
+    log.info('Stand-in running, press Ctrl+C to stop')
+    process.on('SIGINT', () => {
+      standIn.stop()
+      process.exit(0)
+    })
+    return
+  }
+
+  const replay = new ChargerReplay(entries, {
+    url: values.url,
+    clientId,
+    protocol,
+    password: values.password,
+    speed,
+    origin,
+  })
+  const summary = await replay.run()
+  if (standIn) {
+    standIn.stop()
+  }
+
+  log.info(
+    `Replay complete: ${summary.sent} frame(s) sent, ${summary.responses} response(s), ${summary.differences.length} difference(s), ` +
+      `${summary.missingResponses.length} missing response(s), ${summary.unansweredCalls.length} unanswered CALL(s)`
+  )
+  summary.unansweredCalls.forEach((call) => log.warn(`Unanswered CALL: ${call}`))
+  process.exit(summary.differences.length > 0 || summary.missingResponses.length > 0 ? 1 : 0)
+}
+
+main().catch((error) => {
+  log.error(`Replay failed: ${error.message}`)
+  process.exit(1)
+})
@@ -0,0 +1,105 @@
+/**
+ * Schema Validator
+ * Validates OCPP CALL and CALLRESULT payloads against the official OCPP JSON schemas (schemas/)
+ */
+
+const fs = require('fs')
+const path = require('path')
+const Ajv = require('ajv')
+const addFormats = require('ajv-formats')
+const { createLogger } = require('./logger')
+
+const log = createLogger('Schema')
+
+// Directory of the schemas, one <subprotocol>/ directory per OCPP version holding the files as published by the OCA:
+// <Action>.json (1.6) or <Action>Request.json (2.0.1) for the CALL, <Action>Response.json for the CALLRESULT
+const SCHEMA_DIRECTORY = path.join(__dirname, '..', 'schemas')
+const SCHEMA_FILE = /^(\w+?)(Request|Response)?\.json$/
+
+// Validation modes, per direction
+const MODES = ['off', 'log', 'reject']
+
+class SchemaValidator {
+  constructor() {
+    this.validators = new Map() // Subprotocol -> Ajv instance, or null when no schema is available
+  }
+
+  /**
+   * Get the Ajv instance holding the schemas of a subprotocol, compiled on first use
+   * @param {string} protocol
+   * @returns {Ajv|null}
+   */
+  getAjv(protocol) {
+    if (this.validators.has(protocol)) {
+      return this.validators.get(protocol)
+    }
+
+    const schemaPath = path.join(SCHEMA_DIRECTORY, path.basename(protocol))
+    let ajv = null
+    if (fs.existsSync(schemaPath)) {
+      // Not strict: the official files carry unknown keywords (javaType, comment) and additionalProperties on enums
+      ajv = new Ajv({ strict: false, allErrors: false })
+      addFormats(ajv)
+      for (const file of fs.readdirSync(schemaPath).filter((name) => name.endsWith('.json'))) {
+        const [, action, suffix] = SCHEMA_FILE.exec(file)
+        // The files declare draft-04 (1.6) or draft-06 (2.0.1), the keywords they use are read alike by Ajv:
+        // their $schema and $id are ignored, the schemas are keyed <Action>.req|conf instead
+        const schema = JSON.parse(fs.readFileSync(path.join(schemaPath, file), 'utf8'))
+        delete schema.$schema
+        delete schema.$id
+        ajv.addSchema(schema, `${action}.${suffix === 'Response' ? 'conf' : 'req'}`)
+      }
+      log.info(`Loaded ${protocol} schemas from ${schemaPath}`)
+    } else {
+      log.warn(`No schemas for ${protocol}, its messages are not validated`)
+    }
+    this.validators.set(protocol, ajv)
+    return ajv
+  }
+
+  /**
+   * Actions that have a schema in any of the subprotocols, the standard ones
+   * @returns {Set<string>}
+   */
+  static knownActions() {
+    const actions = new Set()
+    if (!fs.existsSync(SCHEMA_DIRECTORY)) {
+      return actions
+    }
+    for (const entry of fs.readdirSync(SCHEMA_DIRECTORY, { withFileTypes: true }).filter((item) => item.isDirectory())) {
+      for (const file of fs.readdirSync(path.join(SCHEMA_DIRECTORY, entry.name))) {
+        const match = SCHEMA_FILE.exec(file)
+        if (match) {
+          actions.add(match[1])
+        }
+      }
+    }
+    return actions
+  }
+
+  /**
+   * Validate the payload of a CALL (request) or CALLRESULT (response)
+   * @param {string} protocol - Negotiated subprotocol
+   * @param {string} action - OCPP action of the CALL
+   * @param {boolean} isRequest - true for a CALL payload, false for a CALLRESULT payload
+   * @param {*} payload
+   * @returns {string|null} Description of the violation, null if valid or not validated
+   */
+  validate(protocol, action, isRequest, payload) {
+    const ajv = this.getAjv(protocol)
+    if (!ajv || !action) {
+      return null
+    }
+
+    // Actions outside the standard (e.g. vendor-specific) have no schema
+    const validate = ajv.getSchema(`${action}.${isRequest ? 'req' : 'conf'}`)
+    if (!validate || validate(payload)) {
+      return null
+    }
+    return ajv.errorsText(validate.errors, { dataVar: 'payload' })
+  }
+}
+
+SchemaValidator.MODES = MODES
+
+module.exports = SchemaValidator
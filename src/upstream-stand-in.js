@@ -0,0 +1,151 @@
+/**
+ * Upstream Stand-in
+ * Local WebSocket server playing the upstream side of a journaled session: answers the charger CALLs
+ * with the recorded responses and sends the recorded upstream CALLs with the original timing (or faster)
+ */
+
+const WebSocket = require('ws')
+const { createLogger } = require('./logger')
+
+const log = createLogger('StandIn')
+
+class UpstreamStandIn {
+  /**
+   * @param {Array<object>} entries - Journal entries of the session
+   * @param {object} options
+   * @param {string} options.host
+   * @param {number} options.port
+   * @param {string} [options.upstream] - Recorded upstream to play, the frames relayed to the charger when missing
+   * @param {number} options.speed - Timing factor: 1 for the original timing, 0 for no delay
+   * @param {number} options.origin - Start of the session (ms), the CALLs are sent relative to it
+   */
+  constructor(entries, options) {
+    this.options = options
+    const played = entries.filter(
+      (entry) =>
+        entry.direction === 'from_upstream' &&
+        Array.isArray(entry.frame) &&
+        (options.upstream ? entry.upstream === options.upstream : entry.relayed)
+    )
+    const clientCalls = new Map(
+      entries
+        .filter((entry) => entry.direction === 'from_client' && Array.isArray(entry.frame) && entry.frame[0] === 2)
+        .map((entry) => [entry.frame[1], entry.frame[2]])
+    )
+
+    this.calls = played.filter((entry) => entry.frame[0] === 2)
+    this.responses = new Map() // messageId -> recorded response
+    this.responsesByAction = new Map() // action -> recorded responses, for CALLs replayed under other messageIds
+    for (const { frame } of played.filter((entry) => entry.frame[0] !== 2)) {
+      this.responses.set(frame[1], frame)
+      const action = clientCalls.get(frame[1])
+      if (action) {
+        this.responsesByAction.set(action, [...(this.responsesByAction.get(action) || []), frame])
+      }
+    }
+    this.server = null
+    this.timers = []
+  }
+
+  /**
+   * Start the WebSocket server
+   * @returns {Promise}
+   */
+  start() {
+    const { host, port } = this.options
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocket.Server({
+        host,
+        port,
+        handleProtocols: (protocols) => protocols.values().next().value || false,
+      })
+      this.server.once('listening', () => {
+        log.info(
+          `Stand-in upstream listening on ${host}:${port} (${this.responses.size} response(s), ${this.calls.length} CALL(s))`
+        )
+        resolve()
+      })
+      this.server.once('error', reject)
+      this.server.on('connection', (ws, request) => this.handleConnection(ws, request))
+    })
+  }
+
+  /**
+   * Play the recorded upstream side to a charger (or the proxy connecting on its behalf)
+   * @param {WebSocket} ws
+   * @param {http.IncomingMessage} request
+   */
+  handleConnection(ws, request) {
+    const clog = createLogger('StandIn', request.url.split('/').pop())
+    const { speed, origin } = this.options
+    clog.info(`Connection on ${request.url} (${ws.protocol || 'no subprotocol'})`)
+
+    for (const entry of this.calls) {
+      const delay = speed > 0 ? (Date.parse(entry.timestamp) - origin) / speed : 0
+      this.timers.push(
+        setTimeout(
+          () => {
+            if (ws.readyState === WebSocket.OPEN) {
+              clog.info(`Sending ${entry.frame[2]} CALL (${entry.frame[1]})`)
+              ws.send(JSON.stringify(entry.frame))
+            }
+          },
+          Math.max(0, delay)
+        )
+      )
+    }
+
+    ws.on('message', (data) => {
+      let frame
+      try {
+        frame = JSON.parse(data.toString())
+      } catch {
+        clog.warn(`Received invalid frame: ${data}`)
+        return
+      }
+      if (frame[0] === 2) {
+        ws.send(JSON.stringify(this.answer(frame)))
+      } else {
+        clog.info(`Received response (${frame[1]})`)
+      }
+    })
+  }
+
+  /**
+   * Answer a CALL with its recorded response: the one with the same messageId,
+   * or else the next one recorded for the same action
+   * @param {Array} call
+   * @returns {Array} CALLRESULT or CALLERROR
+   */
+  answer(call) {
+    const [, messageId, action] = call
+    const byAction = this.responsesByAction.get(action) || []
+    const response = this.responses.get(messageId) || byAction[0]
+    if (!response) {
+      log.warn(`No recorded response to ${action} (${messageId})`)
+      return [4, messageId, 'NotImplemented', 'No recorded response', {}]
+    }
+
+    // Each recorded response is played once
+    this.responses.delete(response[1])
+    if (byAction.includes(response)) {
+      byAction.splice(byAction.indexOf(response), 1)
+    }
+    return [response[0], messageId, ...response.slice(2)]
+  }
+
+  /**
+   * Stop the server
+   */
+  stop() {
+    this.timers.forEach((timer) => clearTimeout(timer))
+    this.timers = []
+    if (this.server) {
+      this.server.clients.forEach((ws) => ws.terminate())
+      this.server.close()
+      this.server = null
+    }
+  }
+}
+
+module.exports = UpstreamStandIn
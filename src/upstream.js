@@ -3,25 +3,51 @@
  * Manages WebSocket connections to upstream servers with automatic reconnection
  */
 
+const fs = require('fs')
 const WebSocket = require('ws')
+const metrics = require('./metrics')
 const { createLogger } = require('./logger')
 
+// Placeholders of an upstream URL template
+const URL_PLACEHOLDERS = /\{(clientId|id|path|query)\}/g
+
 class UpstreamConnection {
-  constructor(name, baseUrl, clientId, protocol, clientIp, forwardedHeaders) {
-    this.name = name
-    this.baseUrl = baseUrl
+  /**
+   * @param {object} config - Upstream configuration
+   *   ({ name, url, idMap, role, callTimeout, timeoutErrorCode, basicAuth, forwardAuthorization, headers, tls })
+   * @param {string} clientId
+   * @param {string} protocol
+   * @param {string} [clientIp]
+   * @param {object} [forwardedHeaders]
+   * @param {object} [clientPath] - Path of the client request ({ path, query })
+   */
+  constructor(config, clientId, protocol, clientIp, forwardedHeaders, clientPath) {
+    this.name = config.name
+    this.baseUrl = config.url
+    this.role = config.role || 'mirror'
+    this.callTimeout = (config.callTimeout || 30) * 1000 // Time allowed to answer a CALL, in ms
+    this.timeoutErrorCode = config.timeoutErrorCode || 'InternalError'
+    this.missedResponses = 0 // Client CALLs this upstream failed to answer in time
+    this.basicAuth = config.basicAuth || null // { username, password, passwords } replacing the client credentials
+    this.forwardAuthorization = config.forwardAuthorization !== false
+    this.headers = config.headers || {}
+    this.tls = config.tls || null // { cert, key, ca, passphrase, rejectUnauthorized }
     this.clientId = clientId
+    this.upstreamId = (config.idMap && config.idMap[clientId]) || clientId // Identity of the client on this upstream
+    this.clientPath = clientPath || { path: clientId, query: '' }
     this.protocol = protocol
     this.clientIp = clientIp || null
     this.forwardedHeaders = forwardedHeaders || {}
-    this.log = createLogger(name, clientId)
+    this.log = createLogger(this.name, clientId)
     this.ws = null
     this.isConnected = false
     this.wasEverConnected = false // Track if initial connection was established
     this.closed = false // When true, prevents any reconnection attempt
+    this.disconnectCount = 0 // Number of failed or lost connections
     this.reconnectAttempts = 0
     this.maxReconnectAttempts = 10
     this.reconnectTimer = null
+    this.reconnectImmediately = false // Set by reconnect() to skip the backoff delay once
     this.onMessageCallback = null
     this.onConnectedCallback = null
     this.onDisconnectedCallback = null
@@ -29,10 +55,115 @@ class UpstreamConnection {
   }
 
   /**
-   * Get the full URL for this upstream connection
+   * Whether this upstream's responses to client CALLs may be relayed to the client
+   * @returns {boolean}
+   */
+  isPrimary() {
+    return this.role === 'primary'
+  }
+
+  /**
+   * Whether this upstream may only observe the traffic (its CALLs are never relayed to the client)
+   * @returns {boolean}
+   */
+  isReadOnly() {
+    return this.role === 'read-only'
+  }
+
+  /**
+   * Whether this upstream is known to be unavailable (lost or failed connection, not yet recovered)
+   * @returns {boolean}
+   */
+  isDown() {
+    return !this.isConnected && this.disconnectCount > 0
+  }
+
+  /**
+   * Get the full URL for this upstream connection.
+   * A URL with placeholders is a template: {clientId}, {id} (mapped clientId), {path} and {query}
+   * of the client request. Otherwise the (mapped) clientId is appended to the URL.
    */
   getUrl() {
-    return `${this.baseUrl}${this.clientId}`
+    if (!this.baseUrl.match(URL_PLACEHOLDERS)) {
+      return `${this.baseUrl}${encodeURIComponent(this.upstreamId)}`
+    }
+    const values = {
+      clientId: encodeURIComponent(this.clientId),
+      id: encodeURIComponent(this.upstreamId),
+      path: this.clientPath.path,
+      query: this.clientPath.query,
+    }
+    // An empty {query} must not leave a dangling separator
+    return this.baseUrl.replace(URL_PLACEHOLDERS, (match, key) => values[key]).replace(/[?&]+$/, '')
+  }
+
+  /**
+   * Get the Authorization header injected for this client, if any.
+   * The username defaults to the (mapped) clientId; a password per clientId takes precedence over the shared one.
+   * @returns {string|null}
+   */
+  getAuthorization() {
+    if (!this.basicAuth) {
+      return null
+    }
+    const passwords = this.basicAuth.passwords || {}
+    const password = Object.prototype.hasOwnProperty.call(passwords, this.clientId)
+      ? passwords[this.clientId]
+      : this.basicAuth.password
+    if (password === undefined) {
+      return null
+    }
+    const username = this.basicAuth.username || this.upstreamId
+    return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`
+  }
+
+  /**
+   * Read a TLS file, whose path may contain {clientId} or {id} to use one certificate per client
+   * @param {string|Array<string>} filePath
+   * @returns {Buffer|Array<Buffer>}
+   */
+  readTlsFile(filePath) {
+    if (Array.isArray(filePath)) {
+      return filePath.map((p) => this.readTlsFile(p))
+    }
+    return fs.readFileSync(filePath.replace(/\{clientId\}/g, this.clientId).replace(/\{id\}/g, this.upstreamId))
+  }
+
+  /**
+   * Build the WebSocket options: forwarded and injected headers, TLS client certificate and CA
+   * @returns {object}
+   */
+  getConnectOptions() {
+    const headers = { ...this.forwardedHeaders }
+    if (!this.forwardAuthorization) {
+      delete headers['Authorization']
+    }
+    if (this.clientIp) {
+      headers['X-Forwarded-For'] = this.clientIp
+      headers['X-Real-IP'] = this.clientIp
+    }
+    const authorization = this.getAuthorization()
+    if (authorization) {
+      headers['Authorization'] = authorization
+    }
+    const options = { headers: { ...headers, ...this.headers } }
+
+    if (this.tls) {
+      if (this.tls.cert) {
+        options.cert = this.readTlsFile(this.tls.cert)
+        options.key = this.readTlsFile(this.tls.key)
+      }
+      if (this.tls.ca) {
+        options.ca = this.readTlsFile(this.tls.ca)
+      }
+      if (this.tls.passphrase) {
+        options.passphrase = this.tls.passphrase
+      }
+      if (this.tls.rejectUnauthorized === false) {
+        options.rejectUnauthorized = false
+      }
+    }
+    return options
   }
 
   /**
@@ -48,11 +179,7 @@ class UpstreamConnection {
     this.log.debug(`Connecting to ${url}...`)
 
     try {
-      const options = { headers: { ...this.forwardedHeaders } }
-      if (this.clientIp) {
-        options.headers['X-Forwarded-For'] = this.clientIp
-        options.headers['X-Real-IP'] = this.clientIp
-      }
+      const options = this.getConnectOptions()
 
       // Protocol must be passed as 2nd argument for proper WebSocket subprotocol negotiation
       this.ws = new WebSocket(url, this.protocol, options)
@@ -80,6 +207,7 @@ class UpstreamConnection {
 
       this.ws.on('close', () => {
         this.isConnected = false
+        this.disconnectCount++
         this.log.warn('Disconnected')
 
         if (this.onDisconnectedCallback) {
@@ -87,12 +215,16 @@ class UpstreamConnection {
         }
 
         // Only attempt reconnection if not explicitly closed
-        if (!this.closed) {
+        if (!this.closed && this.reconnectImmediately) {
+          this.reconnectImmediately = false
+          this.connect()
+        } else if (!this.closed) {
           this.scheduleReconnect()
         }
       })
     } catch (error) {
       this.log.error(`Connection error: ${error.message}`)
+      this.disconnectCount++
       this.scheduleReconnect()
     }
   }
@@ -111,6 +243,7 @@ class UpstreamConnection {
 
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       this.log.error('Max reconnection attempts reached')
+      metrics.gaveUp.inc({ client_id: this.clientId, upstream: this.name })
       if (this.onGaveUpCallback) {
         this.onGaveUpCallback(this.name)
       }
@@ -118,6 +251,7 @@ class UpstreamConnection {
     }
 
     this.reconnectAttempts++
+    metrics.reconnectAttempts.inc({ client_id: this.clientId, upstream: this.name })
     const delay = Math.min(5000 * Math.pow(2, this.reconnectAttempts - 1), 60000)
     const delaySeconds = (delay / 1000).toFixed(1)
 
@@ -148,6 +282,40 @@ class UpstreamConnection {
     }
   }
 
+  /**
+   * Drop the current connection (if any) and connect again right away, with a fresh attempt counter
+   * @returns {boolean} false if the connection was explicitly closed
+   */
+  reconnect() {
+    if (this.closed) {
+      return false
+    }
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+    this.reconnectAttempts = 0
+    this.log.info('Forced reconnection')
+
+    if (this.ws && this.isConnected) {
+      // The close handler connects again
+      this.reconnectImmediately = true
+      this.ws.close()
+      return true
+    }
+
+    if (this.ws) {
+      // Abandon a connection attempt still in progress
+      this.ws.removeAllListeners()
+      this.ws.on('error', () => {})
+      this.ws.terminate()
+      this.ws = null
+    }
+    this.connect()
+    return true
+  }
+
   /**
    * Close the connection
    */
@@ -201,4 +369,18 @@ class UpstreamConnection {
   }
 }
 
+/**
+ * Whether an upstream accepts an OCPP subprotocol (any, without a subprotocols list)
+ * @param {object} config - Upstream configuration
+ * @param {string} protocol
+ * @returns {boolean}
+ */
+UpstreamConnection.supportsProtocol = (config, protocol) => !config.subprotocols || config.subprotocols.includes(protocol)
+
+// Upstream roles:
+// - primary: answers the client's CALLs and may send CALLs to the client
+// - mirror: receives the client's CALLs, may send CALLs to the client, its responses are dropped
+// - read-only: receives the client's CALLs only, its responses and CALLs are never relayed
+UpstreamConnection.ROLES = ['primary', 'mirror', 'read-only']
+
 module.exports = UpstreamConnection
@@ -0,0 +1,190 @@
+/**
+ * Admin API scenarios: the state of the chargers, their control and the CALLs sent by the proxy itself
+ */
+
+const net = require('node:net')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { once } = require('node:events')
+const {
+  setup,
+  connectCharger,
+  receivedCalls,
+  waitUntil,
+  waitForFrame,
+  waitForConnection,
+  waitForClose,
+} = require('./helpers')
+
+const TOKEN = 'secret'
+
+/**
+ * Start mock CSMSs and a proxy with its admin API, see setup()
+ * @param {TestContext} t
+ * @param {object} [admin] - Admin settings added to the default ones
+ * @returns {Promise<object>} setup() result, port and request(method, path, { body, token }) => { status, body }
+ */
+async function setupAdmin(t, admin = {}) {
+  const context = await setup(t, ['P', 'M'], { admin: { enabled: true, host: '127.0.0.1', port: 0, ...admin } })
+  const { server } = context.proxy.adminApi
+  if (!server.listening) {
+    await once(server, 'listening')
+  }
+  const { port } = server.address()
+
+  const request = async (method, path, { body, token = admin.token } = {}) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {}
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    })
+    return { status: response.status, body: await response.json() }
+  }
+  return { ...context, port, request }
+}
+
+test('admin API: reports the connected chargers and their upstreams', async (t) => {
+  const { csms, url, request } = await setupAdmin(t, { token: TOKEN })
+  const charger = await connectCharger(t, url, 'SIM-ADMIN')
+  await charger.bootNotification()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'BootNotification')
+
+  assert.equal((await request('GET', '/status', { token: null })).status, 401)
+  assert.equal((await request('GET', '/status', { token: 'wrong' })).status, 401)
+  const status = await request('GET', '/status')
+  assert.equal(status.status, 200)
+  assert.equal(status.body.chargers, 1)
+
+  const chargers = await request('GET', '/chargers')
+  assert.deepEqual(
+    chargers.body.map((entry) => entry.clientId),
+    ['SIM-ADMIN']
+  )
+  const { body } = await request('GET', '/chargers/SIM-ADMIN')
+  assert.equal(body.protocol, 'ocpp1.6')
+  assert.equal(body.responder, 'P')
+  assert.equal(body.offline, false)
+  assert.equal(body.bufferedMessages, 0)
+  assert.deepEqual(
+    body.upstreams.map(({ name, role, connected, reconnectAttempts }) => ({ name, role, connected, reconnectAttempts })),
+    [
+      { name: 'P', role: 'primary', connected: true, reconnectAttempts: 0 },
+      { name: 'M', role: 'mirror', connected: true, reconnectAttempts: 0 },
+    ]
+  )
+
+  assert.equal((await request('GET', '/chargers/UNKNOWN')).status, 404)
+  assert.equal((await request('GET', '/unknown')).status, 404)
+  assert.equal((await request('DELETE', '/chargers')).status, 405)
+})
+
+test('admin API: reconnects an upstream and disconnects a charger', async (t) => {
+  const { csms, url, request } = await setupAdmin(t, { token: TOKEN })
+  const charger = await connectCharger(t, url, 'SIM-ADMIN-CONTROL')
+  await charger.bootNotification()
+
+  const reconnect = await request('POST', '/chargers/SIM-ADMIN-CONTROL/upstreams/M/reconnect')
+  assert.equal(reconnect.status, 200)
+  await waitForConnection(csms.M, 'SIM-ADMIN-CONTROL', 2)
+  assert.equal((await request('POST', '/chargers/SIM-ADMIN-CONTROL/upstreams/X/reconnect')).status, 404)
+
+  const disconnect = await request('POST', '/chargers/SIM-ADMIN-CONTROL/disconnect')
+  assert.deepEqual(disconnect, { status: 200, body: { clientId: 'SIM-ADMIN-CONTROL', disconnected: true } })
+  assert.deepEqual(await waitForClose(charger), { code: 1001, reason: 'Disconnected by the proxy administrator' })
+  assert.equal((await request('POST', '/chargers/SIM-ADMIN-CONTROL/disconnect')).status, 404)
+  assert.equal(csms.P.connectionLog.length, 1)
+})
+
+test('admin API: CALLs sent by the proxy are answered to the caller, never to the upstreams', async (t) => {
+  const { csms, url, request } = await setupAdmin(t, { token: TOKEN, callTimeout: 1 })
+  const charger = await connectCharger(t, url, 'SIM-ADMIN-CALL')
+  await charger.bootNotification()
+
+  const reset = await request('POST', '/chargers/SIM-ADMIN-CALL/calls', {
+    body: { action: 'Reset', payload: { type: 'Soft' } },
+  })
+  assert.equal(reset.status, 200)
+  assert.deepEqual(reset.body.result, { status: 'Accepted' })
+  assert.deepEqual(await waitForFrame(charger, (frame) => frame[2] === 'Reset'), [
+    2,
+    reset.body.messageId,
+    'Reset',
+    { type: 'Soft' },
+  ])
+
+  const unknown = await request('POST', '/chargers/SIM-ADMIN-CALL/calls', { body: { action: 'SetChargingProfile' } })
+  assert.equal(unknown.status, 502)
+  assert.equal(unknown.body.error.errorCode, 'NotImplemented')
+
+  charger.handle('GetDiagnostics', () => new Promise(() => {}))
+  const silent = await request('POST', '/chargers/SIM-ADMIN-CALL/calls', { body: { action: 'GetDiagnostics' } })
+  assert.deepEqual(silent, {
+    status: 504,
+    body: { clientId: 'SIM-ADMIN-CALL', action: 'GetDiagnostics', error: 'No response from charger' },
+  })
+
+  assert.equal((await request('POST', '/chargers/SIM-ADMIN-CALL/calls', { body: 'not json' })).status, 400)
+  assert.equal((await request('POST', '/chargers/SIM-ADMIN-CALL/calls', { body: { payload: {} } })).status, 400)
+  assert.equal((await request('POST', '/chargers/UNKNOWN/calls', { body: { action: 'Reset' } })).status, 404)
+
+  // The upstreams only see the charger's own CALLs
+  await charger.heartbeat()
+  await waitUntil(() => receivedCalls(csms.M, 'SIM-ADMIN-CALL').includes('Heartbeat'), 'Heartbeat not sent to M')
+  for (const server of [csms.P, csms.M]) {
+    assert.ok(server.received.every((entry) => entry.frame[0] === 2))
+  }
+})
+
+test('admin API: CALLs cannot be sent without a token', async (t) => {
+  const { url, request } = await setupAdmin(t)
+  const charger = await connectCharger(t, url, 'SIM-ADMIN-OPEN')
+  await charger.bootNotification()
+
+  const response = await request('POST', '/chargers/SIM-ADMIN-OPEN/calls', { body: { action: 'Reset' } })
+
+  assert.equal(response.status, 403)
+  assert.equal((await request('GET', '/chargers/SIM-ADMIN-OPEN')).status, 200)
+  assert.ok(!charger.received.some((frame) => frame[2] === 'Reset'))
+})
+
+test('admin API: a request whose URL does not parse is answered 400, before the authentication', async (t) => {
+  const { port, request } = await setupAdmin(t, { token: TOKEN })
+
+  const socket = net.connect(port, '127.0.0.1')
+  socket.end('GET //[ HTTP/1.1\r\nHost: 127.0.0.1\r\nConnection: close\r\n\r\n')
+  let response = ''
+  socket.on('data', (chunk) => (response += chunk))
+  await once(socket, 'close')
+
+  assert.match(response, /^HTTP\/1.1 400 /)
+  assert.match(response, /"error":"Invalid URL"/)
+  assert.equal((await request('GET', '/status')).status, 200)
+})
+
+test('admin API: the metrics count the messages per action, the actions outside the standard as other', async (t) => {
+  const { port, url } = await setupAdmin(t, { token: TOKEN, metrics: true })
+  const scrape = async () => {
+    const response = await fetch(`http://127.0.0.1:${port}/metrics`, { headers: { Authorization: `Bearer ${TOKEN}` } })
+    assert.equal(response.status, 200)
+    return response.text()
+  }
+  const before = await scrape()
+  const charger = await connectCharger(t, url, 'SIM-ADMIN-METRICS')
+
+  await charger.bootNotification()
+  await assert.rejects(charger.call('VendorAction-SIM-ADMIN-METRICS', {}), { errorCode: 'NotImplemented' })
+
+  const after = await scrape()
+  const increase = (action) => {
+    const line = new RegExp(
+      `^ocpp_proxy_messages_total{direction="from_client",type="CALL",action="${action}"} (\\d+)$`,
+      'm'
+    )
+    const count = (text) => Number((line.exec(text) || [null, 0])[1])
+    return count(after) - count(before)
+  }
+  assert.equal(increase('BootNotification'), 1)
+  assert.equal(increase('other'), 1)
+  assert.doesNotMatch(after, /VendorAction/)
+})
@@ -0,0 +1,145 @@
+/**
+ * Alert throttle: status delay, repeated statuses, debounce and rate limit of the notifications, on mocked timers
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const AlertThrottle = require('../src/alert-throttle')
+
+/**
+ * Create a throttle recording what it sends, on mocked timers
+ * @param {TestContext} t
+ * @param {object} config - notify.throttle configuration
+ * @returns {object} { throttle, released: Array<object>, summaries: Array<object>, rateLimited: Array<object> }
+ */
+function createThrottle(t, config) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] })
+  const released = []
+  const summaries = []
+  const rateLimited = []
+  const throttle = new AlertThrottle(config, {
+    release: (event) => released.push(event),
+    summarize: (clientId, suppressed, window) => {
+      const counts = Object.fromEntries([...suppressed].map(([type, { count }]) => [type, count]))
+      summaries.push({ clientId, counts, window })
+    },
+    rateLimited: (channelName, summary) => rateLimited.push({ channelName, ...summary }),
+  })
+  t.after(() => throttle.stop())
+  return { throttle, released, summaries, rateLimited }
+}
+
+/**
+ * Connector status event
+ * @param {string} status
+ * @param {number} [connectorId]
+ * @returns {object}
+ */
+function connectorStatus(status, connectorId = 1) {
+  return { type: `conStatus${status}`, clientId: 'CP001', connectorId, status }
+}
+
+test('alert throttle: a status is only sent once it lasted statusDelay, a flapping one is summarized', (t) => {
+  const { throttle, released, summaries } = createThrottle(t, { statusDelay: 30, summaryWindow: 60 })
+
+  throttle.push(connectorStatus('Faulted'), true)
+  t.mock.timers.tick(10000)
+  throttle.push(connectorStatus('Faulted'), true)
+  t.mock.timers.tick(19000)
+  assert.deepEqual(released, [])
+  // The delay counts from the first occurrence of the status
+  t.mock.timers.tick(1000)
+  assert.deepEqual(
+    released.map((event) => event.type),
+    ['conStatusFaulted']
+  )
+
+  // Changed before its delay: never sent, counted in the summary of the client
+  throttle.push(connectorStatus('Unavailable'), true)
+  t.mock.timers.tick(5000)
+  throttle.push(connectorStatus('Available'), false)
+  t.mock.timers.tick(60000)
+  assert.equal(released.length, 1)
+  assert.deepEqual(summaries, [{ clientId: 'CP001', counts: { conStatusUnavailable: 1 }, window: 60 }])
+})
+
+test('alert throttle: with suppressRepeatedStatus, a status received again is not sent', (t) => {
+  const { throttle, released, summaries } = createThrottle(t, {
+    events: { conStatusFaulted: { suppressRepeatedStatus: true } },
+    summaryWindow: 60,
+  })
+
+  throttle.push(connectorStatus('Faulted'), true)
+  throttle.push(connectorStatus('Faulted'), true)
+  // The unrouted statuses are recorded too
+  throttle.push(connectorStatus('Available'), false)
+  throttle.push(connectorStatus('Faulted'), true)
+  throttle.push(connectorStatus('Faulted', 2), true)
+  throttle.push(connectorStatus('Available'), true)
+  throttle.push(connectorStatus('Available'), true)
+  t.mock.timers.tick(60000)
+
+  assert.deepEqual(
+    released.map(({ type, connectorId }) => [type, connectorId]),
+    [
+      ['conStatusFaulted', 1],
+      ['conStatusFaulted', 1],
+      ['conStatusFaulted', 2],
+      ['conStatusAvailable', 1],
+      ['conStatusAvailable', 1],
+    ]
+  )
+  assert.deepEqual(summaries, [{ clientId: 'CP001', counts: { conStatusFaulted: 1 }, window: 60 }])
+})
+
+test('alert throttle: an event sent again within its debounce window is summarized once the summary window closes', (t) => {
+  const { throttle, released, summaries } = createThrottle(t, { debounce: 60, summaryWindow: 300 })
+  const disconnected = { type: 'disconnectedFromProxy', clientId: 'CP001' }
+
+  throttle.push(disconnected, true)
+  throttle.push({ type: 'disconnectedFromProxy', clientId: 'CP002' }, true)
+  t.mock.timers.tick(30000)
+  throttle.push(disconnected, true)
+  throttle.push(disconnected, true)
+  t.mock.timers.tick(30000)
+  throttle.push(disconnected, true)
+  throttle.push({ type: 'connectedToProxy', clientId: 'CP001' }, false)
+
+  assert.deepEqual(
+    released.map(({ type, clientId }) => `${type} ${clientId}`),
+    ['disconnectedFromProxy CP001', 'disconnectedFromProxy CP002', 'disconnectedFromProxy CP001']
+  )
+  // The summary window opened with the first suppressed event, 30 seconds in
+  t.mock.timers.tick(269000)
+  assert.deepEqual(summaries, [])
+  t.mock.timers.tick(1000)
+  assert.deepEqual(summaries, [{ clientId: 'CP001', counts: { disconnectedFromProxy: 2 }, window: 300 }])
+})
+
+test('alert throttle: a channel sends at most rateLimit.count notifications per window, the others are summarized', (t) => {
+  const { throttle, rateLimited } = createThrottle(t, { rateLimit: { count: 2, window: 10 } })
+
+  const allowed = []
+  for (let index = 0; index < 5; index++) {
+    allowed.push(throttle.allow('pushover'))
+  }
+  allowed.push(throttle.allow('ntfy'))
+  assert.deepEqual(allowed, [true, true, false, false, false, true])
+
+  t.mock.timers.tick(10000)
+  assert.deepEqual(rateLimited, [{ channelName: 'pushover', count: 3, limit: 2, window: 10 }])
+  assert.equal(throttle.allow('pushover'), true)
+})
+
+test('alert throttle: without settings, every routed event is sent', (t) => {
+  const { throttle, released, summaries } = createThrottle(t, {})
+
+  throttle.push(connectorStatus('Faulted'), true)
+  throttle.push(connectorStatus('Faulted'), true)
+  throttle.push(connectorStatus('Available'), false)
+
+  assert.equal(released.length, 2)
+  assert.equal(throttle.allow('pushover'), true)
+  t.mock.timers.tick(300000)
+  assert.deepEqual(summaries, [])
+})
@@ -0,0 +1,51 @@
+/**
+ * Call timeout scenarios: client CALLs the responding upstream does not answer in time
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { setup, connectCharger, waitForNotifications, upstreamOf } = require('./helpers')
+
+test('call timeout: the client gets the timeoutErrorCode and the late response is dropped', async (t) => {
+  const upstreamConfig = { callTimeout: 1, timeoutErrorCode: 'GenericError' }
+  const { csms, proxy, url, notifications } = await setup(t, ['CSMS'], { notify: { callTimeout: true } }, upstreamConfig)
+  let answered
+  const lateAnswer = new Promise((resolve) => (answered = resolve))
+  csms.CSMS.handle('Authorize', () => {
+    return new Promise((resolve) =>
+      setTimeout(() => {
+        resolve({ idTagInfo: { status: 'Accepted' } })
+        answered()
+      }, 1500)
+    )
+  })
+  const charger = await connectCharger(t, url, 'SIM-TIMEOUT')
+  await charger.bootNotification()
+
+  await assert.rejects(charger.authorize('TAG'), {
+    errorCode: 'GenericError',
+    message: 'Authorize failed: GenericError No response from upstream CSMS within 1s',
+  })
+  await waitForNotifications(notifications, ['[SIM-TIMEOUT] No response from upstream: CSMS'])
+  await lateAnswer
+  // Answered after the late response on the same connection: the late response would be relayed by now
+  await charger.heartbeat()
+
+  const authorize = charger.received.find((frame) => frame[0] === 4)
+  assert.equal(charger.received.filter((frame) => frame[1] === authorize[1]).length, 1)
+  assert.equal(upstreamOf(proxy, 'SIM-TIMEOUT', 'CSMS').missedResponses, 1)
+  const notification = notifications.find((entry) => entry.event.type === 'callTimeout')
+  assert.equal(notification.event.action, 'Authorize')
+})
+
+test('call timeout: a response in time is relayed and not counted as missed', async (t) => {
+  const { proxy, url, notifications } = await setup(t, ['CSMS'], { notify: { callTimeout: true } }, { callTimeout: 1 })
+  const charger = await connectCharger(t, url, 'SIM-IN-TIME')
+  await charger.bootNotification()
+
+  const authorize = await charger.authorize('TAG')
+
+  assert.deepEqual(authorize, { idTagInfo: { status: 'Accepted' } })
+  assert.equal(upstreamOf(proxy, 'SIM-IN-TIME', 'CSMS').missedResponses, 0)
+  assert.deepEqual(notifications, [])
+})
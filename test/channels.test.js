@@ -0,0 +1,231 @@
+/**
+ * Notification channels of lib/: required settings and requests of each service, without any network
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const axios = require('axios')
+const Gotify = require('../lib/gotify')
+const Mailer = require('../lib/mailer')
+const Mqtt = require('../lib/mqtt')
+const Ntfy = require('../lib/ntfy')
+const Pushover = require('../lib/pushover')
+const Slack = require('../lib/slack')
+const Teams = require('../lib/teams')
+const Telegram = require('../lib/telegram')
+
+/**
+ * Record the HTTP requests of the channels instead of sending them
+ * @param {TestContext} t
+ * @param {object} [response] - axios response of every request
+ * @returns {Array<object>} { url, payload, headers } of the requests
+ */
+function stubPost(t, response = { status: 200, data: {} }) {
+  const requests = []
+  t.mock.method(axios, 'post', async (url, payload, config = {}) => {
+    requests.push({ url, payload, headers: config.headers })
+    return response
+  })
+  return requests
+}
+
+test('channels: isConfigured requires the settings each service needs', () => {
+  const cases = [
+    [Pushover, { userKey: 'USER', appToken: 'APP' }, [{ userKey: 'USER' }, { appToken: 'APP' }]],
+    [Telegram, { botToken: 'BOT', chatId: '42' }, [{ botToken: 'BOT' }, { chatId: '42' }]],
+    [Ntfy, { topic: 'alerts' }, [{ url: 'https://ntfy.example.com' }]],
+    [Gotify, { url: 'https://gotify.example.com', token: 'TOKEN' }, [{ url: 'https://gotify.example.com' }]],
+    [Slack, { url: 'https://hooks.slack.com/services/T/B/X' }, [{}]],
+    [Teams, { url: 'https://example.webhook.office.com/workflows' }, [{}]],
+    [Mqtt, { url: 'mqtt://127.0.0.1' }, [{ topic: 'alerts' }]],
+    [
+      Mailer,
+      { from: 'proxy@example.com', to: 'ops@example.com', transporter: { jsonTransport: true } },
+      [
+        { from: 'proxy@example.com', to: 'ops@example.com' },
+        { from: 'proxy@example.com', transporter: { jsonTransport: true } },
+        { to: 'ops@example.com', transporter: 'smtp://example.com' },
+      ],
+    ],
+  ]
+
+  for (const [Channel, complete, incompletes] of cases) {
+    assert.equal(Channel.isConfigured(complete), true, Channel.name)
+    for (const incomplete of incompletes) {
+      assert.equal(Channel.isConfigured(incomplete), false, `${Channel.name} ${JSON.stringify(incomplete)}`)
+    }
+  }
+})
+
+test('channels: Pushover sends to the recipients, an urgent notification is repeated until acknowledged', async (t) => {
+  const requests = stubPost(t, { status: 200, data: { status: 1, request: 'REQUEST' } })
+  const pushover = new Pushover({ userKey: 'USER', appToken: 'APP' })
+
+  assert.deepEqual(await pushover.send('Title', 'Message'), { status: 1, request: 'REQUEST' })
+  await pushover.send('Title', 'Message', {}, { priority: 'urgent', recipients: ['ONCALL', 'TEAM'] })
+  await pushover.send('Title', 'Message', {}, { priority: 'low' })
+
+  assert.deepEqual(
+    requests.map(({ url, payload }) => [url, payload]),
+    [
+      ['https://api.pushover.net/1/messages.json', { token: 'APP', user: 'USER', title: 'Title', message: 'Message' }],
+      [
+        'https://api.pushover.net/1/messages.json',
+        { token: 'APP', user: 'ONCALL,TEAM', title: 'Title', message: 'Message', priority: 2, retry: 60, expire: 3600 },
+      ],
+      [
+        'https://api.pushover.net/1/messages.json',
+        { token: 'APP', user: 'USER', title: 'Title', message: 'Message', priority: -1 },
+      ],
+    ]
+  )
+})
+
+test('channels: ntfy publishes once per topic, with its token and the mapped priority', async (t) => {
+  const requests = stubPost(t)
+  const ntfy = new Ntfy({ url: 'https://ntfy.example.com/', topic: 'alerts', token: 'TOKEN', priority: 3, tags: ['zap'] })
+
+  assert.deepEqual(await ntfy.send('Title', 'Message'), { status: 200 })
+  await ntfy.send('Title', 'Message', {}, { priority: 'urgent', recipients: ['oncall', 'team'] })
+  await new Ntfy({ topic: 'public' }).send('Title', 'Message')
+
+  const message = { title: 'Title', message: 'Message', tags: ['zap'] }
+  assert.deepEqual(requests, [
+    {
+      url: 'https://ntfy.example.com',
+      payload: { topic: 'alerts', ...message, priority: 3 },
+      headers: { Authorization: 'Bearer TOKEN' },
+    },
+    {
+      url: 'https://ntfy.example.com',
+      payload: { topic: 'oncall', ...message, priority: 5 },
+      headers: { Authorization: 'Bearer TOKEN' },
+    },
+    {
+      url: 'https://ntfy.example.com',
+      payload: { topic: 'team', ...message, priority: 5 },
+      headers: { Authorization: 'Bearer TOKEN' },
+    },
+    {
+      url: 'https://ntfy.sh',
+      payload: { topic: 'public', title: 'Title', message: 'Message', priority: undefined, tags: undefined },
+      headers: {},
+    },
+  ])
+})
+
+test('channels: Gotify posts the message with its application token and the mapped priority', async (t) => {
+  const requests = stubPost(t)
+  const gotify = new Gotify({ url: 'https://gotify.example.com/', token: 'TOKEN', priority: 4 })
+
+  assert.deepEqual(await gotify.send('Title', 'Message'), { status: 200 })
+  await gotify.send('Title', 'Message', {}, { priority: 'high' })
+
+  assert.deepEqual(requests, [
+    {
+      url: 'https://gotify.example.com/message',
+      payload: { title: 'Title', message: 'Message', priority: 4 },
+      headers: { 'X-Gotify-Key': 'TOKEN' },
+    },
+    {
+      url: 'https://gotify.example.com/message',
+      payload: { title: 'Title', message: 'Message', priority: 8 },
+      headers: { 'X-Gotify-Key': 'TOKEN' },
+    },
+  ])
+})
+
+test('channels: Telegram sends escaped HTML to each chat, silently for a low priority', async (t) => {
+  const requests = stubPost(t)
+  const telegram = new Telegram({ botToken: 'BOT', chatId: '42' })
+
+  await telegram.send('Parking <Nord>', 'A & B')
+  await telegram.send('Title', 'Message', {}, { priority: 'low', recipients: ['1', '2'] })
+
+  assert.deepEqual(
+    requests.map(({ url, payload }) => [url, payload.chat_id, payload.text, payload.disable_notification]),
+    [
+      ['https://api.telegram.org/botBOT/sendMessage', '42', '<b>Parking &lt;Nord&gt;</b>\nA &amp; B', false],
+      ['https://api.telegram.org/botBOT/sendMessage', '1', '<b>Title</b>\nMessage', true],
+      ['https://api.telegram.org/botBOT/sendMessage', '2', '<b>Title</b>\nMessage', true],
+    ]
+  )
+  assert.equal(requests[0].payload.parse_mode, 'HTML')
+})
+
+test('channels: a failed request resolves to its error, with the answer of Telegram', async (t) => {
+  t.mock.method(axios, 'post', async () => {
+    throw Object.assign(new Error('Request failed with status code 400'), {
+      response: { data: { ok: false, description: 'chat not found' } },
+    })
+  })
+
+  assert.deepEqual(await new Telegram({ botToken: 'BOT', chatId: '42' }).send('Title', 'Message'), {
+    error: 'Request failed with status code 400: {"ok":false,"description":"chat not found"}',
+  })
+  assert.deepEqual(await new Slack({ url: 'https://hooks.slack.com/x' }).send('Title', 'Message'), {
+    error: 'Request failed with status code 400',
+  })
+})
+
+test('channels: Slack escapes its mrkdwn text, Teams sends an adaptive card', async (t) => {
+  const requests = stubPost(t)
+
+  await new Slack({ url: 'https://hooks.slack.com/x' }).send('Parking <Nord>', 'A & B')
+  await new Teams({ url: 'https://example.webhook.office.com/x' }).send('Title', 'Line 1\nLine 2')
+
+  assert.deepEqual(requests[0].payload, { text: '*Parking &lt;Nord&gt;*\nA &amp; B' })
+  const [attachment] = requests[1].payload.attachments
+  assert.equal(requests[1].payload.type, 'message')
+  assert.equal(attachment.contentType, 'application/vnd.microsoft.card.adaptive')
+  assert.deepEqual(
+    attachment.content.body.map((block) => block.text),
+    ['Title', 'Line 1\n\nLine 2']
+  )
+})
+
+test('channels: the email has the HTML of the message, its recipients and priority', async () => {
+  const mailer = new Mailer({ from: 'proxy@example.com', to: 'ops@example.com', transporter: { jsonTransport: true } })
+
+  const sent = JSON.parse((await mailer.send('Title', 'Line 1\nLine 2')).message)
+  const urgent = JSON.parse(
+    (
+      await mailer.send(
+        'Title',
+        'Message',
+        {},
+        { priority: 'urgent', recipients: ['oncall@example.com'], html: '<p>Message</p>' }
+      )
+    ).message
+  )
+
+  assert.deepEqual(
+    [sent.to, sent.subject, sent.text, sent.html, sent.priority],
+    [[{ address: 'ops@example.com', name: '' }], 'Title', 'Line 1\nLine 2', 'Line 1<br>Line 2', undefined]
+  )
+  assert.deepEqual(
+    [urgent.to, urgent.html, urgent.priority],
+    [[{ address: 'oncall@example.com', name: '' }], '<p>Message</p>', 'high']
+  )
+})
+
+test('channels: MQTT publishes the event on the topic filled with its fields, once connected', async () => {
+  // Nothing listens on the broker port: the client is replaced
+  const mqtt = new Mqtt({ url: 'mqtt://127.0.0.1:1', topic: 'ocpp/{{clientId}}/{{type}}/{{missing}}', qos: 1 })
+  mqtt.client.end(true)
+  const published = []
+  mqtt.client = { connected: false, publishAsync: async (...args) => published.push(args) }
+
+  assert.deepEqual(await mqtt.send('Title', 'Message', { clientId: 'CP001' }), { error: 'not connected to the broker' })
+  mqtt.client.connected = true
+  const result = await mqtt.send('Title', 'Message', { type: 'cpStatusFaulted', clientId: 'CP+#1' }, { priority: 'high' })
+
+  assert.deepEqual(result, { topic: 'ocpp/CP__1/cpStatusFaulted/unknown' })
+  assert.deepEqual(published, [
+    [
+      'ocpp/CP__1/cpStatusFaulted/unknown',
+      JSON.stringify({ type: 'cpStatusFaulted', clientId: 'CP+#1', priority: 'high', title: 'Title', message: 'Message' }),
+      { qos: 1, retain: false },
+    ],
+  ])
+})
@@ -0,0 +1,84 @@
+/**
+ * Charger authentication scenarios: Basic auth passwords and clientId allow/deny lists
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const ChargerSimulator = require('../src/charger-simulator')
+const { setup, connectCharger, waitUntil } = require('./helpers')
+
+const security = {
+  passwords: { 'SIM-AUTH': 's3cr3t' },
+  requireAuthentication: true,
+  allowList: ['SIM-AUTH', 'SIM-NO-PASSWORD', 'SIM-DENIED'],
+  denyList: ['SIM-DENIED'],
+}
+
+/**
+ * Check that a charger is refused during the handshake
+ * @param {string} url
+ * @param {string} clientId
+ * @param {number} status - HTTP status of the refusal
+ * @param {object} [options] - Other ChargerSimulator options (password)
+ * @returns {Promise}
+ */
+function assertRefused(url, clientId, status, options = {}) {
+  const charger = new ChargerSimulator({ url, clientId, ...options })
+  return assert.rejects(charger.connect(), { message: `Connection refused with HTTP ${status}` })
+}
+
+test('charger auth: only a charger with its Basic auth password is accepted', async (t) => {
+  const { csms, url, notifications } = await setup(t, ['CSMS'], { security, notify: { chargerRejected: true } })
+
+  await assertRefused(url, 'SIM-AUTH', 401)
+  await assertRefused(url, 'SIM-AUTH', 401, { password: 'wrong' })
+  const charger = await connectCharger(t, url, 'SIM-AUTH', { password: 's3cr3t' })
+  await charger.bootNotification()
+
+  assert.equal(csms.CSMS.connectionLog.length, 1)
+  // The charger credentials are forwarded to the upstream unless forwardAuthorization is false
+  assert.equal(
+    csms.CSMS.connectionLog[0].headers['authorization'],
+    `Basic ${Buffer.from('SIM-AUTH:s3cr3t').toString('base64')}`
+  )
+  await waitUntil(() => notifications.length === 2, 'Rejections not notified')
+  assert.deepEqual(
+    notifications.map((notification) => [notification.title, notification.event.reason]),
+    [
+      ['Client rejected: SIM-AUTH', 'missing Basic auth credentials'],
+      ['Client rejected: SIM-AUTH', 'invalid Basic auth credentials'],
+    ]
+  )
+})
+
+test('charger auth: the allow and deny lists and requireAuthentication refuse the other chargers', async (t) => {
+  const { csms, url, notifications } = await setup(t, ['CSMS'], { security, notify: { chargerRejected: true } })
+
+  await assertRefused(url, 'SIM-DENIED', 403)
+  await assertRefused(url, 'SIM-UNLISTED', 403)
+  await assertRefused(url, 'SIM-NO-PASSWORD', 401)
+
+  assert.equal(csms.CSMS.connectionLog.length, 0)
+  await waitUntil(() => notifications.length === 3, 'Rejections not notified')
+  assert.deepEqual(
+    notifications.map((notification) => notification.event.reason),
+    [
+      'clientId is deny-listed',
+      'clientId is not allow-listed',
+      'no password or client certificate configured for this clientId',
+    ]
+  )
+})
+
+test('charger auth: without requireAuthentication, the chargers without a password are accepted', async (t) => {
+  const { csms, url } = await setup(t, ['CSMS'], { security: { passwords: security.passwords } })
+
+  const charger = await connectCharger(t, url, 'SIM-OPEN')
+  await charger.bootNotification()
+  await assertRefused(url, 'SIM-AUTH', 401)
+
+  assert.deepEqual(
+    csms.CSMS.connectionLog.map((connection) => connection.clientId),
+    ['SIM-OPEN']
+  )
+})
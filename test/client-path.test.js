@@ -0,0 +1,104 @@
+/**
+ * Client path scenarios: the path of the charger connection, the upstream URL templates and idMap
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { once } = require('node:events')
+const WebSocket = require('ws')
+const { setup, connectCharger, waitUntil, connectionOf, upstreamOf } = require('./helpers')
+
+/**
+ * Open a raw WebSocket to the proxy, for the paths the simulator cannot build, closed at the end of the test
+ * @param {TestContext} t
+ * @param {string} url - Full URL, path and query included
+ * @param {string} [protocol] - Subprotocol offered, none when null
+ * @returns {Promise<object>} { ws, closed: Promise of { code, reason } }
+ */
+async function connectRaw(t, url, protocol = 'ocpp1.6') {
+  const ws = new WebSocket(url, protocol || [])
+  t.after(() => ws.close())
+  const closed = once(ws, 'close').then(([code, reason]) => ({ code, reason: reason.toString() }))
+  await once(ws, 'open')
+  return { ws, closed }
+}
+
+test('client path: the upstream URL templates get the clientId, mapped id, path and query', async (t) => {
+  const idMap = { 'SIM-URL': 'FR*ABC*E0001' }
+  const upstreamConfig = (csms) => ({
+    idMap,
+    url: csms.name === 'P' ? `${csms.url}ocpp/{id}?site={path}&{query}` : `${csms.url}mirror/`,
+  })
+  const { csms, proxy, url } = await setup(
+    t,
+    ['P', 'M'],
+    { proxy: { host: '127.0.0.1', port: 0, multiLevelPaths: true } },
+    upstreamConfig
+  )
+
+  await connectRaw(t, `${url}site-1/SIM-URL?vendor=acme`)
+  await waitUntil(() => connectionOf(proxy, 'SIM-URL').upstreams.every((upstream) => upstream.isConnected), 'Not connected')
+
+  assert.equal(csms.P.connectionLog[0].url, '/ocpp/FR*ABC*E0001?site=site-1/SIM-URL&vendor=acme')
+  // Without placeholders, the mapped id is appended to the URL
+  assert.equal(csms.M.connectionLog[0].url, '/mirror/FR*ABC*E0001')
+})
+
+test('client path: an empty query leaves no dangling separator, an unmapped clientId is used as is', async (t) => {
+  const upstreamConfig = (csms) => ({ url: `${csms.url}{clientId}?site={path}&{query}` })
+  const { csms, proxy, url } = await setup(t, ['CSMS'], {}, upstreamConfig)
+
+  const charger = await connectCharger(t, url, 'SIM-PLAIN')
+  await charger.bootNotification()
+
+  assert.equal(csms.CSMS.connectionLog[0].url, '/SIM-PLAIN?site=SIM-PLAIN')
+  assert.equal(connectionOf(proxy, 'SIM-PLAIN').clientId, 'SIM-PLAIN')
+})
+
+test('client path: invalid and multi-level paths are rejected without multiLevelPaths', async (t) => {
+  const { csms, url } = await setup(t)
+  const base = url.replace(/\/$/, '')
+
+  // Invalid paths are refused once connected, without negotiating a subprotocol
+  for (const path of ['/site-1/SIM-PATH', '//evil.example/SIM-PATH', '/SIM%20PATH', '/']) {
+    const { closed } = await connectRaw(t, `${base}${path}`, null)
+    assert.deepEqual(await closed, {
+      code: 1008,
+      reason: 'Invalid path: must be single-level alphanumeric, underscore, or hyphen',
+    })
+  }
+  const charger = await connectCharger(t, url, 'SIM-PATH')
+  await charger.bootNotification()
+
+  assert.deepEqual(
+    csms.CSMS.connectionLog.map((connection) => connection.url),
+    ['/SIM-PATH']
+  )
+})
+
+test('client path: with multiLevelPaths, the clientId is the last segment of a valid path', async (t) => {
+  const upstreamConfig = (csms) => ({ url: `${csms.url}{clientId}?site={path}` })
+  const { csms, proxy, url } = await setup(
+    t,
+    ['CSMS'],
+    { proxy: { host: '127.0.0.1', port: 0, multiLevelPaths: true } },
+    upstreamConfig
+  )
+  const base = url.replace(/\/$/, '')
+
+  // //evil.example/SIM-PATH is a path whose first segment is invalid, not the host evil.example
+  for (const path of ['/site-1/SIM-PATH%2F', '//evil.example/SIM-PATH']) {
+    const { closed } = await connectRaw(t, `${base}${path}`, null)
+    assert.deepEqual(await closed, {
+      code: 1008,
+      reason: 'Invalid path: must be alphanumeric, underscore, or hyphen segments',
+    })
+  }
+  await connectRaw(t, `${base}//site-1/SIM-MULTI`)
+  await waitUntil(() => upstreamOf(proxy, 'SIM-MULTI', 'CSMS').isConnected, 'CSMS not connected')
+
+  assert.deepEqual(
+    csms.CSMS.connectionLog.map((connection) => connection.url),
+    ['/SIM-MULTI?site=site-1/SIM-MULTI']
+  )
+})
@@ -0,0 +1,99 @@
+/**
+ * Configuration loader: OCPP_PROXY_* environment variable overrides and validation
+ */
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadConfig } = require('../src/config')
+const { temporaryDirectory } = require('./helpers')
+
+const BASE_CONFIG = {
+  proxy: { host: '0.0.0.0', port: 9000 },
+  upstreams: [{ name: 'CSMS', url: 'ws://csms.example.com/ocpp/', role: 'primary' }],
+}
+
+/**
+ * Write a configuration file and load it with environment variables
+ * @param {TestContext} t
+ * @param {object} env
+ * @param {object} [config]
+ * @returns {object} Loaded configuration
+ */
+function load(t, env, config = BASE_CONFIG) {
+  const configPath = path.join(temporaryDirectory(t), 'config.json')
+  fs.writeFileSync(configPath, JSON.stringify(config))
+  return loadConfig(configPath, env)
+}
+
+test('config: nested keys are separated by __ and matched case-insensitively', (t) => {
+  const config = load(t, {
+    OCPP_PROXY_LOGLEVEL: 'debug',
+    OCPP_PROXY_PROXY__PORT: '9100',
+    OCPP_PROXY_NOTIFY__CPSTATUSFAULTED: 'true',
+    OCPP_PROXY_NOTIFY__EMAIL__TRANSPORTER__AUTH__PASS: 'secret',
+    OTHER_PROXY__PORT: '1',
+  })
+
+  assert.equal(config.logLevel, 'debug')
+  assert.equal(config.proxy.port, 9100)
+  assert.equal(config.proxy.host, '0.0.0.0')
+  assert.equal(config.notify.cpStatusFaulted, true)
+  assert.deepEqual(config.notify.email, { transporter: { auth: { pass: 'secret' } } })
+})
+
+test('config: list items are given by their index, text keys are kept as is, other values parsed as JSON', (t) => {
+  const config = load(t, {
+    OCPP_PROXY_UPSTREAMS__0__URL: 'ws://other.example.com/ocpp/',
+    OCPP_PROXY_UPSTREAMS__1__NAME: 'MIRROR',
+    OCPP_PROXY_UPSTREAMS__1__URL: 'ws://mirror.example.com/',
+    OCPP_PROXY_UPSTREAMS__1__CALLTIMEOUT: '10',
+    OCPP_PROXY_ADMIN__TOKEN: '12345',
+    OCPP_PROXY_SECURITY__ALLOWLIST: '["CP001","CP002"]',
+  })
+
+  assert.deepEqual(config.upstreams, [
+    { name: 'CSMS', url: 'ws://other.example.com/ocpp/', role: 'primary' },
+    { name: 'MIRROR', url: 'ws://mirror.example.com/', callTimeout: 10, role: 'mirror' },
+  ])
+  assert.equal(config.admin.token, '12345')
+  assert.deepEqual(config.security.allowList, ['CP001', 'CP002'])
+})
+
+test('config: a whole list can be given as JSON', (t) => {
+  const config = load(t, { OCPP_PROXY_UPSTREAMS: '[{"name":"ENV","url":"ws://env.example.com/"}]' })
+
+  assert.deepEqual(config.upstreams, [{ name: 'ENV', url: 'ws://env.example.com/', role: 'primary' }])
+})
+
+test('config: with _FILE, the value is read from a file without its final newline', (t) => {
+  const directory = temporaryDirectory(t)
+  fs.writeFileSync(path.join(directory, 'smtp'), 'from-file\n')
+  fs.writeFileSync(path.join(directory, 'port'), '9200')
+
+  const config = load(t, {
+    OCPP_PROXY_NOTIFY__EMAIL__TRANSPORTER__AUTH__PASS_FILE: path.join(directory, 'smtp'),
+    OCPP_PROXY_PROXY__PORT_FILE: path.join(directory, 'port'),
+  })
+
+  assert.equal(config.notify.email.transporter.auth.pass, 'from-file')
+  assert.equal(config.proxy.port, 9200)
+})
+
+test('config: invalid overrides are reported with the variable or the key', (t) => {
+  const missing = path.join(temporaryDirectory(t), 'missing')
+
+  assert.throws(
+    () => load(t, { OCPP_PROXY_ADMIN__TOKEN_FILE: missing }),
+    /^Error: Failed to read OCPP_PROXY_ADMIN__TOKEN_FILE: /
+  )
+  assert.throws(
+    () => load(t, { OCPP_PROXY_UPSTREAMS__FIRST__URL: 'ws://csms/' }),
+    /Invalid environment variable OCPP_PROXY_UPSTREAMS__FIRST__URL: upstreams is a list, FIRST is not an index/
+  )
+  assert.throws(
+    () => load(t, { OCPP_PROXY_PROXY__PORT: 'http' }),
+    /^Error: Invalid configuration: proxy.port must be integer$/
+  )
+})
@@ -0,0 +1,231 @@
+/**
+ * Digest reports: schedule of the reports (local time), rendering and collection of the statistics
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const Digest = require('../src/digest')
+const ChargerStats = require('../src/charger-stats')
+const { DIGEST, setup, connectCharger, waitUntil } = require('./helpers')
+
+// Monday 13 May 2024
+const MONDAY = [2024, 4, 13]
+
+/**
+ * Local date of the week of MONDAY
+ * @param {number} dayOffset - Days after MONDAY
+ * @param {number} hours
+ * @param {number} [minutes]
+ * @returns {Date}
+ */
+function localDate(dayOffset, hours, minutes = 0) {
+  const [year, month, day] = MONDAY
+  return new Date(year, month, day + dayOffset, hours, minutes)
+}
+
+test('digest: a daily report runs every day at digest.time', () => {
+  const daily = new Digest({ schedule: 'daily' }, null, null)
+  const evening = new Digest({ schedule: 'daily', time: '18:30' }, null, null)
+
+  assert.deepEqual(daily.nextRun(localDate(0, 7, 59)), localDate(0, 8))
+  assert.deepEqual(daily.nextRun(localDate(0, 8)), localDate(1, 8))
+  assert.deepEqual(daily.nextRun(localDate(6, 23, 59)), localDate(7, 8))
+  assert.deepEqual(evening.nextRun(localDate(0, 8)), localDate(0, 18, 30))
+  assert.deepEqual(evening.nextRun(localDate(0, 18, 31)), localDate(1, 18, 30))
+})
+
+test('digest: a weekly report runs on digest.day, monday by default', () => {
+  const monday = new Digest({ schedule: 'weekly' }, null, null)
+  const friday = new Digest({ schedule: 'weekly', day: 'friday', time: '17:00' }, null, null)
+
+  assert.deepEqual(monday.nextRun(localDate(0, 7)), localDate(0, 8))
+  assert.deepEqual(monday.nextRun(localDate(0, 8)), localDate(7, 8))
+  assert.deepEqual(monday.nextRun(localDate(2, 12)), localDate(7, 8))
+  assert.deepEqual(friday.nextRun(localDate(0, 8)), localDate(4, 17))
+  assert.deepEqual(friday.nextRun(localDate(4, 17)), localDate(11, 17))
+  assert.deepEqual(friday.nextRun(localDate(5, 9)), localDate(11, 17))
+})
+
+test('digest: each report is sent at its time, then the next one is scheduled on a new period', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: localDate(0, 7).getTime() })
+  const resets = []
+  const stats = {
+    report: (now) => ({ start: localDate(-1, 8).getTime(), end: now, chargers: [] }),
+    reset: (now) => resets.push(now),
+  }
+  const digest = new Digest({ schedule: 'daily' }, null, stats)
+  const sent = []
+  digest.mailer = {
+    send: async (title, text, data, options) => {
+      sent.push({ title, html: options.html })
+      return {}
+    },
+  }
+  t.after(() => digest.stop())
+
+  digest.start()
+  t.mock.timers.tick(3599999)
+  assert.equal(sent.length, 0)
+  t.mock.timers.tick(1)
+  assert.deepEqual(sent, [
+    {
+      title: 'OCPP proxy daily report: 2024-05-12 08:00 - 2024-05-13 08:00',
+      html: '<h2>OCPP proxy daily report: 2024-05-12 08:00 - 2024-05-13 08:00</h2>\n<p>No charger activity during the period.</p>',
+    },
+  ])
+  assert.deepEqual(resets, [localDate(0, 8).getTime()])
+
+  // Scheduled once the report is sent
+  await new Promise((resolve) => setImmediate(resolve))
+  t.mock.timers.tick(24 * 3600 * 1000)
+  assert.equal(sent.length, 2)
+  assert.deepEqual(resets, [localDate(0, 8).getTime(), localDate(1, 8).getTime()])
+})
+
+test('digest: without email settings, no report is scheduled', () => {
+  const digest = new Digest({ schedule: 'daily' }, null, null)
+
+  digest.start()
+
+  assert.equal(digest.mailer, null)
+  assert.equal(digest.timer, null)
+})
+
+test('digest: the report has a block per charger and a table row per charger, with the totals', () => {
+  const names = { CP001: 'Parking <Nord>' }
+  const digest = new Digest({ schedule: 'weekly' }, null, null, (clientId) => names[clientId])
+  const hour = 3600 * 1000
+  const report = {
+    start: localDate(0, 8).getTime(),
+    end: localDate(7, 8).getTime(),
+    chargers: [
+      {
+        clientId: 'CP001',
+        sessions: 12,
+        energy: 84250,
+        uptime: 168 * hour - 90 * 60 * 1000,
+        faulted: 26 * hour + 5 * 60 * 1000,
+        unavailable: 0,
+        upstreamDisconnections: 2,
+        errorCodes: [
+          { code: 'GroundFailure', count: 3 },
+          { code: 'OverVoltage', count: 1 },
+        ],
+      },
+      {
+        clientId: 'CP002',
+        sessions: 0,
+        energy: 0,
+        uptime: 0,
+        faulted: 0,
+        unavailable: 40 * 1000,
+        upstreamDisconnections: 0,
+        errorCodes: [],
+      },
+    ],
+  }
+
+  const { title, text, html } = digest.render(report)
+
+  assert.equal(title, 'OCPP proxy weekly report: 2024-05-13 08:00 - 2024-05-20 08:00')
+  assert.equal(
+    text,
+    [
+      title,
+      [
+        'Charger: Parking <Nord>',
+        'Sessions: 12',
+        'Energy (kWh): 84.3',
+        'Uptime: 99.1% (6d 22h 30m)',
+        'Faulted: 1d 2h 5m',
+        'Unavailable: 0m',
+        'Upstream disconnections: 2',
+        'Top error codes: GroundFailure (3), OverVoltage (1)',
+      ].join('\n'),
+      [
+        'Charger: CP002',
+        'Sessions: 0',
+        'Energy (kWh): 0.0',
+        'Uptime: 0.0% (0m)',
+        'Faulted: 0m',
+        'Unavailable: 1m',
+        'Upstream disconnections: 0',
+      ].join('\n'),
+      ['Charger: Total', 'Sessions: 12', 'Energy (kWh): 84.3', 'Upstream disconnections: 2'].join('\n'),
+    ].join('\n\n')
+  )
+  const rows = html.match(/<tr>.*<\/tr>/g)
+  assert.equal(rows.length, 4)
+  assert.match(rows[1], /<td[^>]*>Parking &lt;Nord&gt;<\/td>/)
+  assert.match(rows[3], /^<tr><th[^>]*>Total<\/th><th[^>]*>12<\/th><th[^>]*>84.3<\/th>/)
+})
+
+test('digest: a period without activity is reported as such', () => {
+  const digest = new Digest({}, null, null)
+
+  const { title, text } = digest.render({ start: localDate(0, 8).getTime(), end: localDate(1, 8).getTime(), chargers: [] })
+
+  assert.equal(text, `${title}\n\nNo charger activity during the period.`)
+})
+
+test('digest: the statistics are only collected while the reports can be sent', async (t) => {
+  const { proxy, url } = await setup(t)
+  const first = await connectCharger(t, url, 'SIM-DIGEST-001')
+  await first.statusNotification(1, 'Faulted', 'GroundFailure')
+  assert.equal(proxy.stats, null)
+
+  // Without email settings, the reports are never sent
+  proxy.reload({ ...proxy.config, digest: { enabled: true } })
+  assert.equal(proxy.stats, null)
+
+  // The chargers already connected are up from the reload on
+  proxy.reload({ ...proxy.config, digest: DIGEST })
+  const second = await connectCharger(t, url, 'SIM-DIGEST-002')
+  await second.statusNotification(1, 'Faulted', 'OverVoltage')
+  const report = proxy.stats.report()
+  assert.deepEqual(
+    report.chargers.map(({ clientId, errorCodes }) => [clientId, errorCodes]),
+    [
+      ['SIM-DIGEST-001', []],
+      ['SIM-DIGEST-002', [{ code: 'OverVoltage', count: 1 }]],
+    ]
+  )
+
+  proxy.reload({ ...proxy.config, digest: { ...DIGEST, enabled: false } })
+  assert.equal(proxy.stats, null)
+  // Nothing to record on the disconnection
+  await first.close()
+  await waitUntil(() => proxy.clientConnections.size === 1, 'the first charger is gone')
+})
+
+test('digest: the error codes, transactions and statuses kept per charger are bounded', () => {
+  const stats = new ChargerStats(0)
+  stats.connected('CP001', 0)
+  for (let index = 0; index < 60; index++) {
+    stats.callFromClient('CP001', 'ocpp1.6', 'StatusNotification', {
+      connectorId: 1,
+      status: 'Faulted',
+      errorCode: `Code${index}`,
+    })
+  }
+  for (let index = 0; index < 150; index++) {
+    stats.callFromClient('CP001', 'ocpp1.6', 'StatusNotification', { connectorId: index, status: 'Available' })
+  }
+  for (let index = 0; index < 30; index++) {
+    stats.callFromClient('CP001', 'ocpp2.0.1', 'TransactionEvent', {
+      eventType: 'Started',
+      evse: { id: 1 },
+      transactionInfo: { transactionId: `TX-${index}` },
+    })
+  }
+
+  const record = stats.chargers.get('CP001')
+  assert.equal(record.errorCodes.size, 51)
+  assert.equal(record.errorCodes.get('(other)'), 10)
+  assert.equal(record.statuses.size, 100)
+  assert.equal(record.transactions.size, 20)
+  // The oldest transactions are forgotten
+  assert.equal(record.transactions.has('tx:TX-9'), false)
+  assert.equal(record.transactions.has('tx:TX-10'), true)
+  assert.equal(stats.report(0).chargers[0].sessions, 30)
+})
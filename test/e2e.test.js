@@ -0,0 +1,163 @@
+/**
+ * End-to-end scenarios: charger simulator → proxy → mock CSMS(s)
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  setup,
+  connectCharger,
+  receivedCalls,
+  waitForNotifications,
+  waitForFrame,
+  waitForConnection,
+  waitForClose,
+} = require('./helpers')
+
+test('boot: the CSMS answers the charger through the proxy', async (t) => {
+  const { csms, url, notifications } = await setup(t)
+  const charger = await connectCharger(t, url, 'SIM-BOOT')
+
+  const boot = await charger.bootNotification()
+  const heartbeat = await charger.heartbeat()
+
+  assert.equal(boot.status, 'Accepted')
+  assert.equal(boot.interval, 300)
+  assert.ok(heartbeat.currentTime)
+  assert.deepEqual(receivedCalls(csms.CSMS, 'SIM-BOOT'), ['BootNotification', 'Heartbeat'])
+  assert.equal(csms.CSMS.connectionLog[0].protocol, 'ocpp1.6')
+  await waitForNotifications(notifications, ['Client connected: SIM-BOOT', 'Connected to upstream: CSMS'])
+})
+
+test('status changes: StatusNotifications are relayed and alerted', async (t) => {
+  const { csms, url, notifications } = await setup(t)
+  const charger = await connectCharger(t, url, 'SIM-STATUS')
+  await charger.bootNotification()
+
+  await charger.statusNotification(0, 'Faulted', 'GroundFailure')
+  await charger.statusNotification(1, 'Charging')
+  await charger.statusNotification(1, 'Available')
+
+  const statuses = csms.CSMS.received
+    .filter((entry) => entry.frame[2] === 'StatusNotification')
+    .map((entry) => [entry.frame[3].connectorId, entry.frame[3].status])
+  assert.deepEqual(statuses, [
+    [0, 'Faulted'],
+    [1, 'Charging'],
+    [1, 'Available'],
+  ])
+  await waitForNotifications(notifications, [
+    '[SIM-STATUS] ChargePoint is now Faulted',
+    '[SIM-STATUS] Connector #1 is now Charging',
+  ])
+  const faulted = notifications.find((notification) => notification.title.includes('Faulted'))
+  assert.match(faulted.message, /Error Code: GroundFailure/)
+  assert.equal(faulted.event.type, 'cpStatusFaulted')
+  assert.equal(faulted.event.clientId, 'SIM-STATUS')
+  assert.equal(faulted.event.connectorId, 0)
+  assert.equal(faulted.event.errorCode, 'GroundFailure')
+  assert.equal(faulted.event.payload.status, 'Faulted')
+  // conStatusAvailable is not enabled
+  assert.ok(!notifications.some((notification) => notification.title.includes('Available')))
+})
+
+test('transaction: start, meter values, remote stop and stop', async (t) => {
+  const { csms, url, notifications } = await setup(t)
+  const charger = await connectCharger(t, url, 'SIM-TX')
+  await charger.bootNotification()
+
+  const authorize = await charger.authorize('04A2B3C4D5')
+  const start = await charger.startTransaction(1, '04A2B3C4D5', 1000)
+  await charger.meterValues(1, start.transactionId, 1500)
+  const remoteStop = await csms.CSMS.call('SIM-TX', 'RemoteStopTransaction', { transactionId: start.transactionId })
+  await charger.stopTransaction(start.transactionId, 2000, 'Remote')
+
+  assert.equal(authorize.idTagInfo.status, 'Accepted')
+  assert.equal(start.transactionId, 1)
+  assert.equal(remoteStop[0], 3)
+  assert.deepEqual(remoteStop[2], { status: 'Accepted' })
+  assert.ok(charger.received.some((frame) => frame[0] === 2 && frame[2] === 'RemoteStopTransaction'))
+  assert.deepEqual(receivedCalls(csms.CSMS, 'SIM-TX'), [
+    'BootNotification',
+    'Authorize',
+    'StartTransaction',
+    'MeterValues',
+    'StopTransaction',
+  ])
+  const stop = csms.CSMS.received.find((entry) => entry.frame[2] === 'StopTransaction')
+  assert.equal(stop.frame[3].transactionId, 1)
+  await waitForNotifications(notifications, ['[SIM-TX] Transaction Started'])
+  // An OCPP 1.6 StopTransaction carries no connectorId, it raises no alert
+  assert.ok(!notifications.some((notification) => notification.title === '[SIM-TX] Transaction Stopped'))
+})
+
+test('upstream drop: the mirror reconnects while the charger stays connected', { timeout: 30000 }, async (t) => {
+  const { csms, url, notifications } = await setup(t, ['CSMS', 'MIRROR'])
+  const charger = await connectCharger(t, url, 'SIM-DROP')
+  await charger.bootNotification()
+  await waitForFrame(csms.MIRROR, (entry) => entry.frame[2] === 'BootNotification')
+
+  csms.MIRROR.dropConnections()
+  await waitForNotifications(notifications, ['Disconnected from upstream: MIRROR'])
+  await charger.heartbeat()
+  await waitForConnection(csms.MIRROR, 'SIM-DROP', 2, 20000)
+  await charger.statusNotification(1, 'Available')
+
+  assert.equal(charger.closed, null)
+  assert.deepEqual(receivedCalls(csms.CSMS, 'SIM-DROP'), ['BootNotification', 'Heartbeat', 'StatusNotification'])
+  // The Heartbeat sent while the mirror was down is lost for it (it is not a queued action)
+  await waitForFrame(csms.MIRROR, (entry) => entry.frame[2] === 'StatusNotification')
+  assert.deepEqual(receivedCalls(csms.MIRROR, 'SIM-DROP'), ['BootNotification', 'StatusNotification'])
+  const upstreamNotifications = notifications.filter((notification) => notification.title.includes('MIRROR'))
+  assert.deepEqual(
+    upstreamNotifications.map((notification) => notification.title),
+    ['Connected to upstream: MIRROR', 'Disconnected from upstream: MIRROR', 'Connected to upstream: MIRROR']
+  )
+})
+
+test('upstream drop: the charger is disconnected when no upstream is left', async (t) => {
+  const { csms, proxy, url, notifications } = await setup(t)
+  const charger = await connectCharger(t, url, 'SIM-LOST')
+  await charger.bootNotification()
+
+  csms.CSMS.dropConnections()
+  const closed = await waitForClose(charger)
+
+  assert.equal(closed.code, 1001)
+  assert.equal(closed.reason, 'All upstream servers unavailable')
+  assert.equal(proxy.clientConnections.size, 0)
+  await waitForNotifications(notifications, ['Disconnected from upstream: CSMS', 'Client disconnected: SIM-LOST'])
+})
+
+test('duplicate clientId: the new connection takes over', async (t) => {
+  const { csms, proxy, url, notifications } = await setup(t)
+  const first = await connectCharger(t, url, 'SIM-DUP')
+  await first.bootNotification()
+
+  const second = await connectCharger(t, url, 'SIM-DUP')
+  const closed = await waitForClose(first)
+  const boot = await second.bootNotification()
+
+  assert.equal(closed.code, 1001)
+  assert.equal(closed.reason, 'Replaced by a new connection')
+  assert.equal(boot.status, 'Accepted')
+  await waitForConnection(csms.CSMS, 'SIM-DUP', 2)
+  assert.equal(proxy.clientConnections.size, 1)
+  assert.deepEqual(receivedCalls(csms.CSMS, 'SIM-DUP'), ['BootNotification', 'BootNotification'])
+  const connected = notifications.filter((notification) => notification.title === 'Client connected: SIM-DUP')
+  assert.equal(connected.length, 2)
+})
+
+test('buffering: CALLs sent before the upstream is connected are delivered once it is', async (t) => {
+  const { csms, url } = await setup(t)
+  csms.CSMS.connectDelay = 500
+  const charger = await connectCharger(t, url, 'SIM-BUFFER')
+
+  const boot = charger.bootNotification()
+  const status = charger.statusNotification(1, 'Available')
+  assert.equal(csms.CSMS.connectionLog.length, 0, 'the upstream must not be connected yet')
+
+  assert.equal((await boot).status, 'Accepted')
+  await status
+  assert.deepEqual(receivedCalls(csms.CSMS, 'SIM-BUFFER'), ['BootNotification', 'StatusNotification'])
+})
@@ -0,0 +1,58 @@
+/**
+ * Failover scenarios: a mirror answers the chargers while the primary upstream is down
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  setup,
+  connectCharger,
+  receivedCalls,
+  waitUntil,
+  waitForNotifications,
+  connectionOf,
+  dropUpstream,
+  reconnectUpstream,
+  waitForFrame,
+} = require('./helpers')
+
+const notify = { upstreamFailover: true, upstreamFailback: true }
+
+test('failover: the mirror answers while the primary is down, the primary takes over when it is back', async (t) => {
+  const { csms, proxy, url, notifications } = await setup(t, ['P', 'M'], { failover: true, notify })
+  csms.M.nextTransactionId = 100
+  const charger = await connectCharger(t, url, 'SIM-FAILOVER')
+  await charger.bootNotification()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'BootNotification')
+
+  await dropUpstream(proxy, csms.P, 'SIM-FAILOVER')
+  await waitForNotifications(notifications, ['[SIM-FAILOVER] Failover to upstream: M'])
+  const duringFailover = await charger.startTransaction(1, 'TAG', 1000)
+
+  await reconnectUpstream(proxy, csms.P, 'SIM-FAILOVER')
+  await waitForNotifications(notifications, ['[SIM-FAILOVER] Failback to primary upstream: P'])
+  const afterFailback = await charger.startTransaction(2, 'TAG', 2000)
+
+  assert.equal(duringFailover.transactionId, 100)
+  assert.equal(afterFailback.transactionId, 1)
+  assert.equal(connectionOf(proxy, 'SIM-FAILOVER').responder, 'P')
+  assert.deepEqual(receivedCalls(csms.P, 'SIM-FAILOVER'), ['BootNotification', 'StartTransaction'])
+  assert.deepEqual(receivedCalls(csms.M, 'SIM-FAILOVER'), ['BootNotification', 'StartTransaction', 'StartTransaction'])
+  const failover = notifications.find((notification) => notification.event.type === 'upstreamFailover')
+  assert.equal(failover.event.from, 'P')
+  assert.equal(failover.event.upstream, 'M')
+})
+
+test('failover: without failover, the mirror responses are not relayed while the primary is down', async (t) => {
+  const { csms, proxy, url } = await setup(t, ['P', 'M'], {}, { callTimeout: 1 })
+  const charger = await connectCharger(t, url, 'SIM-NO-FAILOVER')
+  await charger.bootNotification()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'BootNotification')
+
+  await dropUpstream(proxy, csms.P, 'SIM-NO-FAILOVER')
+  await assert.rejects(charger.heartbeat(), { errorCode: 'InternalError' })
+
+  assert.equal(connectionOf(proxy, 'SIM-NO-FAILOVER').responder, 'P')
+  await waitUntil(() => receivedCalls(csms.M, 'SIM-NO-FAILOVER').includes('Heartbeat'), 'Heartbeat not sent to M')
+  assert.equal(charger.received.filter((frame) => frame[0] === 3).length, 1, 'only the boot is answered')
+})
@@ -0,0 +1,243 @@
+/**
+ * Helpers of the end-to-end scenarios: charger simulator → proxy → mock CSMS(s)
+ */
+
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const assert = require('node:assert/strict')
+const { once } = require('node:events')
+const OcppProxy = require('../src/proxy')
+const ChargerSimulator = require('../src/charger-simulator')
+const MockCsms = require('../src/mock-csms')
+const { setLogLevel } = require('../src/logger')
+
+setLogLevel(process.env.LOG_LEVEL || 'error')
+
+// Notifications enabled in the scenarios
+const NOTIFY_EVENTS = [
+  'connectedToProxy',
+  'disconnectedFromProxy',
+  'connectedToUpstream',
+  'disconnectedFromUpstream',
+  'cpStatusFaulted',
+  'conStatusCharging',
+  'conStartTransaction',
+  'conStopTransaction',
+]
+
+// Digest reports with an email transport that only renders the messages
+const DIGEST = {
+  enabled: true,
+  email: { from: 'proxy@example.com', to: 'ops@example.com', transporter: { jsonTransport: true } },
+}
+
+/**
+ * Start mock CSMSs and a proxy whose upstreams they are, the first one being the primary
+ * @param {TestContext} t
+ * @param {Array<string>} [names] - Upstream names
+ * @param {object} [config] - Proxy settings added to the default ones
+ * @param {object|function} [upstreamConfig] - Settings added to every upstream, or (csms) => settings of its upstream
+ * @returns {Promise<object>} { csms: { name: MockCsms }, proxy, url, notifications }
+ */
+async function setup(t, names = ['CSMS'], config = {}, upstreamConfig = {}) {
+  const csms = {}
+  for (const name of names) {
+    csms[name] = new MockCsms({ name })
+    await csms[name].start()
+  }
+
+  const proxy = new OcppProxy({
+    proxy: { host: '127.0.0.1', port: 0 },
+    upstreams: names.map((name, index) => ({
+      name,
+      url: csms[name].url,
+      role: index === 0 ? 'primary' : 'mirror',
+      ...(typeof upstreamConfig === 'function' ? upstreamConfig(csms[name]) : upstreamConfig),
+    })),
+    notify: Object.fromEntries(NOTIFY_EVENTS.map((event) => [event, true])),
+    ...config,
+  })
+  proxy.start()
+  await once(proxy.server, 'listening')
+
+  // Record the notifications, rendered with the default templates, instead of delivering them
+  const notifications = []
+  proxy.notifier.send = async (event) => {
+    const { title, text } = proxy.notifier.render(event)
+    notifications.push({ title, message: text, event })
+  }
+
+  t.after(async () => {
+    proxy.stop()
+    await Promise.all(Object.values(csms).map((server) => server.stop()))
+  })
+  return { csms, proxy, url: `ws://127.0.0.1:${proxy.server.address().port}/`, notifications }
+}
+
+/**
+ * Connect a simulated charger, closed at the end of the test
+ * @param {TestContext} t
+ * @param {string} url
+ * @param {string} clientId
+ * @param {object} [options] - Other ChargerSimulator options (protocol, password)
+ * @returns {Promise<ChargerSimulator>}
+ */
+async function connectCharger(t, url, clientId, options = {}) {
+  const charger = new ChargerSimulator({ url, clientId, ...options })
+  t.after(() => charger.close())
+  await charger.connect()
+  return charger
+}
+
+/**
+ * Actions of the CALLs a mock CSMS received from a charger
+ * @param {MockCsms} csms
+ * @param {string} clientId
+ * @returns {Array<string>}
+ */
+function receivedCalls(csms, clientId) {
+  return csms.received.filter((entry) => entry.clientId === clientId && entry.frame[0] === 2).map((entry) => entry.frame[2])
+}
+
+/**
+ * Wait until a condition is met, checked every 50 ms
+ * @param {function} check - () => value, falsy while the condition is not met
+ * @param {string} description - Assertion message on timeout
+ * @param {number} [timeout] - ms
+ * @returns {Promise<*>} Value of the condition
+ */
+async function waitUntil(check, description, timeout = 10000) {
+  const deadline = Date.now() + timeout
+  let value
+  while (!(value = check())) {
+    assert.ok(Date.now() < deadline, description)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+  }
+  return value
+}
+
+/**
+ * Wait for a frame received by a mock CSMS or a charger, including the ones already received
+ * @param {MockCsms|ChargerSimulator} peer
+ * @param {function} predicate - ({ clientId, frame }) => boolean for a mock CSMS, (frame) => boolean for a charger
+ * @returns {Promise<*>} Matching entry
+ */
+function waitForFrame(peer, predicate) {
+  return waitUntil(() => peer.received.find(predicate), `Frame not received by ${peer.name || peer.clientId}`)
+}
+
+/**
+ * Wait for the count-th connection of the proxy to a mock CSMS on behalf of a charger (1 for the first one)
+ * @param {MockCsms} csms
+ * @param {string} clientId
+ * @param {number} [count]
+ * @param {number} [timeout] - ms
+ * @returns {Promise<object>} { clientId, url, protocol, headers } of the connection
+ */
+function waitForConnection(csms, clientId, count = 1, timeout) {
+  return waitUntil(
+    () => csms.connectionLog.filter((connection) => connection.clientId === clientId)[count - 1],
+    `Connection ${count} of ${clientId} not received by ${csms.name}`,
+    timeout
+  )
+}
+
+/**
+ * Wait for the connection of a charger to be closed
+ * @param {ChargerSimulator} charger
+ * @returns {Promise<object>} { code, reason }
+ */
+function waitForClose(charger) {
+  return waitUntil(() => charger.closed, `Connection of ${charger.clientId} not closed`)
+}
+
+/**
+ * Wait for notifications to be sent (they are sent asynchronously)
+ * @param {Array<object>} notifications
+ * @param {Array<string>} titles
+ * @returns {Promise}
+ */
+function waitForNotifications(notifications, titles) {
+  return waitUntil(
+    () => titles.every((title) => notifications.some((notification) => notification.title === title)),
+    `Notifications not sent: ${titles.join(', ')}`
+  )
+}
+
+/**
+ * Connection state of a charger in the proxy
+ * @param {OcppProxy} proxy
+ * @param {string} clientId
+ * @returns {object|undefined}
+ */
+function connectionOf(proxy, clientId) {
+  return [...proxy.clientConnections.values()].find((connectionInfo) => connectionInfo.clientId === clientId)
+}
+
+/**
+ * Upstream connection of a charger in the proxy
+ * @param {OcppProxy} proxy
+ * @param {string} clientId
+ * @param {string} name
+ * @returns {UpstreamConnection}
+ */
+function upstreamOf(proxy, clientId, name) {
+  return connectionOf(proxy, clientId).upstreams.find((upstream) => upstream.name === name)
+}
+
+/**
+ * Take an upstream of a charger down: its CSMS drops the connection and refuses the reconnections
+ * until reconnectUpstream()
+ * @param {OcppProxy} proxy
+ * @param {MockCsms} csms
+ * @param {string} clientId
+ * @returns {Promise}
+ */
+function dropUpstream(proxy, csms, clientId) {
+  csms.refuseConnections = true
+  csms.dropConnections()
+  return waitUntil(() => upstreamOf(proxy, clientId, csms.name).isDown(), `${csms.name} still connected`)
+}
+
+/**
+ * Bring an upstream taken down by dropUpstream() back, without waiting for the reconnection backoff
+ * @param {OcppProxy} proxy
+ * @param {MockCsms} csms
+ * @param {string} clientId
+ * @returns {Promise}
+ */
+function reconnectUpstream(proxy, csms, clientId) {
+  csms.refuseConnections = false
+  const upstream = upstreamOf(proxy, clientId, csms.name)
+  upstream.reconnect()
+  return waitUntil(() => upstream.isConnected, `${csms.name} not reconnected`)
+}
+
+/**
+ * Temporary directory, removed at the end of the test
+ * @param {TestContext} t
+ * @returns {string}
+ */
+function temporaryDirectory(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ocpp-proxy-'))
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }))
+  return directory
+}
+
+module.exports = {
+  DIGEST,
+  setup,
+  connectCharger,
+  receivedCalls,
+  waitUntil,
+  waitForFrame,
+  waitForConnection,
+  waitForClose,
+  waitForNotifications,
+  connectionOf,
+  upstreamOf,
+  dropUpstream,
+  reconnectUpstream,
+  temporaryDirectory,
+}
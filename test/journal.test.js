@@ -0,0 +1,109 @@
+/**
+ * Traffic journal scenarios: frames recorded per charger, redaction, rotation by size and retention
+ */
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const Journal = require('../src/journal')
+const { setup, connectCharger, waitUntil, temporaryDirectory } = require('./helpers')
+
+/**
+ * Wait for the journal of a charger to hold a number of entries (the files are written asynchronously)
+ * @param {string} directory - Journal directory
+ * @param {string} clientId
+ * @param {number} count
+ * @returns {Promise<Array<object>>} Entries
+ */
+function waitForEntries(directory, clientId, count) {
+  return waitUntil(() => {
+    const entries = Journal.load([path.join(directory, clientId)])
+    return entries.length >= count && entries
+  }, `Journal of ${clientId} has less than ${count} entries`)
+}
+
+test('journal: the frames of both directions are recorded, the secrets redacted', async (t) => {
+  const directory = temporaryDirectory(t)
+  const { csms, url } = await setup(t, ['CSMS'], { journal: { enabled: true, directory, redact: true } })
+  const charger = await connectCharger(t, url, 'SIM-JOURNAL', { password: 's3cr3t' })
+  await charger.authorize('04A2B3C4D5')
+  await csms.CSMS.call('SIM-JOURNAL', 'ChangeConfiguration', { key: 'AuthorizationKey', value: '0123456789abcdef' })
+
+  const entries = await waitForEntries(directory, 'SIM-JOURNAL', 5)
+
+  assert.deepEqual(
+    entries.map(({ direction, upstream, relayed }) => [direction, upstream, relayed]),
+    [
+      ['connection', undefined, undefined],
+      ['from_client', null, true],
+      ['from_upstream', 'CSMS', true],
+      ['from_upstream', 'CSMS', true],
+      ['from_client', 'CSMS', true],
+    ]
+  )
+  const [connection, authorize, , changeConfiguration] = entries
+  assert.equal(connection.protocol, 'ocpp1.6')
+  assert.equal(connection.path, '/SIM-JOURNAL')
+  assert.equal(connection.headers.authorization, '[redacted]')
+  assert.deepEqual(authorize.frame[3], { idTag: '[redacted]' })
+  assert.deepEqual(changeConfiguration.frame[3], { key: 'AuthorizationKey', value: '[redacted]' })
+})
+
+test('journal: without redact, the frames are recorded as received', async (t) => {
+  const directory = temporaryDirectory(t)
+  const { url } = await setup(t, ['CSMS'], { journal: { enabled: true, directory } })
+  const charger = await connectCharger(t, url, 'SIM-JOURNAL-RAW')
+  await charger.authorize('04A2B3C4D5')
+
+  const entries = await waitForEntries(directory, 'SIM-JOURNAL-RAW', 3)
+
+  assert.deepEqual(entries[1].frame[3], { idTag: '04A2B3C4D5' })
+})
+
+test('journal: a full file continues in the next part, the parts are loaded in order', async (t) => {
+  const directory = temporaryDirectory(t)
+  // About 500 bytes, a few lines per file
+  const { url } = await setup(t, ['CSMS'], { journal: { enabled: true, directory, maxSize: 0.0005 } })
+  const charger = await connectCharger(t, url, 'SIM-JOURNAL-ROTATE')
+  for (let index = 0; index < 5; index++) {
+    await charger.heartbeat()
+  }
+
+  const entries = await waitForEntries(directory, 'SIM-JOURNAL-ROTATE', 11)
+
+  const date = entries[0].timestamp.slice(0, 10)
+  const names = fs.readdirSync(path.join(directory, 'SIM-JOURNAL-ROTATE'))
+  assert.ok(names.includes(`${date}.jsonl`))
+  assert.ok(names.includes(`${date}.1.jsonl`))
+  assert.ok(names.includes(`${date}.2.jsonl`))
+  // A file is only full once it reached maxSize: its last line is the one that crossed it
+  for (const name of names) {
+    const lines = fs.readFileSync(path.join(directory, 'SIM-JOURNAL-ROTATE', name), 'utf8').split(/(?<=\n)/)
+    const beforeLast = lines.slice(0, -1).reduce((size, line) => size + Buffer.byteLength(line), 0)
+    assert.ok(beforeLast < 0.0005 * 1024 * 1024, `${name} continued after it was full`)
+  }
+  assert.deepEqual(
+    entries.slice(1).map((entry) => entry.frame[0]),
+    [2, 3, 2, 3, 2, 3, 2, 3, 2, 3]
+  )
+})
+
+test('journal: the files older than the retention period are deleted', async (t) => {
+  const directory = temporaryDirectory(t)
+  const old = path.join(directory, 'SIM-JOURNAL-OLD', '2020-01-01.jsonl')
+  const recent = path.join(directory, 'SIM-JOURNAL-OLD', '2020-01-02.jsonl')
+  fs.mkdirSync(path.dirname(old))
+  fs.writeFileSync(old, '')
+  fs.writeFileSync(recent, '')
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 3600 * 1000)
+  fs.utimesSync(old, daysAgo(31), daysAgo(31))
+  fs.utimesSync(recent, daysAgo(29), daysAgo(29))
+  const { url } = await setup(t, ['CSMS'], { journal: { enabled: true, directory, retention: 30 } })
+
+  await connectCharger(t, url, 'SIM-JOURNAL-NEW')
+  await waitForEntries(directory, 'SIM-JOURNAL-NEW', 1)
+
+  assert.equal(fs.existsSync(old), false)
+  assert.equal(fs.existsSync(recent), true)
+})
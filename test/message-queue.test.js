@@ -0,0 +1,237 @@
+/**
+ * Message queue scenarios: CALLs missed by an upstream, replayed in order when it is back
+ */
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const MessageQueue = require('../src/message-queue')
+const {
+  setup,
+  connectCharger,
+  receivedCalls,
+  waitUntil,
+  connectionOf,
+  dropUpstream,
+  reconnectUpstream,
+  temporaryDirectory,
+  waitForFrame,
+} = require('./helpers')
+
+/**
+ * Answer the CALLs of an action after a delay
+ * @param {MockCsms} csms
+ * @param {string} action
+ * @param {number} delay - ms
+ */
+function answerSlowly(csms, action, delay) {
+  const handler = csms.handlers.get(action)
+  csms.handle(action, (payload, clientId) => {
+    return new Promise((resolve) => setTimeout(() => resolve(handler(payload, clientId)), delay))
+  })
+}
+
+test('queue: a CALL answered by a timeout CALLERROR is not replayed to the responding upstream', async (t) => {
+  const messageQueue = { enabled: true, directory: temporaryDirectory(t) }
+  const { csms, proxy, url } = await setup(t, ['P', 'M'], { messageQueue }, { callTimeout: 1 })
+  const charger = await connectCharger(t, url, 'SIM-Q-TIMEOUT')
+  await charger.bootNotification()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'BootNotification')
+  await dropUpstream(proxy, csms.P, 'SIM-Q-TIMEOUT')
+
+  await assert.rejects(charger.startTransaction(1, 'TAG', 1000), { errorCode: 'InternalError' })
+  await reconnectUpstream(proxy, csms.P, 'SIM-Q-TIMEOUT')
+  await charger.heartbeat()
+
+  // The charger retries the StartTransaction on its own, the CSMS must not get it twice
+  assert.deepEqual(receivedCalls(csms.P, 'SIM-Q-TIMEOUT'), ['BootNotification', 'Heartbeat'])
+  assert.deepEqual(receivedCalls(csms.M, 'SIM-Q-TIMEOUT'), ['BootNotification', 'StartTransaction', 'Heartbeat'])
+  const connectionInfo = connectionOf(proxy, 'SIM-Q-TIMEOUT')
+  assert.equal(connectionInfo.queues.get('P').length, 0)
+  assert.deepEqual(connectionInfo.heldCalls, [])
+})
+
+test('queue: a CALL held for the responding upstream is answered once it reconnects', async (t) => {
+  const messageQueue = { enabled: true, directory: temporaryDirectory(t) }
+  const { csms, proxy, url } = await setup(t, ['P', 'M'], { messageQueue })
+  const charger = await connectCharger(t, url, 'SIM-Q-HELD')
+  await charger.bootNotification()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'BootNotification')
+  await dropUpstream(proxy, csms.P, 'SIM-Q-HELD')
+
+  const start = charger.startTransaction(1, 'TAG', 1000)
+  await waitUntil(() => connectionOf(proxy, 'SIM-Q-HELD').heldCalls.length === 1, 'StartTransaction not held')
+  await reconnectUpstream(proxy, csms.P, 'SIM-Q-HELD')
+
+  assert.equal((await start).transactionId, 1)
+  assert.deepEqual(receivedCalls(csms.P, 'SIM-Q-HELD'), ['BootNotification', 'StartTransaction'])
+  assert.equal(connectionOf(proxy, 'SIM-Q-HELD').queues.get('P').length, 0)
+})
+
+test('queue: a live CALL to the responding upstream waits for the replay of its queue', async (t) => {
+  const messageQueue = { enabled: true, directory: temporaryDirectory(t) }
+  const { csms, proxy, url } = await setup(t, ['P', 'M'], { failover: true, messageQueue })
+  const charger = await connectCharger(t, url, 'SIM-Q-ORDER')
+  await charger.bootNotification()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'BootNotification')
+
+  // The mirror answers while the primary is down, the primary queues the transaction
+  await dropUpstream(proxy, csms.P, 'SIM-Q-ORDER')
+  await waitUntil(() => connectionOf(proxy, 'SIM-Q-ORDER').responder === 'M', 'No failover to M')
+  const start = await charger.startTransaction(1, 'TAG', 1000)
+  await charger.meterValues(1, start.transactionId, 1500)
+  assert.equal(connectionOf(proxy, 'SIM-Q-ORDER').queues.get('P').length, 2)
+
+  // The primary is the responder again as soon as it is back, and answers the replayed CALLs slowly
+  answerSlowly(csms.P, 'StartTransaction', 300)
+  answerSlowly(csms.P, 'MeterValues', 300)
+  await reconnectUpstream(proxy, csms.P, 'SIM-Q-ORDER')
+  await waitForFrame(csms.P, (entry) => entry.frame[2] === 'StartTransaction')
+  const stop = await charger.stopTransaction(start.transactionId, 2000)
+
+  assert.deepEqual(stop, { idTagInfo: { status: 'Accepted' } })
+  assert.deepEqual(receivedCalls(csms.P, 'SIM-Q-ORDER'), [
+    'BootNotification',
+    'StartTransaction',
+    'MeterValues',
+    'StopTransaction',
+  ])
+  assert.equal(connectionOf(proxy, 'SIM-Q-ORDER').queues.get('P').length, 0)
+})
+
+test('queue: the CALLs left on disk by a previous run are replayed, the expired ones are dropped', async (t) => {
+  const directory = temporaryDirectory(t)
+  const day = 24 * 3600 * 1000
+  const entries = [
+    { frame: [2, 'expired', 'MeterValues', { connectorId: 1, meterValue: [] }], queuedAt: Date.now() - 2 * day, meta: {} },
+    {
+      frame: [2, 'saved', 'StopTransaction', { transactionId: 7, meterStop: 0, timestamp: '' }],
+      queuedAt: Date.now(),
+      meta: {},
+    },
+  ]
+  fs.mkdirSync(path.join(directory, 'SIM-Q-SAVED'))
+  const filePath = path.join(directory, 'SIM-Q-SAVED', 'M.jsonl')
+  fs.writeFileSync(filePath, entries.map((entry) => JSON.stringify(entry)).join('\n') + '\n')
+  const { csms, proxy, url } = await setup(t, ['P', 'M'], { messageQueue: { enabled: true, directory, maxAge: 86400 } })
+
+  const charger = await connectCharger(t, url, 'SIM-Q-SAVED')
+  await waitForFrame(csms.M, (entry) => entry.frame[1] === 'saved')
+  await charger.bootNotification()
+
+  const queue = connectionOf(proxy, 'SIM-Q-SAVED').queues.get('M')
+  await waitUntil(() => !queue.isReplaying, 'Queue not replayed')
+  assert.ok(!csms.M.received.some((entry) => entry.frame[1] === 'expired'))
+  assert.deepEqual(queue.stats, { queued: 0, replayed: 1, rejected: 0, dropped: 0, expired: 1 })
+  assert.equal(fs.existsSync(filePath), false)
+  assert.deepEqual(receivedCalls(csms.P, 'SIM-Q-SAVED'), ['BootNotification'])
+})
+
+test('queue: only the configured actions are queued, the oldest are dropped beyond maxSize', async (t) => {
+  const messageQueue = { enabled: true, directory: temporaryDirectory(t), maxSize: 2 }
+  const { csms, proxy, url } = await setup(t, ['P', 'M'], { messageQueue })
+  const charger = await connectCharger(t, url, 'SIM-Q-FULL')
+  await charger.bootNotification()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'BootNotification')
+  await dropUpstream(proxy, csms.M, 'SIM-Q-FULL')
+
+  await charger.heartbeat()
+  for (const value of [1000, 2000, 3000]) {
+    await charger.meterValues(1, 1, value)
+  }
+  const queue = connectionOf(proxy, 'SIM-Q-FULL').queues.get('M')
+  assert.equal(queue.length, 2)
+  assert.equal(queue.stats.dropped, 1)
+
+  await reconnectUpstream(proxy, csms.M, 'SIM-Q-FULL')
+  await waitUntil(() => queue.length === 0 && !queue.isReplaying, 'Queue not replayed')
+
+  assert.deepEqual(receivedCalls(csms.M, 'SIM-Q-FULL'), ['BootNotification', 'MeterValues', 'MeterValues'])
+  const values = csms.M.received
+    .filter((entry) => entry.frame[2] === 'MeterValues')
+    .map((entry) => entry.frame[3].meterValue[0].sampledValue[0].value)
+  assert.deepEqual(values, ['2000', '3000'])
+  assert.deepEqual(receivedCalls(csms.P, 'SIM-Q-FULL'), [
+    'BootNotification',
+    'Heartbeat',
+    'MeterValues',
+    'MeterValues',
+    'MeterValues',
+  ])
+})
+
+test('queue: a replayed CALL left unanswered by a connected upstream is sent again, not dropped', async (t) => {
+  const messageQueue = { enabled: true, directory: temporaryDirectory(t) }
+  const { csms, proxy, url } = await setup(t, ['P', 'M'], { messageQueue }, { callTimeout: 1 })
+  const charger = await connectCharger(t, url, 'SIM-Q-SLOW')
+  await charger.bootNotification()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'BootNotification')
+  await dropUpstream(proxy, csms.M, 'SIM-Q-SLOW')
+  await charger.stopTransaction(1, 2000, 'Local')
+
+  // The first StopTransaction replayed is never answered
+  const handler = csms.M.handlers.get('StopTransaction')
+  let answered = 0
+  csms.M.handle('StopTransaction', (payload, clientId) => (answered++ ? handler(payload, clientId) : new Promise(() => {})))
+  const queue = connectionOf(proxy, 'SIM-Q-SLOW').queues.get('M')
+  await reconnectUpstream(proxy, csms.M, 'SIM-Q-SLOW')
+  await waitUntil(() => queue.length === 0 && !queue.isReplaying, 'Queue not replayed')
+
+  const stops = csms.M.received.filter((entry) => entry.frame[2] === 'StopTransaction')
+  assert.equal(stops.length, 2)
+  assert.equal(stops[0].frame[1], stops[1].frame[1])
+  assert.deepEqual(queue.stats, { queued: 1, replayed: 1, rejected: 0, dropped: 0, expired: 0 })
+})
+
+test('queue: the valid lines of a damaged file are loaded, the file is kept aside before being rewritten', (t) => {
+  const directory = temporaryDirectory(t)
+  const filePath = path.join(directory, 'SIM-Q-CUT', 'M.jsonl')
+  const frames = [
+    [2, 'first', 'StartTransaction', { connectorId: 1, idTag: 'TAG', meterStart: 0, timestamp: '' }],
+    [2, 'second', 'StopTransaction', { transactionId: 7, meterStop: 10, timestamp: '' }],
+  ]
+  const content = frames.map((frame) => JSON.stringify({ frame, queuedAt: Date.now(), meta: {} })).join('\n')
+  fs.mkdirSync(path.dirname(filePath))
+  // Last line cut by a crash while it was appended
+  fs.writeFileSync(filePath, `${content}\n{"frame":[2,"third","MeterVal`)
+
+  const queue = new MessageQueue('SIM-Q-CUT', 'M', { directory })
+  queue.push([2, 'fourth', 'MeterValues', { connectorId: 1, meterValue: [] }])
+  queue.save()
+
+  assert.deepEqual(
+    queue.entries.map((entry) => entry.frame[1]),
+    ['first', 'second', 'fourth']
+  )
+  const [kept] = fs.readdirSync(path.dirname(filePath)).filter((name) => name.startsWith('M.jsonl.corrupt-'))
+  assert.match(fs.readFileSync(path.join(path.dirname(filePath), kept), 'utf8'), /"third","MeterVal$/)
+  assert.equal(new MessageQueue('SIM-Q-CUT', 'M', { directory }).length, 3)
+})
+
+test('queue: a file that cannot be read is never rewritten', (t) => {
+  const directory = temporaryDirectory(t)
+  const filePath = path.join(directory, 'SIM-Q-UNREADABLE', 'M.jsonl')
+  const saved = { frame: [2, 'saved', 'StopTransaction', { transactionId: 7, meterStop: 10, timestamp: '' }], queuedAt: 0 }
+  fs.mkdirSync(path.dirname(filePath))
+  fs.writeFileSync(filePath, JSON.stringify(saved) + '\n')
+  const readFileSync = t.mock.method(fs, 'readFileSync', () => {
+    throw new Error('EIO: i/o error, read')
+  })
+
+  const queue = new MessageQueue('SIM-Q-UNREADABLE', 'M', { directory, maxSize: 1 })
+  readFileSync.mock.restore()
+  // The second CALL makes the queue full: the dropped one would be saved by rewriting the file
+  queue.push([2, 'first', 'MeterValues', { connectorId: 1, meterValue: [] }])
+  queue.push([2, 'second', 'MeterValues', { connectorId: 1, meterValue: [] }])
+
+  assert.equal(queue.loadFailed, true)
+  assert.deepEqual(
+    fs
+      .readFileSync(filePath, 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line).frame[1]),
+    ['saved', 'first']
+  )
+})
@@ -0,0 +1,211 @@
+/**
+ * Notifications: routing of the events to the channels and rendering of their templates
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const Notify = require('../src/notify')
+
+// Channels never reached: routing only picks them
+const CHANNELS = {
+  pushover: { userKey: 'USER', appToken: 'APP' },
+  ntfy: { topic: 'alerts' },
+  webhooks: [
+    { name: 'ops', url: 'http://127.0.0.1:1/ops' },
+    { name: 'noc', url: 'http://127.0.0.1:1/noc' },
+  ],
+}
+
+/**
+ * Channels an event is routed to, with their options
+ * @param {Notify} notify
+ * @param {string} type
+ * @param {object} [fields]
+ * @returns {object} Channel name -> options
+ */
+function routed(notify, type, fields = {}) {
+  const deliveries = notify.route(notify.event(type, fields.clientId || 'CP001', fields))
+  return Object.fromEntries([...deliveries].map(([{ name }, options]) => [name, options]))
+}
+
+test('notify routes: without routes, the events enabled by their flag go to every channel', () => {
+  const notify = new Notify({ ...CHANNELS, cpStatusFaulted: true })
+
+  assert.deepEqual(Object.keys(routed(notify, 'cpStatusFaulted')), ['pushover', 'ntfy', 'webhook ops', 'webhook noc'])
+  assert.deepEqual(routed(notify, 'conStatusFaulted'), {})
+  assert.equal(notify.isRouted('cpStatusFaulted'), true)
+  assert.equal(notify.isRouted('conStatusFaulted'), false)
+})
+
+test('notify routes: a charger matches a route listing it by clientIds or by one of its groups', () => {
+  const notify = new Notify({
+    ...CHANNELS,
+    groups: { 'parking-a': ['CP001', 'CP002'], 'parking-b': ['CP003'] },
+    routes: [
+      { events: ['conStatusFaulted'], groups: ['parking-a'], channels: ['pushover'] },
+      { events: ['conStatusFaulted'], clientIds: ['CP004'], groups: ['parking-b'], channels: ['ntfy'] },
+    ],
+  })
+
+  assert.deepEqual(Object.keys(routed(notify, 'conStatusFaulted', { clientId: 'CP002' })), ['pushover'])
+  assert.deepEqual(Object.keys(routed(notify, 'conStatusFaulted', { clientId: 'CP003' })), ['ntfy'])
+  assert.deepEqual(Object.keys(routed(notify, 'conStatusFaulted', { clientId: 'CP004' })), ['ntfy'])
+  assert.deepEqual(routed(notify, 'conStatusFaulted', { clientId: 'CP005' }), {})
+  assert.deepEqual(routed(notify, 'cpStatusFaulted', { clientId: 'CP001' }), {})
+})
+
+test('notify routes: connectorIds, statuses and errorCodes filter the status events', () => {
+  const notify = new Notify({
+    ...CHANNELS,
+    routes: [
+      {
+        events: ['cpStatusFaulted', 'conStatusFaulted'],
+        connectorIds: [0, 2],
+        errorCodes: ['GroundFailure'],
+        channels: ['webhook ops'],
+      },
+      { statuses: ['Unavailable'], channels: ['webhook noc'] },
+    ],
+  })
+  const faulted = (connectorId, errorCode) => ({ connectorId, status: 'Faulted', errorCode })
+
+  assert.deepEqual(Object.keys(routed(notify, 'conStatusFaulted', faulted(2, 'GroundFailure'))), ['webhook ops'])
+  assert.deepEqual(Object.keys(routed(notify, 'cpStatusFaulted', faulted(0, 'GroundFailure'))), ['webhook ops'])
+  assert.deepEqual(routed(notify, 'conStatusFaulted', faulted(1, 'GroundFailure')), {})
+  assert.deepEqual(routed(notify, 'conStatusFaulted', faulted(2, 'OverCurrentFailure')), {})
+  // A route without events filter matches any event with its status
+  assert.deepEqual(Object.keys(routed(notify, 'conStatusUnavailable', { connectorId: 1, status: 'Unavailable' })), [
+    'webhook noc',
+  ])
+  assert.deepEqual(routed(notify, 'connectedToProxy'), {})
+})
+
+test('notify routes: an event matching several routes gets the highest priority, all recipients, the first language', () => {
+  const notify = new Notify({
+    ...CHANNELS,
+    groups: { 'parking-a': ['CP001'] },
+    routes: [
+      { events: ['conStatusFaulted'], channels: ['pushover', 'webhook'], priority: 'high', language: 'fr' },
+      {
+        events: ['conStatusFaulted'],
+        groups: ['parking-a'],
+        errorCodes: ['GroundFailure'],
+        channels: ['pushover'],
+        priority: 'urgent',
+        language: 'en',
+        recipients: { pushover: ['ONCALL'] },
+      },
+      { events: ['conStatusFaulted'], channels: ['pushover'], priority: 'low', recipients: { pushover: 'TEAM' } },
+    ],
+  })
+
+  assert.deepEqual(routed(notify, 'conStatusFaulted', { connectorId: 1, status: 'Faulted', errorCode: 'GroundFailure' }), {
+    pushover: { priority: 'urgent', language: 'fr', recipients: ['ONCALL', 'TEAM'] },
+    'webhook ops': { priority: 'high', language: 'fr' },
+    'webhook noc': { priority: 'high', language: 'fr' },
+  })
+  assert.deepEqual(routed(notify, 'conStatusFaulted', { connectorId: 1, status: 'Faulted', errorCode: 'NoError' }), {
+    pushover: { priority: 'high', language: 'fr', recipients: ['TEAM'] },
+    'webhook ops': { priority: 'high', language: 'fr' },
+    'webhook noc': { priority: 'high', language: 'fr' },
+  })
+})
+
+test('notify reload: only the channels whose block changed are built again, the others keep their connection', (t) => {
+  // Nothing listens on the broker port, the client only retries until closed
+  const MQTT = { url: 'mqtt://127.0.0.1:1' }
+  const notify = new Notify({ ...CHANNELS, mqtt: MQTT })
+  t.after(() => notify.close())
+  const channel = (name) => notify.channels.find((entry) => entry.name === name).channel
+  const [pushover, ntfy, ops, broker] = ['pushover', 'ntfy', 'webhook ops', 'mqtt'].map(channel)
+  const brokerClosed = t.mock.method(broker, 'close')
+
+  notify.reload({ ...CHANNELS, ntfy: { topic: 'other' }, webhooks: [CHANNELS.webhooks[0]], mqtt: { ...MQTT } })
+  assert.deepEqual(
+    notify.channels.map(({ name }) => name),
+    ['pushover', 'ntfy', 'mqtt', 'webhook ops']
+  )
+  assert.equal(channel('pushover'), pushover)
+  assert.equal(channel('mqtt'), broker)
+  assert.equal(channel('webhook ops'), ops)
+  assert.notEqual(channel('ntfy'), ntfy)
+  assert.equal(brokerClosed.mock.callCount(), 0)
+
+  notify.reload({ ...CHANNELS, mqtt: { ...MQTT, topic: 'alerts/{{clientId}}' } })
+  assert.equal(brokerClosed.mock.callCount(), 1)
+  assert.notEqual(channel('mqtt'), broker)
+})
+
+test('notify templates: a template or label missing in the language is taken from en', () => {
+  const notify = new Notify({
+    language: 'de',
+    templates: {
+      de: {
+        labels: { connector: 'Anschluss #{{connectorId}}' },
+        events: { conStatus: { title: '{{label}} ist {{status}}', text: '{{label}}: {{status}}' } },
+      },
+    },
+  })
+  const title = (type, fields, language) => notify.render(notify.event(type, 'CP001', fields), language).title
+
+  // The conStatus template of the language serves conStatusFaulted, before the conStatusFaulted template of en
+  assert.equal(title('conStatusFaulted', { connectorId: 1, status: 'Faulted' }), 'Anschluss #1 ist Faulted')
+  assert.equal(title('cpStatusFaulted', { connectorId: 0, status: 'Faulted' }), '[CP001] ChargePoint is now Faulted')
+  assert.equal(title('connectedToProxy', {}, 'fr'), 'Client connecté : CP001')
+  assert.equal(title('connectedToProxy', {}, 'es'), 'Client connected: CP001')
+  assert.equal(title('customEvent', {}), 'customEvent: CP001')
+})
+
+test('notify templates: notify.templates overrides parts of the built-in templates', () => {
+  const notify = new Notify({
+    language: 'fr',
+    templates: {
+      fr: { labels: { connector: 'Prise {{connectorId}}' }, events: { connectedToProxy: { title: 'Borne connectée' } } },
+    },
+  })
+
+  assert.deepEqual(notify.render(notify.event('connectedToProxy', 'CP001')), {
+    title: 'Borne connectée',
+    text: "Un nouveau client s'est connecté au proxy OCPP.\nClient : CP001",
+    html: "Un nouveau client s'est connecté au proxy OCPP.<br>Client : CP001",
+  })
+  const faulted = notify.event('conStatusFaulted', 'CP001', { connectorId: 2, status: 'Faulted' })
+  assert.equal(notify.render(faulted).title, '[CP001] Prise 2 est en défaut')
+})
+
+test('notify templates: the label names the charge point, EVSE or connector of the event', () => {
+  const notify = new Notify({})
+  const title = (type, fields) => notify.render(notify.event(type, 'CP001', { status: 'Available', ...fields })).title
+
+  assert.equal(title('cpStatusAvailable', { connectorId: 0 }), '[CP001] ChargePoint is now Available')
+  assert.equal(title('conStatusAvailable', { connectorId: 3 }), '[CP001] Connector #3 is now Available')
+  assert.equal(title('conStatusAvailable', { evseId: 2 }), '[CP001] EVSE #2 is now Available')
+  assert.equal(title('conStatusAvailable', { evseId: 2, connectorId: 1 }), '[CP001] EVSE #2 connector #1 is now Available')
+})
+
+test('notify templates: lines of empty fields are left out, values are neither filled again nor unescaped', () => {
+  const notify = new Notify({
+    templates: { en: { events: { securityEvent: { html: '<b>{{clientName}}</b> {{techInfo}}' } } } },
+  })
+  const faulted = notify.event('conStatusFaulted', 'CP001', {
+    action: 'StatusNotification',
+    connectorId: 1,
+    status: 'Faulted',
+    errorCode: 'GroundFailure',
+    info: '<{{clientId}}> & co',
+  })
+  const security = notify.event('securityEvent', 'CP001', { techInfo: { port: '<1>' } })
+
+  assert.deepEqual(notify.render(faulted), {
+    title: '[CP001] Connector #1 is now Faulted',
+    text:
+      'StatusNotification from client CP001: Connector #1 status changed to Faulted.\n' +
+      'Error Code: GroundFailure\n' +
+      'Info: <{{clientId}}> & co',
+    html:
+      'StatusNotification from client CP001: Connector #1 status changed to Faulted.<br>' +
+      'Error Code: GroundFailure<br>' +
+      'Info: &lt;{{clientId}}&gt; &amp; co',
+  })
+  assert.equal(notify.render(security).html, '<b>CP001</b> {"port":"&lt;1&gt;"}')
+})
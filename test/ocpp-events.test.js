@@ -0,0 +1,179 @@
+/**
+ * OCPP events: OCPP 2.x CALLs parsed into the status and transaction events of the alerts
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { fromCall } = require('../src/ocpp-events')
+const { setup, connectCharger, receivedCalls, waitForNotifications } = require('./helpers')
+
+test('ocpp events: a 2.x StatusNotification is about the charging station on EVSE 0, else a connector', () => {
+  const status = (evseId, connectorId) => ({
+    timestamp: '2024-05-13T08:00:00Z',
+    connectorStatus: 'Faulted',
+    evseId,
+    connectorId,
+  })
+
+  assert.deepEqual(fromCall('ocpp2.0.1', 'StatusNotification', status(0, 0)), [
+    {
+      type: 'status',
+      action: 'StatusNotification',
+      target: 'chargePoint',
+      evseId: 0,
+      connectorId: undefined,
+      status: 'Faulted',
+    },
+  ])
+  assert.deepEqual(fromCall('ocpp2.1', 'StatusNotification', status(2, 1)), [
+    { type: 'status', action: 'StatusNotification', target: 'connector', evseId: 2, connectorId: 1, status: 'Faulted' },
+  ])
+})
+
+test('ocpp events: a TransactionEvent starts or stops a transaction, its chargingState is a connector status', () => {
+  const started = fromCall('ocpp2.0.1', 'TransactionEvent', {
+    eventType: 'Started',
+    evse: { id: 1, connectorId: 1 },
+    idToken: { idToken: '04A2B3C4D5', type: 'ISO14443' },
+    transactionInfo: { transactionId: 'TX-1', chargingState: 'Charging' },
+    meterValue: [
+      {
+        timestamp: '2024-05-13T08:00:00Z',
+        sampledValue: [
+          { value: 230, measurand: 'Voltage' },
+          { value: 12.5, unitOfMeasure: { unit: 'kWh' } },
+          { value: 4, phase: 'L1' },
+        ],
+      },
+    ],
+  })
+  const ended = fromCall('ocpp2.0.1', 'TransactionEvent', {
+    eventType: 'Ended',
+    evse: { id: 1 },
+    transactionInfo: { transactionId: 'TX-1', stoppedReason: 'EVDisconnected' },
+    meterValue: [{ sampledValue: [{ value: 14, unitOfMeasure: { unit: 'Wh', multiplier: 3 } }] }],
+  })
+
+  const transaction = { action: 'TransactionEvent', evseId: 1, connectorId: 1, transactionId: 'TX-1', idTag: '04A2B3C4D5' }
+  assert.deepEqual(started, [
+    { type: 'transactionStarted', ...transaction, meterValue: 12500 },
+    { type: 'status', action: 'TransactionEvent', target: 'connector', evseId: 1, connectorId: 1, status: 'Charging' },
+  ])
+  assert.deepEqual(ended, [
+    {
+      type: 'transactionStopped',
+      ...transaction,
+      connectorId: undefined,
+      idTag: undefined,
+      meterValue: 14000,
+      reason: 'EVDisconnected',
+    },
+  ])
+})
+
+test('ocpp events: a NotifyEvent reports the AvailabilityState and the problems of the station, EVSEs and connectors', () => {
+  const events = fromCall('ocpp2.0.1', 'NotifyEvent', {
+    generatedAt: '2024-05-13T08:00:00Z',
+    seqNo: 0,
+    eventData: [
+      {
+        component: { name: 'Connector', evse: { id: 1, connectorId: 2 } },
+        variable: { name: 'AvailabilityState' },
+        actualValue: 'Unavailable',
+      },
+      {
+        component: { name: 'ChargingStation' },
+        variable: { name: 'Problem' },
+        actualValue: 'true',
+        techCode: 'GroundFailure',
+        techInfo: 'RCD tripped',
+      },
+      { component: { name: 'EVSE', evse: { id: 2 } }, variable: { name: 'Problem' }, actualValue: 'false' },
+      { component: { name: 'TemperatureSensor' }, variable: { name: 'Problem' }, actualValue: 'true' },
+      { component: { name: 'EVSE', evse: { id: 2 } }, variable: { name: 'Power' }, actualValue: '11000' },
+    ],
+  })
+
+  assert.deepEqual(events, [
+    {
+      type: 'status',
+      action: 'NotifyEvent',
+      target: 'connector',
+      evseId: 1,
+      connectorId: 2,
+      status: 'Unavailable',
+      errorCode: undefined,
+      info: undefined,
+    },
+    {
+      type: 'status',
+      action: 'NotifyEvent',
+      target: 'chargePoint',
+      status: 'Faulted',
+      errorCode: 'GroundFailure',
+      info: 'RCD tripped',
+    },
+  ])
+})
+
+test('ocpp events: malformed lists and items are skipped', () => {
+  const problem = { component: { name: 'ChargingStation' }, variable: { name: 'Problem' }, actualValue: 'true' }
+
+  assert.deepEqual(fromCall('ocpp2.0.1', 'NotifyEvent', { eventData: [null, 5, 'Problem', problem] }), [
+    {
+      type: 'status',
+      action: 'NotifyEvent',
+      target: 'chargePoint',
+      status: 'Faulted',
+      errorCode: undefined,
+      info: undefined,
+    },
+  ])
+  assert.deepEqual(fromCall('ocpp2.0.1', 'NotifyEvent', { eventData: problem }), [])
+  assert.deepEqual(fromCall('ocpp2.0.1', 'NotifyEvent', { eventData: [{ component: null, variable: 'Problem' }] }), [])
+  assert.deepEqual(
+    fromCall('ocpp2.0.1', 'TransactionEvent', {
+      eventType: 'Started',
+      evse: { id: 1 },
+      transactionInfo: { transactionId: 'TX-2', chargingState: 'constructor' },
+      meterValue: [null, { sampledValue: [null, 'Energy'] }, { sampledValue: { value: 1 } }],
+    }),
+    [
+      {
+        type: 'transactionStarted',
+        action: 'TransactionEvent',
+        evseId: 1,
+        connectorId: undefined,
+        transactionId: 'TX-2',
+        idTag: undefined,
+        meterValue: undefined,
+      },
+    ]
+  )
+  assert.deepEqual(fromCall('ocpp2.0.1', 'TransactionEvent', { eventType: 'Updated', meterValue: 'none' }), [])
+})
+
+test('ocpp events: malformed 2.x CALLs are relayed without stopping the alerts of the charger', async (t) => {
+  const { csms, url, notifications } = await setup(t)
+  csms.CSMS.handle('NotifyEvent', () => ({}))
+  csms.CSMS.handle('TransactionEvent', () => ({}))
+  const charger = await connectCharger(t, url, 'SIM-EVENTS-201', { protocol: 'ocpp2.0.1' })
+
+  await charger.call('NotifyEvent', { generatedAt: '2024-05-13T08:00:00Z', seqNo: 0, eventData: [null] })
+  await charger.call('NotifyEvent', { generatedAt: '2024-05-13T08:00:00Z', seqNo: 1, eventData: 'Problem' })
+  await charger.call('TransactionEvent', { eventType: 'Started', meterValue: [null] })
+  await charger.call('StatusNotification', {
+    timestamp: '2024-05-13T08:00:00Z',
+    connectorStatus: 'Faulted',
+    evseId: 0,
+    connectorId: 0,
+  })
+
+  assert.deepEqual(receivedCalls(csms.CSMS, 'SIM-EVENTS-201'), [
+    'NotifyEvent',
+    'NotifyEvent',
+    'TransactionEvent',
+    'StatusNotification',
+  ])
+  await waitForNotifications(notifications, ['[SIM-EVENTS-201] ChargePoint is now Faulted'])
+})
@@ -0,0 +1,108 @@
+/**
+ * Offline responder scenarios: the proxy answers the charger while its upstream is down,
+ * then replays the CALLs it answered to the primary upstream
+ */
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  setup,
+  connectCharger,
+  receivedCalls,
+  waitUntil,
+  connectionOf,
+  dropUpstream,
+  reconnectUpstream,
+  temporaryDirectory,
+  waitForFrame,
+  waitForClose,
+} = require('./helpers')
+
+/**
+ * Payloads of the CALLs of an action a mock CSMS received from a charger
+ * @param {MockCsms} csms
+ * @param {string} clientId
+ * @param {string} action
+ * @returns {Array<object>}
+ */
+function receivedPayloads(csms, clientId, action) {
+  return csms.received
+    .filter((entry) => entry.clientId === clientId && entry.frame[0] === 2 && entry.frame[2] === action)
+    .map((entry) => entry.frame[3])
+}
+
+test('offline responder: the charger is answered locally, then the primary gets the mapped transaction', async (t) => {
+  const directory = temporaryDirectory(t)
+  const offlineResponder = { enabled: true, authorizeList: ['TAG'], transactionIdBase: 5000 }
+  const { csms, proxy, url } = await setup(t, ['P'], { offlineResponder, messageQueue: { enabled: true, directory } })
+  csms.P.nextTransactionId = 42
+  const charger = await connectCharger(t, url, 'SIM-OFFLINE')
+  await charger.bootNotification()
+  await dropUpstream(proxy, csms.P, 'SIM-OFFLINE')
+
+  assert.deepEqual(await charger.authorize('TAG'), { idTagInfo: { status: 'Accepted' } })
+  assert.deepEqual(await charger.authorize('OTHER'), { idTagInfo: { status: 'Invalid' } })
+  const start = await charger.startTransaction(1, 'TAG', 1000)
+  await charger.meterValues(1, start.transactionId, 1500)
+  await assert.rejects(charger.call('DataTransfer', { vendorId: 'test' }), { errorCode: 'NotImplemented' })
+
+  assert.equal(start.transactionId, 5001)
+  const statePath = path.join(directory, 'SIM-OFFLINE', 'P.transactions.json')
+  assert.deepEqual(JSON.parse(fs.readFileSync(statePath, 'utf8')), { lastTransactionId: 5001, transactionIds: [] })
+
+  await reconnectUpstream(proxy, csms.P, 'SIM-OFFLINE')
+  const { offlineResponder: responder } = connectionOf(proxy, 'SIM-OFFLINE')
+  await waitUntil(() => responder.pendingCount === 0 && !responder.isReplaying, 'Offline CALLs not replayed')
+
+  // Authorize is answered locally only, the CALLs answered offline are replayed with the primary transactionId
+  assert.deepEqual(receivedCalls(csms.P, 'SIM-OFFLINE'), ['BootNotification', 'StartTransaction', 'MeterValues'])
+  assert.equal(receivedPayloads(csms.P, 'SIM-OFFLINE', 'MeterValues')[0].transactionId, 42)
+  assert.deepEqual([...responder.transactionIds], [[5001, 42]])
+  assert.deepEqual(JSON.parse(fs.readFileSync(statePath, 'utf8')).transactionIds, [[5001, 42]])
+
+  // The primary stops the transaction with its id, the charger with the local one
+  const remoteStop = csms.P.call('SIM-OFFLINE', 'RemoteStopTransaction', { transactionId: 42 })
+  const received = await waitForFrame(charger, (frame) => frame[2] === 'RemoteStopTransaction')
+  assert.equal(received[3].transactionId, 5001)
+  await remoteStop
+  await charger.stopTransaction(5001, 2000)
+
+  assert.equal(receivedPayloads(csms.P, 'SIM-OFFLINE', 'StopTransaction')[0].transactionId, 42)
+  assert.equal(responder.transactionIds.size, 0)
+  assert.deepEqual(JSON.parse(fs.readFileSync(statePath, 'utf8')), { lastTransactionId: 5001, transactionIds: [] })
+})
+
+test('offline responder: the transaction state is loaded from disk, local transactionIds are never reused', async (t) => {
+  const directory = temporaryDirectory(t)
+  fs.mkdirSync(path.join(directory, 'SIM-OFFLINE-SAVED'))
+  const saved = { lastTransactionId: 5003, transactionIds: [[5002, 7]] }
+  fs.writeFileSync(path.join(directory, 'SIM-OFFLINE-SAVED', 'P.transactions.json'), JSON.stringify(saved))
+  const offlineResponder = { enabled: true, authorizeList: ['*'], transactionIdBase: 5000 }
+  const { csms, proxy, url } = await setup(t, ['P'], { offlineResponder, messageQueue: { enabled: true, directory } })
+  const charger = await connectCharger(t, url, 'SIM-OFFLINE-SAVED')
+  await charger.bootNotification()
+
+  // A transaction started offline before the restart is stopped with the primary transactionId
+  await charger.stopTransaction(5002, 2000)
+  await waitForFrame(csms.P, (entry) => entry.frame[2] === 'StopTransaction')
+  assert.equal(receivedPayloads(csms.P, 'SIM-OFFLINE-SAVED', 'StopTransaction')[0].transactionId, 7)
+
+  await dropUpstream(proxy, csms.P, 'SIM-OFFLINE-SAVED')
+  const start = await charger.startTransaction(1, 'ANY', 3000)
+
+  assert.equal(start.transactionId, 5004)
+  assert.deepEqual(start.idTagInfo, { status: 'Accepted' })
+})
+
+test('offline responder: without it, the charger is disconnected when its upstream is down', async (t) => {
+  const { csms, url } = await setup(t, ['P'])
+  const charger = await connectCharger(t, url, 'SIM-ONLINE-ONLY')
+  await charger.bootNotification()
+  csms.P.refuseConnections = true
+  csms.P.dropConnections()
+
+  const closed = await waitForClose(charger)
+  assert.deepEqual(closed, { code: 1001, reason: 'All upstream servers unavailable' })
+})
@@ -0,0 +1,110 @@
+/**
+ * Configuration reload scenarios: upstream changes applied to the connected chargers
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const MockCsms = require('../src/mock-csms')
+const {
+  DIGEST,
+  setup,
+  connectCharger,
+  waitUntil,
+  waitForNotifications,
+  connectionOf,
+  temporaryDirectory,
+  waitForFrame,
+  waitForConnection,
+} = require('./helpers')
+
+/**
+ * Start a mock CSMS that is not an upstream yet, stopped at the end of the test
+ * @param {TestContext} t
+ * @param {string} name
+ * @returns {Promise<MockCsms>}
+ */
+async function startCsms(t, name) {
+  const csms = new MockCsms({ name })
+  await csms.start()
+  t.after(() => csms.stop())
+  return csms
+}
+
+/**
+ * Names of the upstreams of a charger, in order
+ * @param {OcppProxy} proxy
+ * @param {string} clientId
+ * @returns {Array<string>}
+ */
+function upstreamNames(proxy, clientId) {
+  return connectionOf(proxy, clientId).upstreams.map((upstream) => upstream.name)
+}
+
+test('reload: added, removed and changed upstreams are applied to the connected chargers', async (t) => {
+  const { csms, proxy, url, notifications } = await setup(t, ['P', 'M'], { digest: DIGEST })
+  const added = await startCsms(t, 'N')
+  const charger = await connectCharger(t, url, 'SIM-RELOAD')
+  await charger.bootNotification()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'BootNotification')
+  const [primary] = proxy.config.upstreams
+
+  // M removed, N added, P untouched
+  proxy.reload({ ...proxy.config, upstreams: [primary, { name: 'N', url: added.url, role: 'mirror' }] })
+  await waitForConnection(added, 'SIM-RELOAD')
+  await waitUntil(() => !csms.M.connections.has('SIM-RELOAD'), 'M not closed')
+  await charger.heartbeat()
+
+  assert.deepEqual(upstreamNames(proxy, 'SIM-RELOAD'), ['P', 'N'])
+  assert.equal(csms.P.connectionLog.length, 1)
+  assert.deepEqual(
+    added.received.map((entry) => entry.frame[2]),
+    ['Heartbeat']
+  )
+  assert.ok(!csms.M.received.some((entry) => entry.frame[2] === 'Heartbeat'))
+
+  // P changed: reconnected with its new settings
+  proxy.reload({ ...proxy.config, upstreams: [{ ...primary, callTimeout: 5 }, proxy.config.upstreams[1]] })
+  await waitForConnection(csms.P, 'SIM-RELOAD', 2)
+  const reconnected = connectionOf(proxy, 'SIM-RELOAD').upstreams.find((upstream) => upstream.name === 'P')
+  await waitUntil(() => reconnected.isConnected, 'P not reconnected')
+  const heartbeat = await charger.heartbeat()
+
+  assert.ok(heartbeat.currentTime)
+  assert.equal(charger.closed, null)
+  assert.equal(reconnected.callTimeout, 5000)
+  assert.equal(added.connectionLog.length, 1)
+  // Closing an upstream on a reload is neither alerted nor counted as a disconnection
+  assert.ok(!notifications.some((notification) => notification.title.startsWith('Disconnected from upstream')))
+  assert.equal(proxy.stats.report().chargers[0].upstreamDisconnections, 0)
+
+  // The upstreams closed with the charger are alerted, as any upstream disconnection, but not counted
+  await charger.close()
+  await waitForNotifications(notifications, ['Disconnected from upstream: P', 'Disconnected from upstream: N'])
+  assert.equal(proxy.stats.report().chargers[0].upstreamDisconnections, 0)
+})
+
+test('reload: a reload that fails leaves the running configuration untouched', async (t) => {
+  const { csms, proxy, url } = await setup(t, ['P', 'M'])
+  const added = await startCsms(t, 'N')
+  const charger = await connectCharger(t, url, 'SIM-RELOAD-FAIL')
+  await charger.bootNotification()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'BootNotification')
+  const before = proxy.config
+
+  t.mock.method(proxy, 'planUpstreams', () => {
+    throw new Error('Cannot build the upstream')
+  })
+  const config = {
+    ...before,
+    journal: { enabled: true, directory: temporaryDirectory(t) },
+    upstreams: [before.upstreams[0], { name: 'N', url: added.url, role: 'mirror' }],
+  }
+  assert.throws(() => proxy.reload(config), /Cannot build the upstream/)
+
+  assert.equal(proxy.config, before)
+  assert.equal(proxy.journal, null)
+  assert.deepEqual(upstreamNames(proxy, 'SIM-RELOAD-FAIL'), ['P', 'M'])
+  await charger.heartbeat()
+  await waitForFrame(csms.M, (entry) => entry.frame[2] === 'Heartbeat')
+  assert.equal(added.connectionLog.length, 0)
+})
@@ -0,0 +1,106 @@
+/**
+ * Journal replay: sessions recorded through the proxy, replayed by src/replay.js against its upstream stand-in
+ */
+
+const net = require('node:net')
+const path = require('node:path')
+const { execFile } = require('node:child_process')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { once } = require('node:events')
+const Journal = require('../src/journal')
+const { setup, connectCharger, waitUntil, temporaryDirectory } = require('./helpers')
+
+const REPLAY = path.join(__dirname, '..', 'src', 'replay.js')
+
+/**
+ * Get a free local port (the stand-in takes an explicit one)
+ * @returns {Promise<number>}
+ */
+async function freePort() {
+  const server = net.createServer().listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  const { port } = server.address()
+  server.close()
+  await once(server, 'close')
+  return port
+}
+
+/**
+ * Replay the journal of a charger as the charger, against the stand-in of its recorded upstream side
+ * @param {string} directory - Journal directory
+ * @param {string} clientId
+ * @param {Array<string>} [options] - Other command line options
+ * @returns {Promise<object>} { code, summary: summary line of the replay, output }
+ */
+async function replay(directory, clientId, options = []) {
+  const port = await freePort()
+  const args = [path.join(directory, clientId), '--url', `ws://127.0.0.1:${port}/`, '--stand-in', `${port}`]
+  return new Promise((resolve) => {
+    execFile(process.execPath, [REPLAY, ...args, '--speed', '0', ...options], { timeout: 30000 }, (error, stdout) => {
+      const summary = /Replay complete: (.*)/.exec(stdout)
+      resolve({ code: error ? error.code : 0, summary: summary && summary[1], output: stdout })
+    })
+  })
+}
+
+/**
+ * Wait for the journal of a charger to hold a number of entries (the files are written asynchronously)
+ * @param {string} directory - Journal directory
+ * @param {string} clientId
+ * @param {number} count
+ * @returns {Promise}
+ */
+function waitForEntries(directory, clientId, count) {
+  return waitUntil(
+    () => Journal.load([path.join(directory, clientId)]).length >= count,
+    `Journal of ${clientId} has less than ${count} entries`
+  )
+}
+
+test('replay: a recorded session replays without difference against the stand-in, upstream CALLs included', async (t) => {
+  const directory = temporaryDirectory(t)
+  const { csms, url } = await setup(t, ['CSMS'], { journal: { enabled: true, directory } })
+  const charger = await connectCharger(t, url, 'SIM-REPLAY')
+  charger.handle('Reset', () => ({ status: 'Accepted' }))
+  await charger.bootNotification()
+  const { transactionId } = await charger.startTransaction(1, '04A2B3C4D5', 1000)
+  await csms.CSMS.call('SIM-REPLAY', 'Reset', { type: 'Soft' })
+  await charger.stopTransaction(transactionId, 2500)
+  // The connection, 4 CALLs and their responses
+  await waitForEntries(directory, 'SIM-REPLAY', 9)
+
+  const { code, summary } = await replay(directory, 'SIM-REPLAY')
+
+  // The 3 CALLs of the charger and its answer to the Reset
+  assert.equal(summary, '4 frame(s) sent, 3 response(s), 0 difference(s), 0 missing response(s), 0 unanswered CALL(s)')
+  assert.equal(code, 0)
+})
+
+test('replay: the responses of another recorded upstream are reported as differences', async (t) => {
+  const directory = temporaryDirectory(t)
+  const { csms, url } = await setup(t, ['P', 'M'], { journal: { enabled: true, directory } })
+  csms.M.nextTransactionId = 100
+  const charger = await connectCharger(t, url, 'SIM-REPLAY-MIRROR')
+  await charger.bootNotification()
+  const { transactionId } = await charger.startTransaction(1, '04A2B3C4D5', 1000)
+  await charger.stopTransaction(transactionId, 2500)
+  // The connection, 3 CALLs and their responses from both upstreams
+  await waitForEntries(directory, 'SIM-REPLAY-MIRROR', 10)
+
+  const relayed = await replay(directory, 'SIM-REPLAY-MIRROR')
+  const mirror = await replay(directory, 'SIM-REPLAY-MIRROR', ['--upstream', 'M'])
+
+  assert.equal(
+    relayed.summary,
+    '3 frame(s) sent, 3 response(s), 0 difference(s), 0 missing response(s), 0 unanswered CALL(s)'
+  )
+  assert.equal(relayed.code, 0)
+  // The mirror gave the StartTransaction another transactionId
+  assert.equal(
+    mirror.summary,
+    '3 frame(s) sent, 3 response(s), 1 difference(s), 0 missing response(s), 0 unanswered CALL(s)'
+  )
+  assert.match(mirror.output, /Response to StartTransaction \(\S+\) differs: .*"transactionId":1,.*"transactionId":100,/)
+  assert.equal(mirror.code, 1)
+})
@@ -0,0 +1,91 @@
+/**
+ * Schema validation scenarios: payloads checked against the official OCPP schemas, in log and reject modes
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { setup, connectCharger, receivedCalls, waitUntil, connectionOf } = require('./helpers')
+
+test('schema validation: with reject, an invalid charger CALL is answered with a FormationViolation', async (t) => {
+  const { csms, proxy, url } = await setup(t, ['CSMS'], { validation: { client: 'reject' } })
+  const charger = await connectCharger(t, url, 'SIM-SCHEMA-REJECT')
+  await charger.bootNotification()
+
+  await assert.rejects(charger.statusNotification(1, 'Broken'), {
+    errorCode: 'FormationViolation',
+    message: /payload\/status must be equal to one of the allowed values/,
+  })
+  await charger.statusNotification(1, 'Available')
+
+  assert.deepEqual(receivedCalls(csms.CSMS, 'SIM-SCHEMA-REJECT'), ['BootNotification', 'StatusNotification'])
+  assert.deepEqual(connectionOf(proxy, 'SIM-SCHEMA-REJECT').schemaViolations, { client: 1, upstream: 0 })
+})
+
+test('schema validation: with log, invalid payloads are counted and forwarded', async (t) => {
+  const { csms, proxy, url } = await setup(t, ['CSMS'], { validation: { client: 'log', upstream: 'log' } })
+  csms.CSMS.handle('StatusNotification', () => ({ unexpected: true }))
+  const charger = await connectCharger(t, url, 'SIM-SCHEMA-LOG')
+  await charger.bootNotification()
+
+  const result = await charger.statusNotification(1, 'Broken')
+
+  assert.deepEqual(result, { unexpected: true })
+  assert.deepEqual(receivedCalls(csms.CSMS, 'SIM-SCHEMA-LOG'), ['BootNotification', 'StatusNotification'])
+  assert.deepEqual(connectionOf(proxy, 'SIM-SCHEMA-LOG').schemaViolations, { client: 1, upstream: 1 })
+})
+
+test('schema validation: with reject, an invalid response goes back to the peer that sent the CALL', async (t) => {
+  const { csms, proxy, url } = await setup(t, ['CSMS'], { validation: { client: 'reject', upstream: 'reject' } })
+  const charger = await connectCharger(t, url, 'SIM-SCHEMA-RESPONSE')
+  await charger.bootNotification()
+
+  // Invalid CALLRESULT of the upstream: the charger gets the CALLERROR
+  csms.CSMS.handle('Heartbeat', () => ({ currentTime: 42 }))
+  await assert.rejects(charger.heartbeat(), {
+    errorCode: 'FormationViolation',
+    message: /Invalid response from upstream CSMS: payload\/currentTime must be string/,
+  })
+
+  // Invalid CALL of the upstream: answered to the upstream, never relayed
+  const reset = await csms.CSMS.call('SIM-SCHEMA-RESPONSE', 'Reset', { type: 'Immediate' })
+  assert.equal(reset[0], 4)
+  assert.equal(reset[2], 'FormationViolation')
+  // The charger will never answer it: not waited for
+  assert.equal(connectionOf(proxy, 'SIM-SCHEMA-RESPONSE').router.messageIdToServer.has(reset[1]), false)
+
+  // Invalid CALLRESULT of the charger: the upstream gets the CALLERROR
+  charger.handle('UnlockConnector', () => ({ status: 'Maybe' }))
+  const unlock = await csms.CSMS.call('SIM-SCHEMA-RESPONSE', 'UnlockConnector', { connectorId: 1 })
+  assert.equal(unlock[2], 'FormationViolation')
+  assert.match(unlock[3], /^Invalid response from the client: payload\/status must be equal to one of the allowed values/)
+
+  assert.ok(!charger.received.some((frame) => frame[2] === 'Reset'))
+  assert.deepEqual(connectionOf(proxy, 'SIM-SCHEMA-RESPONSE').schemaViolations, { client: 1, upstream: 2 })
+})
+
+test('schema validation: ocpp2.0.1 chargers are checked against the OCPP 2.0.1 schemas', async (t) => {
+  const { csms, proxy, url } = await setup(t, ['CSMS'], { validation: { client: 'reject' } })
+  const charger = await connectCharger(t, url, 'SIM-SCHEMA-201', { protocol: 'ocpp2.0.1' })
+
+  // An OCPP 1.6 BootNotification is not a valid OCPP 2.0.1 one
+  await assert.rejects(charger.bootNotification(), { errorCode: 'FormationViolation' })
+  const boot = await charger.call('BootNotification', {
+    reason: 'PowerUp',
+    chargingStation: { model: 'Simulator', vendorName: 'Test' },
+  })
+
+  assert.equal(boot.status, 'Accepted')
+  await waitUntil(() => receivedCalls(csms.CSMS, 'SIM-SCHEMA-201').length === 1, 'BootNotification not forwarded')
+  assert.deepEqual(connectionOf(proxy, 'SIM-SCHEMA-201').schemaViolations, { client: 1, upstream: 0 })
+})
+
+test('schema validation: off by default', async (t) => {
+  const { csms, proxy, url } = await setup(t)
+  const charger = await connectCharger(t, url, 'SIM-SCHEMA-OFF')
+  await charger.bootNotification()
+
+  await charger.statusNotification(1, 'Broken')
+
+  assert.deepEqual(receivedCalls(csms.CSMS, 'SIM-SCHEMA-OFF'), ['BootNotification', 'StatusNotification'])
+  assert.equal(proxy.schemaValidator, null)
+})
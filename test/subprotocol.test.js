@@ -0,0 +1,97 @@
+/**
+ * Subprotocol negotiation scenarios: the OCPP version offered by the charger and supported by the upstreams
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const ChargerSimulator = require('../src/charger-simulator')
+const { setup, connectCharger, waitUntil, connectionOf } = require('./helpers')
+
+const BOTH = ['ocpp2.0.1', 'ocpp1.6']
+
+/**
+ * Subprotocols supported by each mock CSMS, see setup()
+ * @param {object} subprotocols - { name: Array<string> }
+ * @returns {function}
+ */
+function supporting(subprotocols) {
+  return (csms) => ({ subprotocols: subprotocols[csms.name] })
+}
+
+/**
+ * Connect a charger and wait for its upstreams to be connected
+ * @param {TestContext} t
+ * @param {OcppProxy} proxy
+ * @param {string} url
+ * @param {string} clientId
+ * @param {string|Array<string>} protocol - Subprotocols offered
+ * @returns {Promise<ChargerSimulator>}
+ */
+async function connectOffering(t, proxy, url, clientId, protocol) {
+  const charger = await connectCharger(t, url, clientId, { protocol })
+  await waitUntil(
+    () => connectionOf(proxy, clientId).upstreams.every((upstream) => upstream.isConnected),
+    'Upstreams not connected'
+  )
+  return charger
+}
+
+/**
+ * Subprotocol of the connections a mock CSMS got
+ * @param {MockCsms} csms
+ * @returns {Array<string>}
+ */
+function upstreamProtocols(csms) {
+  return csms.connectionLog.map((connection) => connection.protocol)
+}
+
+test('subprotocol: the first offered one the primary supports is chosen, other upstreams may be left out', async (t) => {
+  const { csms, proxy, url } = await setup(t, ['P', 'M'], {}, supporting({ P: BOTH, M: ['ocpp1.6'] }))
+
+  const charger = await connectOffering(t, proxy, url, 'SIM-OCPP201', BOTH)
+
+  assert.equal(charger.ws.protocol, 'ocpp2.0.1')
+  assert.equal(connectionOf(proxy, 'SIM-OCPP201').protocol, 'ocpp2.0.1')
+  assert.deepEqual(upstreamProtocols(csms.P), ['ocpp2.0.1'])
+  assert.deepEqual(
+    connectionOf(proxy, 'SIM-OCPP201').upstreams.map((upstream) => upstream.name),
+    ['P']
+  )
+  assert.equal(csms.M.connectionLog.length, 0)
+})
+
+test('subprotocol: with subprotocolPolicy all, every upstream must support it', async (t) => {
+  const proxyConfig = { host: '127.0.0.1', port: 0, subprotocolPolicy: 'all' }
+  const { csms, proxy, url } = await setup(t, ['P', 'M'], { proxy: proxyConfig }, supporting({ P: BOTH, M: ['ocpp1.6'] }))
+
+  const charger = await connectOffering(t, proxy, url, 'SIM-OCPP-ALL', BOTH)
+
+  assert.equal(charger.ws.protocol, 'ocpp1.6')
+  assert.deepEqual(upstreamProtocols(csms.P), ['ocpp1.6'])
+  assert.deepEqual(upstreamProtocols(csms.M), ['ocpp1.6'])
+})
+
+test('subprotocol: a charger offering none speaks ocpp1.6, subprotocolOverrides restrict the offered ones', async (t) => {
+  const proxyConfig = { host: '127.0.0.1', port: 0, subprotocolOverrides: { 'SIM-OCPP-OVERRIDE': ['ocpp1.6'] } }
+  const { csms, proxy, url } = await setup(t, ['CSMS'], { proxy: proxyConfig }, supporting({ CSMS: BOTH }))
+
+  const silent = await connectOffering(t, proxy, url, 'SIM-OCPP-NONE', [])
+  const overridden = await connectOffering(t, proxy, url, 'SIM-OCPP-OVERRIDE', BOTH)
+
+  assert.equal(silent.ws.protocol, '')
+  assert.equal(connectionOf(proxy, 'SIM-OCPP-NONE').protocol, 'ocpp1.6')
+  assert.equal(overridden.ws.protocol, 'ocpp1.6')
+  assert.deepEqual(upstreamProtocols(csms.CSMS), ['ocpp1.6', 'ocpp1.6'])
+})
+
+test('subprotocol: a charger with no subprotocol in common is rejected during the handshake', async (t) => {
+  const config = { notify: { chargerRejected: true } }
+  const { csms, url, notifications } = await setup(t, ['CSMS'], config, supporting({ CSMS: ['ocpp1.6'] }))
+
+  const charger = new ChargerSimulator({ url, clientId: 'SIM-OCPP-NO-OVERLAP', protocol: ['ocpp2.0.1', 'ocpp1.5'] })
+  await assert.rejects(charger.connect(), { message: 'Connection refused with HTTP 400' })
+
+  await waitUntil(() => notifications.length === 1, 'Rejection not notified')
+  assert.equal(notifications[0].event.reason, 'no subprotocol supported by the upstreams (offered: ocpp2.0.1, ocpp1.5)')
+  assert.equal(csms.CSMS.connectionLog.length, 0)
+})
@@ -0,0 +1,94 @@
+/**
+ * Upstream credentials: Basic auth and headers injected per upstream, placeholders of the URL and TLS file templates
+ */
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const UpstreamConnection = require('../src/upstream')
+const { setup, connectCharger, temporaryDirectory } = require('./helpers')
+
+/**
+ * Value of a Basic Authorization header
+ * @param {string} username
+ * @param {string} password
+ * @returns {string}
+ */
+function basic(username, password) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`
+}
+
+test('upstream credentials: basicAuth replaces the charger credentials, headers are added to the handshake', async (t) => {
+  const upstreamConfig = (csms) =>
+    csms.name === 'P'
+      ? {
+          url: `${csms.url}ocpp/{id}`,
+          idMap: { 'SIM-CREDENTIALS': 'FR*ABC*E0001' },
+          basicAuth: { password: 'shared', passwords: { 'SIM-OWN-PASSWORD': 'own' } },
+          headers: { 'X-Api-Key': 'key', 'X-Forwarded-For': 'overridden' },
+        }
+      : { basicAuth: { username: 'proxy', password: 'mirror' }, forwardAuthorization: false }
+  const { csms, url } = await setup(t, ['P', 'M'], {}, upstreamConfig)
+
+  const charger = await connectCharger(t, url, 'SIM-CREDENTIALS', { password: 'charger' })
+  await charger.bootNotification()
+  const other = await connectCharger(t, url, 'SIM-OWN-PASSWORD')
+  await other.bootNotification()
+
+  const [mapped, own] = csms.P.connectionLog
+  // The username defaults to the mapped id, also substituted in the URL
+  assert.equal(mapped.url, '/ocpp/FR*ABC*E0001')
+  assert.equal(mapped.headers.authorization, basic('FR*ABC*E0001', 'shared'))
+  assert.equal(mapped.headers['x-api-key'], 'key')
+  assert.equal(mapped.headers['x-forwarded-for'], 'overridden')
+  assert.equal(own.url, '/ocpp/SIM-OWN-PASSWORD')
+  assert.equal(own.headers.authorization, basic('SIM-OWN-PASSWORD', 'own'))
+  assert.deepEqual(
+    csms.M.connectionLog.map((connection) => [connection.url, connection.headers.authorization]),
+    [
+      ['/SIM-CREDENTIALS', basic('proxy', 'mirror')],
+      ['/SIM-OWN-PASSWORD', basic('proxy', 'mirror')],
+    ]
+  )
+})
+
+test('upstream credentials: without a password for the charger, its own Authorization is forwarded or dropped', () => {
+  const forwardedHeaders = { Authorization: basic('SIM-1', 'charger') }
+  const upstream = (config) =>
+    new UpstreamConnection({ name: 'P', url: 'ws://csms/', ...config }, 'SIM-1', 'ocpp1.6', null, forwardedHeaders)
+
+  const noPassword = { basicAuth: { passwords: { 'SIM-2': 'other' } } }
+  assert.equal(upstream(noPassword).getConnectOptions().headers.Authorization, basic('SIM-1', 'charger'))
+  assert.equal(upstream({ ...noPassword, forwardAuthorization: false }).getConnectOptions().headers.Authorization, undefined)
+})
+
+test('upstream credentials: the TLS file paths take the clientId and mapped id placeholders', (t) => {
+  const directory = temporaryDirectory(t)
+  for (const name of ['SIM-TLS.crt', 'FR-TLS.key', 'ca-1.pem', 'ca-2.pem']) {
+    fs.writeFileSync(path.join(directory, name), name)
+  }
+  const tls = {
+    cert: path.join(directory, '{clientId}.crt'),
+    key: path.join(directory, '{id}.key'),
+    ca: [path.join(directory, 'ca-1.pem'), path.join(directory, 'ca-2.pem')],
+    passphrase: 'secret',
+    rejectUnauthorized: false,
+  }
+  const upstream = new UpstreamConnection(
+    { name: 'P', url: 'wss://csms/', idMap: { 'SIM-TLS': 'FR-TLS' }, tls },
+    'SIM-TLS',
+    'ocpp1.6'
+  )
+
+  const options = upstream.getConnectOptions()
+
+  assert.equal(options.cert.toString(), 'SIM-TLS.crt')
+  assert.equal(options.key.toString(), 'FR-TLS.key')
+  assert.deepEqual(
+    options.ca.map((ca) => ca.toString()),
+    ['ca-1.pem', 'ca-2.pem']
+  )
+  assert.equal(options.passphrase, 'secret')
+  assert.equal(options.rejectUnauthorized, false)
+})
@@ -0,0 +1,101 @@
+/**
+ * Upstream roles: the primary answers the chargers, the mirrors and read-only upstreams only follow the traffic
+ */
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  setup,
+  connectCharger,
+  receivedCalls,
+  waitUntil,
+  connectionOf,
+  dropUpstream,
+  reconnectUpstream,
+  waitForFrame,
+} = require('./helpers')
+
+/**
+ * Upstream settings giving each mock CSMS its role, the first one staying the primary
+ * @param {object} roles - CSMS name -> role
+ * @returns {function} setup() upstreamConfig
+ */
+function withRoles(roles) {
+  return (csms) => (roles[csms.name] ? { role: roles[csms.name] } : {})
+}
+
+test('upstream roles: a read-only upstream gets the charger CALLs, its own CALLs are rejected', async (t) => {
+  const { csms, url } = await setup(t, ['P', 'R'], {}, withRoles({ R: 'read-only' }))
+  const charger = await connectCharger(t, url, 'SIM-READ-ONLY')
+  charger.handle('Reset', () => ({ status: 'Accepted' }))
+  await charger.bootNotification()
+  await waitForFrame(csms.R, (entry) => entry.frame[2] === 'BootNotification')
+
+  const rejected = await csms.R.call('SIM-READ-ONLY', 'Reset', { type: 'Soft' })
+  const accepted = await csms.P.call('SIM-READ-ONLY', 'Reset', { type: 'Hard' })
+
+  assert.deepEqual(rejected.slice(2, 4), ['SecurityError', 'Upstream is read-only, CALLs are not relayed to the client'])
+  assert.deepEqual(accepted[2], { status: 'Accepted' })
+  assert.deepEqual(
+    charger.received.filter((frame) => frame[0] === 2).map((frame) => frame[3]),
+    [{ type: 'Hard' }]
+  )
+  assert.deepEqual(receivedCalls(csms.R, 'SIM-READ-ONLY'), ['BootNotification'])
+})
+
+test('upstream roles: the responses of a mirror are dropped, the charger gets the answer of the primary', async (t) => {
+  const { csms, proxy, url } = await setup(t, ['P', 'M'])
+  const relayed = t.mock.method(proxy, 'handleUpstreamMessage')
+  const mirrorAnswered = (messageId) =>
+    relayed.mock.calls.some(({ arguments: [, data, serverName] }) => {
+      const [type, id] = JSON.parse(data)
+      return serverName === 'M' && type === 3 && id === messageId
+    })
+  const currentTime = new Date().toISOString()
+  csms.M.handle('BootNotification', () => ({ status: 'Rejected', currentTime, interval: 60 }))
+  // The primary answers once the response of the mirror reached the proxy
+  csms.P.handle('BootNotification', async () => {
+    const [, messageId] = csms.P.received.find((entry) => entry.frame[2] === 'BootNotification').frame
+    await waitUntil(() => mirrorAnswered(messageId), 'M did not answer')
+    return { status: 'Accepted', currentTime, interval: 300 }
+  })
+  const charger = await connectCharger(t, url, 'SIM-MIRROR')
+
+  const boot = await charger.bootNotification()
+
+  assert.equal(boot.status, 'Accepted')
+  assert.equal(boot.interval, 300)
+  assert.equal(charger.received.filter((frame) => frame[0] === 3).length, 1)
+})
+
+test('upstream roles: the responder stays on the primary while a mirror comes and goes', async (t) => {
+  const { csms, proxy, url } = await setup(t, ['P', 'M'], { failover: true })
+  const charger = await connectCharger(t, url, 'SIM-RESPONDER')
+  await charger.bootNotification()
+
+  await dropUpstream(proxy, csms.M, 'SIM-RESPONDER')
+  await charger.heartbeat()
+  assert.equal(connectionOf(proxy, 'SIM-RESPONDER').responder, 'P')
+  await reconnectUpstream(proxy, csms.M, 'SIM-RESPONDER')
+  await charger.heartbeat()
+
+  assert.equal(connectionOf(proxy, 'SIM-RESPONDER').responder, 'P')
+  assert.deepEqual(receivedCalls(csms.P, 'SIM-RESPONDER'), ['BootNotification', 'Heartbeat', 'Heartbeat'])
+  assert.deepEqual(receivedCalls(csms.M, 'SIM-RESPONDER'), ['BootNotification', 'Heartbeat'])
+})
+
+test('upstream roles: a read-only upstream never answers the charger, even with failover', async (t) => {
+  const { csms, proxy, url } = await setup(t, ['P', 'R'], { failover: true }, (server) => ({
+    callTimeout: 1,
+    ...withRoles({ R: 'read-only' })(server),
+  }))
+  const charger = await connectCharger(t, url, 'SIM-NO-TAKEOVER')
+  await charger.bootNotification()
+  await waitForFrame(csms.R, (entry) => entry.frame[2] === 'BootNotification')
+
+  await dropUpstream(proxy, csms.P, 'SIM-NO-TAKEOVER')
+  await assert.rejects(charger.heartbeat(), { errorCode: 'InternalError' })
+
+  assert.equal(connectionOf(proxy, 'SIM-NO-TAKEOVER').responder, 'P')
+  assert.ok(receivedCalls(csms.R, 'SIM-NO-TAKEOVER').includes('Heartbeat'))
+})
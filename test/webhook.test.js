@@ -0,0 +1,109 @@
+/**
+ * Webhook notifications: body template, HMAC signature and retries, against a local HTTP receiver
+ */
+
+const http = require('node:http')
+const crypto = require('node:crypto')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { once } = require('node:events')
+const Webhook = require('../lib/webhook')
+
+/**
+ * Start an HTTP receiver answering with the given statuses in turn (then 200), stopped at the end of the test
+ * @param {TestContext} t
+ * @param {Array<number>} [statuses]
+ * @returns {Promise<object>} { url, requests: Array<{ headers, body }> }
+ */
+async function startReceiver(t, statuses = []) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body })
+      res.writeHead(statuses.shift() || 200)
+      res.end()
+    })
+  })
+  server.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  t.after(() => server.close())
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests }
+}
+
+test('webhook: the body is signed with a sha256= HMAC of its exact bytes', async (t) => {
+  const { url, requests } = await startReceiver(t)
+  const webhook = new Webhook({ url, secret: 'shared-secret' })
+
+  const result = await webhook.send('Title', 'Message', { type: 'cpStatusFaulted', clientId: 'CP001' }, { priority: 1 })
+
+  assert.deepEqual(result, { status: 200 })
+  const [{ headers, body }] = requests
+  const expected = crypto.createHmac('sha256', 'shared-secret').update(body).digest('hex')
+  assert.equal(headers['x-signature-256'], `sha256=${expected}`)
+  assert.deepEqual(JSON.parse(body), {
+    type: 'cpStatusFaulted',
+    clientId: 'CP001',
+    priority: 1,
+    title: 'Title',
+    message: 'Message',
+  })
+})
+
+test('webhook: the signature header can be renamed, and is left out without a secret', async (t) => {
+  const { url, requests } = await startReceiver(t)
+
+  await new Webhook({ url, secret: 'shared-secret', signatureHeader: 'X-Hub-Signature-256' }).send('Title', 'Message')
+  await new Webhook({ url, headers: { 'X-Api-Key': 'key' } }).send('Title', 'Message')
+
+  assert.match(requests[0].headers['x-hub-signature-256'], /^sha256=[0-9a-f]{64}$/)
+  assert.equal(requests[0].headers['x-signature-256'], undefined)
+  assert.equal(requests[1].headers['x-signature-256'], undefined)
+  assert.equal(requests[1].headers['x-api-key'], 'key')
+})
+
+test('webhook: the body template gets the event fields, a single placeholder keeps the value type', async (t) => {
+  const { url, requests } = await startReceiver(t)
+  const template = {
+    text: '{{title}}: {{message}} ({{missing}})',
+    client: '{{clientId}}',
+    level: '{{priority}}',
+    tags: ['ocpp'],
+  }
+
+  await new Webhook({ url, template }).send('Title', 'Message', { clientId: 'CP001' }, { priority: 2 })
+
+  assert.deepEqual(JSON.parse(requests[0].body), { text: 'Title: Message ()', client: 'CP001', level: 2, tags: ['ocpp'] })
+})
+
+test('webhook: temporary failures are retried, with the same signature', async (t) => {
+  const { url, requests } = await startReceiver(t, [503, 429])
+  const webhook = new Webhook({ url, secret: 'shared-secret', retryDelay: 1 })
+
+  const result = await webhook.send('Title', 'Message')
+
+  assert.deepEqual(result, { status: 200 })
+  assert.equal(requests.length, 3)
+  assert.equal(new Set(requests.map((request) => request.headers['x-signature-256'])).size, 1)
+})
+
+test('webhook: other errors are not retried, the retries are bounded', async (t) => {
+  const { url, requests } = await startReceiver(t, [400, 500, 502, 504])
+
+  const rejected = await new Webhook({ url, retryDelay: 1 }).send('Title', 'Message')
+  const failing = await new Webhook({ url, retries: 2, retryDelay: 1 }).send('Title', 'Message')
+
+  assert.deepEqual(rejected, { error: 'Request failed with status code 400' })
+  assert.deepEqual(failing, { error: 'Request failed with status code 504 (after 3 attempts)' })
+  assert.equal(requests.length, 4)
+})
+
+test('webhook: network errors are retried', async (t) => {
+  const { url } = await startReceiver(t)
+  const unreachable = new Webhook({ url: url.replace(/:\d+\//, ':1/'), retries: 1, retryDelay: 1 })
+
+  const result = await unreachable.send('Title', 'Message')
+
+  assert.match(result.error, /ECONNREFUSED.*\(after 2 attempts\)$/)
+})